@@ -0,0 +1,642 @@
+/**
+ * @description Conflict-free replicated document behind collab_collaborativeCanvas.
+ * Every element carries Lamport timestamps for its insertion, its deletion and each
+ * property (last-writer-wins registers), and the text of sticky notes and shapes is a
+ * replicated character sequence (RGA). Local changes become operations that carry only
+ * what changed; remote operations and stored states merge in any order and every
+ * client converges on the same canvas.
+ *
+ * collab_CanvasOperationLog.cls folds logged operations into the stored state with the
+ * same rules - keep both in step.
+ *
+ * @author Nils Lehsten
+ * @date 2026-10-19
+ */
+
+// ========== Constants ==========
+
+// Timestamps are 'counter.site' strings, text characters are 'counter.site.index'.
+// Elements and characters stored before they had metadata share the empty site.
+export const BASE_TIMESTAMP = '0.';
+
+export const ELEMENT_LISTS = ['objects', 'strokes', 'connectors'];
+
+// Kind of change per logged event type
+const INSERT_EVENTS = ['object_add', 'draw_stroke', 'connector_add', 'group_create'];
+const DELETE_EVENTS = ['object_delete', 'stroke_delete', 'connector_delete', 'group_ungroup'];
+
+// Operations kept per element while the element they change has not arrived yet
+const MAX_PENDING_OPERATIONS = 100;
+
+// ========== Timestamps ==========
+
+/**
+ * @description Random site identifier for one editing session (base36, never contains '.')
+ */
+export function createSiteId() {
+    return Math.random().toString(36).slice(2, 10) || 'site';
+}
+
+function parseTimestamp(timestamp) {
+    const parts = timestamp.split('.');
+    return [Number(parts[0]) || 0, parts[1] || '', Number(parts[2]) || 0];
+}
+
+/**
+ * @description Total order of timestamps: counter, then site, then character index.
+ * A missing timestamp sorts before every other.
+ * @returns {number} Negative, zero or positive like Array.sort comparators
+ */
+export function compareTimestamps(a, b) {
+    if (a === b) return 0;
+    if (!a) return -1;
+    if (!b) return 1;
+    const [counterA, siteA, indexA] = parseTimestamp(a);
+    const [counterB, siteB, indexB] = parseTimestamp(b);
+    if (counterA !== counterB) return counterA < counterB ? -1 : 1;
+    if (siteA !== siteB) return siteA < siteB ? -1 : 1;
+    if (indexA !== indexB) return indexA < indexB ? -1 : 1;
+    return 0;
+}
+
+// ========== Text Sequence ==========
+
+/**
+ * @description Expand runs ([firstId, originId, chars, deletedMask]) into character nodes.
+ * Each character after the first of a run was inserted right after its predecessor.
+ */
+function expandRuns(runs) {
+    const nodes = [];
+    (runs || []).forEach(([firstId, origin, chars, mask]) => {
+        const [counter, site, index] = parseTimestamp(firstId);
+        let previous = origin || null;
+        for (let i = 0; i < chars.length; i++) {
+            const id = `${counter}.${site}.${index + i}`;
+            nodes.push({ id, origin: previous, ch: chars[i], deleted: !!mask && mask[i] === '1' });
+            previous = id;
+        }
+    });
+    return nodes;
+}
+
+/**
+ * @description Collapse adjacent character nodes typed in one go back into runs
+ * @param {boolean} withMask - Include the deleted mask (stored state) or not (operations)
+ */
+function collapseRuns(nodes, withMask) {
+    const runs = [];
+    let run = null;
+    let last = null;
+    nodes.forEach((node) => {
+        const continues = run && node.origin === last.id && isNextIndex(last.id, node.id);
+        if (!continues) {
+            run = [node.id, node.origin, '', ''];
+            runs.push(run);
+        }
+        run[2] += node.ch;
+        run[3] += node.deleted ? '1' : '0';
+        last = node;
+    });
+    return runs.map(([id, origin, chars, mask]) => {
+        if (!withMask) return [id, origin, chars];
+        return [id, origin, chars, mask.includes('1') ? mask : ''];
+    });
+}
+
+function isNextIndex(previousId, id) {
+    const [counterA, siteA, indexA] = parseTimestamp(previousId);
+    const [counterB, siteB, indexB] = parseTimestamp(id);
+    return counterA === counterB && siteA === siteB && indexB === indexA + 1;
+}
+
+/**
+ * @description Character nodes for a whole text inserted at once (element insert or base text)
+ */
+function buildTextNodes(text, timestamp) {
+    return text ? expandRuns([[`${timestamp}.0`, null, text]]) : [];
+}
+
+/**
+ * @description Place a character node after its origin. Characters inserted concurrently
+ * after the same origin are ordered by descending timestamp; skipping every larger
+ * timestamp also skips their descendants, which always carry larger timestamps.
+ */
+function integrateNode(nodes, node) {
+    let index = node.origin ? nodes.findIndex(n => n.id === node.origin) + 1 : 0;
+    while (index < nodes.length && compareTimestamps(nodes[index].id, node.id) > 0) {
+        index++;
+    }
+    nodes.splice(index, 0, node);
+}
+
+function materializeText(nodes) {
+    return nodes.filter(n => !n.deleted).map(n => n.ch).join('');
+}
+
+/**
+ * @description Copy the sequence's text onto the element (objects without text stay without)
+ */
+function syncText(meta, element) {
+    const text = materializeText(meta.text);
+    if (text || element.text !== undefined) {
+        element.text = text;
+    }
+}
+
+/**
+ * @description Whether the text is still exactly what was inserted with the element, so
+ * load() can rebuild the sequence from the element text and the insert timestamp
+ */
+function isPristineText(meta) {
+    if (!meta.text.length) return true;
+    const runs = collapseRuns(meta.text, true);
+    return runs.length === 1 && runs[0][0] === `${meta.add}.0` && !runs[0][1] && !runs[0][3];
+}
+
+/**
+ * @description Text operation turning baseText into newText: one deleted range and one
+ * inserted run, found by trimming the common prefix and suffix
+ * @param {Object} base - { text, ids } visible text and character ids the edit started from
+ */
+function diffText(base, newText, timestamp) {
+    const oldText = base.text;
+    if (oldText === newText) return null;
+
+    let start = 0;
+    while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) {
+        start++;
+    }
+    let end = 0;
+    while (
+        end < oldText.length - start &&
+        end < newText.length - start &&
+        oldText[oldText.length - 1 - end] === newText[newText.length - 1 - end]
+    ) {
+        end++;
+    }
+
+    const inserted = newText.slice(start, newText.length - end);
+    return {
+        ins: inserted ? [[`${timestamp}.0`, start > 0 ? base.ids[start - 1] : null, inserted]] : [],
+        del: base.ids.slice(start, oldText.length - end)
+    };
+}
+
+// ========== Utilities ==========
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function sameValue(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function newMetadata() {
+    return { add: null, del: null, props: {}, text: null };
+}
+
+function isPresent(meta) {
+    return !!meta.add && (!meta.del || compareTimestamps(meta.add, meta.del) > 0);
+}
+
+/**
+ * @description Convert a payload in the pre-CRDT shape (whole elements, no timestamp) into
+ * an operation. Such changes merge as if they happened before any timestamped change and
+ * only set the values they carry (empty values are skipped).
+ */
+export function normalizeOperation(eventType, payload) {
+    if (!payload || payload.ts) return payload;
+    if (INSERT_EVENTS.includes(eventType)) {
+        return { id: payload.id, ts: BASE_TIMESTAMP, element: payload };
+    }
+    if (DELETE_EVENTS.includes(eventType)) {
+        return { id: eventType === 'group_ungroup' ? payload.groupId : payload.id, ts: BASE_TIMESTAMP };
+    }
+    const set = {};
+    Object.entries(payload).forEach(([key, value]) => {
+        if (key !== 'id' && value !== null && value !== '') {
+            set[key] = value;
+        }
+    });
+    return { id: payload.id, ts: BASE_TIMESTAMP, set };
+}
+
+// ========== Document ==========
+
+/**
+ * @description CRDT metadata for the elements of one canvas. The element arrays stay on
+ * the canvas component (passed in as `canvas` with objects/strokes/connectors); the
+ * document keeps the timestamps and text sequences and updates the arrays in place.
+ */
+export class CanvasDocument {
+    constructor(site = createSiteId()) {
+        this.site = site;
+        this.clock = 0;
+        this.elements = new Map();
+        // Last synced copy of objects and connectors, to find which properties changed
+        this.shadows = new Map();
+        // Operations waiting for an element (or text characters) that has not arrived yet
+        this.pending = new Map();
+    }
+
+    // ---------- Clock ----------
+
+    tick() {
+        this.clock++;
+        return `${this.clock}.${this.site}`;
+    }
+
+    observe(timestamp) {
+        if (timestamp) {
+            this.clock = Math.max(this.clock, parseTimestamp(timestamp)[0]);
+        }
+    }
+
+    // ---------- Stored State ----------
+
+    /**
+     * @description Reset to a loaded state. Elements without stored metadata (older states,
+     * templates) get the base timestamp so every client derives the same metadata.
+     * @param {Object} canvas - Holder of the objects, strokes and connectors arrays
+     * @param {Object} metadata - The state's 'crdt' block, if any
+     */
+    load(canvas, metadata) {
+        this.elements = new Map();
+        this.shadows = new Map();
+        this.pending = new Map();
+        this.clock = Math.max(this.clock, metadata?.clock || 0);
+
+        Object.entries(metadata?.elements || {}).forEach(([id, stored]) => {
+            const meta = newMetadata();
+            meta.add = stored.a || null;
+            meta.del = stored.d || null;
+            meta.props = { ...(stored.p || {}) };
+            meta.text = stored.t ? expandRuns(stored.t) : null;
+            [meta.add, meta.del, ...Object.values(meta.props)].forEach(ts => this.observe(ts));
+            (meta.text || []).forEach(node => this.observe(node.id));
+            this.elements.set(id, meta);
+        });
+
+        ELEMENT_LISTS.forEach((list) => {
+            (canvas[list] || []).forEach((element) => {
+                const meta = this.ensureMetadata(list, element);
+                if (meta.text) {
+                    syncText(meta, element);
+                }
+                this.updateShadow(list, element);
+            });
+        });
+    }
+
+    /**
+     * @description Serializable metadata for the stored state. Whatever load() derives again
+     * is left out: base insert timestamps, text as inserted, properties of deleted elements.
+     */
+    toJSON() {
+        const elements = {};
+        this.elements.forEach((meta, id) => {
+            const stored = {};
+            if (meta.del) stored.d = meta.del;
+            if (isPresent(meta)) {
+                if (Object.keys(meta.props).length) stored.p = meta.props;
+                if (meta.text && !isPristineText(meta)) stored.t = collapseRuns(meta.text, true);
+            }
+            if (meta.add && (meta.add !== BASE_TIMESTAMP || Object.keys(stored).length)) {
+                stored.a = meta.add;
+            }
+            if (Object.keys(stored).length) {
+                elements[id] = stored;
+            }
+        });
+        return { clock: this.clock, elements };
+    }
+
+    /**
+     * @description Merge another stored state (e.g. the latest save of a collaborator) into
+     * the canvas. Newer insertions, deletions and properties win, text sequences are united.
+     * @param {Object} canvas - Holder of the objects, strokes and connectors arrays
+     * @param {Object} state - Parsed stored state with its 'crdt' block
+     */
+    merge(canvas, state) {
+        const remoteLists = {};
+        ELEMENT_LISTS.forEach((list) => {
+            remoteLists[list] = clone(state[list] || []);
+        });
+        const remote = new CanvasDocument(this.site);
+        remote.load(remoteLists, state.crdt);
+
+        remote.elements.forEach((remoteMeta, id) => {
+            let list = ELEMENT_LISTS.find(name => remoteLists[name].some(e => e.id === id));
+            const remoteElement = list ? remoteLists[list].find(e => e.id === id) : null;
+            list = list || this.findList(canvas, id);
+
+            [remoteMeta.add, remoteMeta.del, ...Object.values(remoteMeta.props)].forEach(ts => this.observe(ts));
+            let meta = this.elements.get(id);
+
+            if (remoteMeta.add && (!meta || compareTimestamps(remoteMeta.add, meta.add) > 0)) {
+                if (remoteElement) {
+                    this.applyInsert(canvas, list, { id, ts: remoteMeta.add, element: remoteElement });
+                    meta = this.elements.get(id);
+                    if (meta.text && remoteMeta.text) {
+                        meta.text = remoteMeta.text.map(node => ({ ...node }));
+                    }
+                } else {
+                    meta = meta || newMetadata();
+                    meta.add = remoteMeta.add;
+                    this.elements.set(id, meta);
+                }
+            } else if (meta && meta.text && remoteMeta.text) {
+                remoteMeta.text
+                    .filter(node => !meta.text.some(n => n.id === node.id))
+                    .sort((a, b) => compareTimestamps(a.id, b.id))
+                    .forEach(node => integrateNode(meta.text, { ...node }));
+                remoteMeta.text
+                    .filter(node => node.deleted)
+                    .forEach((node) => {
+                        const local = meta.text.find(n => n.id === node.id);
+                        if (local) local.deleted = true;
+                    });
+            }
+
+            const element = list ? canvas[list].find(e => e.id === id) : null;
+            if (meta && element && remoteElement) {
+                Object.entries(remoteMeta.props).forEach(([key, ts]) => {
+                    this.mergeProperty(meta, element, key, remoteElement[key], ts);
+                });
+            }
+            if (meta && element && meta.text) {
+                syncText(meta, element);
+            }
+            if (element && list) {
+                this.updateShadow(list, element);
+            }
+
+            if (remoteMeta.del) {
+                this.applyDelete(canvas, list, { id, ts: remoteMeta.del });
+            }
+        });
+    }
+
+    // ---------- Local Changes ----------
+
+    /**
+     * @description Record an element the user just added (already in its list)
+     * @returns {Object} Insert operation { id, ts, element }
+     */
+    localInsert(list, element) {
+        const ts = this.tick();
+        const meta = this.elements.get(element.id) || newMetadata();
+        meta.add = ts;
+        meta.props = {};
+        meta.text = list === 'objects' ? buildTextNodes(element.text || '', ts) : null;
+        this.elements.set(element.id, meta);
+        this.updateShadow(list, element);
+        return { id: element.id, ts, element: clone(element) };
+    }
+
+    /**
+     * @description Record local property changes of an element. Only properties that differ
+     * from the last synced copy are sent; object text becomes character inserts/deletes.
+     * @param {string[]} keys - Properties to look at (all properties if omitted)
+     * @param {Object} textBase - captureText() result from when a text edit started, so
+     *   characters collaborators typed meanwhile are kept
+     * @returns {Object|null} Update operation { id, ts, set, text }, null if nothing changed
+     */
+    localUpdate(list, element, keys, textBase) {
+        const meta = this.ensureMetadata(list, element);
+        const shadow = this.shadows.get(element.id) || {};
+        const candidates = keys || [...new Set([...Object.keys(element), ...Object.keys(shadow)])];
+        const changed = candidates.filter(key => key !== 'id' && !sameValue(element[key], shadow[key]));
+        if (!changed.length) return null;
+
+        const ts = this.tick();
+        const operation = { id: element.id, ts };
+        changed.forEach((key) => {
+            if (key === 'text' && meta.text) {
+                const base = textBase || this.captureText(element.id);
+                const text = diffText(base, element.text || '', ts);
+                if (text && (text.ins.length || text.del.length)) {
+                    this.applyText(meta, text);
+                    operation.text = text;
+                }
+                syncText(meta, element);
+                return;
+            }
+            operation.set = operation.set || {};
+            operation.set[key] = element[key] === undefined ? null : clone(element[key]);
+            meta.props[key] = ts;
+        });
+
+        this.updateShadow(list, element);
+        return operation.set || operation.text ? operation : null;
+    }
+
+    /**
+     * @description Record the local removal of an element (already removed from its list)
+     * @returns {Object} Delete operation { id, ts }
+     */
+    localDelete(list, id) {
+        const ts = this.tick();
+        const meta = this.elements.get(id) || newMetadata();
+        meta.del = ts;
+        this.elements.set(id, meta);
+        this.shadows.delete(id);
+        return { id, ts };
+    }
+
+    /**
+     * @description Visible text and character ids of an object, taken when a text edit starts
+     */
+    captureText(id) {
+        const visible = (this.elements.get(id)?.text || []).filter(n => !n.deleted);
+        return { text: visible.map(n => n.ch).join(''), ids: visible.map(n => n.id) };
+    }
+
+    // ---------- Remote Operations ----------
+
+    /**
+     * @description Apply a remote insert. A later insert of the same id (undo of a delete,
+     * re-created group) replaces the element but keeps properties changed after it.
+     * @returns {boolean} Whether the canvas changed
+     */
+    applyInsert(canvas, list, operation) {
+        const { id, ts } = operation;
+        if (!id || !operation.element) return false;
+        this.observe(ts);
+
+        let meta = this.elements.get(id);
+        if (meta && meta.add && compareTimestamps(ts, meta.add) <= 0) return false;
+        meta = meta || newMetadata();
+
+        const element = clone(operation.element);
+        const existing = canvas[list].find(e => e.id === id);
+        Object.entries(meta.props).forEach(([key, propTs]) => {
+            if (existing && compareTimestamps(propTs, ts) > 0) {
+                element[key] = existing[key];
+            } else {
+                delete meta.props[key];
+            }
+        });
+        meta.add = ts;
+        meta.text = list === 'objects' ? buildTextNodes(element.text || '', ts) : null;
+        this.elements.set(id, meta);
+
+        if (!isPresent(meta)) return false;
+        if (existing) {
+            Object.keys(existing).forEach(key => delete existing[key]);
+            Object.assign(existing, element);
+        } else {
+            canvas[list].push(element);
+        }
+        this.updateShadow(list, existing || element);
+        this.flushPending(canvas, id);
+        return true;
+    }
+
+    /**
+     * @description Apply a remote update: each property is taken if its timestamp is newer
+     * than the one it has, text characters are merged into the sequence
+     * @returns {boolean} Whether the operation was applied (false if it waits for its element)
+     */
+    applyUpdate(canvas, list, operation) {
+        const { id, ts } = operation;
+        if (!id) return false;
+        this.observe(ts);
+
+        let meta = this.elements.get(id);
+        if (meta && meta.del && !isPresent(meta)) return false;
+        const element = canvas[list].find(e => e.id === id);
+        if (element) {
+            meta = this.ensureMetadata(list, element);
+        }
+        if (!element || (operation.text && !this.canApplyText(meta, operation.text))) {
+            this.queuePending(id, list, operation);
+            return false;
+        }
+
+        Object.entries(operation.set || {}).forEach(([key, value]) => {
+            if (key === 'text' && meta.text) {
+                // Whole text from an older client: restart the sequence from it
+                if (ts === BASE_TIMESTAMP) {
+                    meta.text = buildTextNodes(value || '', BASE_TIMESTAMP);
+                }
+                return;
+            }
+            this.mergeProperty(meta, element, key, value, ts);
+        });
+        if (operation.text && meta.text) {
+            this.applyText(meta, operation.text);
+        }
+        if (meta.text) {
+            syncText(meta, element);
+        }
+
+        this.updateShadow(list, element);
+        this.flushPending(canvas, id);
+        return true;
+    }
+
+    /**
+     * @description Apply a remote delete. Deletion wins over inserts with older timestamps,
+     * including ones that arrive later.
+     * @returns {boolean} Whether the canvas changed
+     */
+    applyDelete(canvas, list, operation) {
+        const { id, ts } = operation;
+        if (!id) return false;
+        this.observe(ts);
+
+        const meta = this.elements.get(id) || newMetadata();
+        if (meta.del && compareTimestamps(ts, meta.del) <= 0) return false;
+        meta.del = ts;
+        this.elements.set(id, meta);
+        if (isPresent(meta)) return false;
+
+        const listName = list || this.findList(canvas, id);
+        if (listName) {
+            canvas[listName] = canvas[listName].filter(e => e.id !== id);
+        }
+        this.shadows.delete(id);
+        this.pending.delete(id);
+        return true;
+    }
+
+    // ---------- Internals ----------
+
+    ensureMetadata(list, element) {
+        let meta = this.elements.get(element.id);
+        if (!meta) {
+            meta = newMetadata();
+            this.elements.set(element.id, meta);
+        }
+        meta.add = meta.add || BASE_TIMESTAMP;
+        if (list === 'objects' && !meta.text) {
+            meta.text = buildTextNodes(typeof element.text === 'string' ? element.text : '', meta.add);
+        }
+        return meta;
+    }
+
+    mergeProperty(meta, element, key, value, ts) {
+        const current = meta.props[key] || meta.add;
+        const newer = compareTimestamps(ts, current) > 0 || (ts === BASE_TIMESTAMP && current === BASE_TIMESTAMP);
+        if (!newer) return;
+        if (value === null || value === undefined) {
+            delete element[key];
+        } else {
+            element[key] = clone(value);
+        }
+        if (ts !== BASE_TIMESTAMP) {
+            meta.props[key] = ts;
+        }
+    }
+
+    canApplyText(meta, text) {
+        if (!meta.text) return true;
+        const known = new Set(meta.text.map(n => n.id));
+        for (const node of expandRuns(text.ins)) {
+            if (node.origin && !known.has(node.origin)) return false;
+            known.add(node.id);
+        }
+        return (text.del || []).every(id => known.has(id));
+    }
+
+    applyText(meta, text) {
+        const known = new Set(meta.text.map(n => n.id));
+        expandRuns(text.ins).forEach((node) => {
+            if (known.has(node.id)) return;
+            this.observe(node.id);
+            integrateNode(meta.text, node);
+            known.add(node.id);
+        });
+        const deleted = new Set(text.del || []);
+        meta.text.forEach((node) => {
+            if (deleted.has(node.id)) node.deleted = true;
+        });
+    }
+
+    updateShadow(list, element) {
+        if (list === 'strokes') return;
+        this.shadows.set(element.id, clone(element));
+    }
+
+    findList(canvas, id) {
+        return ELEMENT_LISTS.find(list => (canvas[list] || []).some(e => e.id === id)) || null;
+    }
+
+    queuePending(id, list, operation) {
+        const queue = this.pending.get(id) || [];
+        if (queue.length < MAX_PENDING_OPERATIONS) {
+            queue.push({ list, operation });
+        }
+        this.pending.set(id, queue);
+    }
+
+    flushPending(canvas, id) {
+        const queue = this.pending.get(id);
+        if (!queue) return;
+        this.pending.delete(id);
+        // Operations that still cannot apply queue themselves again
+        queue.forEach(({ list, operation }) => this.applyUpdate(canvas, list, operation));
+    }
+}
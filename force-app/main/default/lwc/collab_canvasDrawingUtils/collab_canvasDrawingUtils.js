@@ -24,6 +24,16 @@ export const ICON_COLORS = {
     default: '#7f8de1'
 };
 
+// Record card badges for records that can no longer be shown (set by applyRecordCardData)
+export const RECORD_STATUS_BADGES = {
+    deleted: { label: 'Deleted', color: '#ba0517' },
+    inaccessible: { label: 'No Access', color: '#706e6b' }
+};
+
+// Record card field rows: first row below the name, row spacing
+const RECORD_FIELD_TOP = 34;
+const RECORD_FIELD_LINE_HEIGHT = 16;
+
 // Activity icon colors (SLDS standard colors)
 export const ACTIVITY_ICON_COLORS = {
     task: '#4bc076',     // Green
@@ -111,20 +121,22 @@ export function wrapText(ctx, text, maxWidth) {
 }
 
 /**
- * @description Draw text inside a shape with vertical alignment support
- * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @description Compute text lines and positions for a shape with vertical alignment support.
+ * Shared by canvas drawing and vector (SVG/PDF) export so both lay text out identically.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (used for text measurement only)
  * @param {Object} obj - Shape object with text, x, y, width, height, color, textAlign
+ * @returns {Object|null} { font, fontSize, color, align, baseline, lines: [{ text, x, y }] } or null if no text
  */
-export function drawShapeText(ctx, obj) {
-    if (!obj.text) return;
+export function getShapeTextLayout(ctx, obj) {
+    if (!obj.text) return null;
 
     ctx.save();
     const textColor = obj.textColor || getContrastColor(obj.color || '#E8E8E8');
-    ctx.fillStyle = textColor;
 
     // US-41: Dynamic font size (default 14 for shapes)
     const fontSize = obj.fontSize || 14;
-    ctx.font = `${fontSize}px sans-serif`;
+    const font = `${fontSize}px sans-serif`;
+    ctx.font = font;
 
     const padding = 12;
     const lineHeight = Math.round(fontSize * 1.3);
@@ -152,11 +164,10 @@ export function drawShapeText(ctx, obj) {
         middleY = obj.y + obj.height / 2;
     }
 
+    let layout;
+
     if (textOverflow === 'wrap') {
         // Wrap mode - multi-line text
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'top';
-
         const lines = wrapText(ctx, obj.text, maxWidth);
         const textBlockHeight = lines.length * lineHeight;
 
@@ -178,21 +189,14 @@ export function drawShapeText(ctx, obj) {
                 startY = middleY - textBlockHeight / 2;
         }
 
-        lines.forEach((line, index) => {
-            ctx.fillText(line, centerX, startY + index * lineHeight);
-        });
+        layout = {
+            align: 'center',
+            baseline: 'top',
+            lines: lines.map((line, index) => ({ text: line, x: centerX, y: startY + index * lineHeight }))
+        };
     } else {
         // Clip mode - single line with truncation (default for shapes)
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-
-        let displayText = obj.text;
-        if (ctx.measureText(displayText).width > maxWidth) {
-            while (ctx.measureText(displayText + '...').width > maxWidth && displayText.length > 0) {
-                displayText = displayText.slice(0, -1);
-            }
-            displayText += '...';
-        }
+        const displayText = truncateTextInternal(ctx, obj.text, maxWidth);
 
         let textY;
         switch (textAlign) {
@@ -207,10 +211,111 @@ export function drawShapeText(ctx, obj) {
                 textY = middleY;
         }
 
-        ctx.fillText(displayText, centerX, textY);
+        layout = {
+            align: 'center',
+            baseline: 'middle',
+            lines: [{ text: displayText, x: centerX, y: textY }]
+        };
+    }
+
+    ctx.restore();
+    return { ...layout, font, fontSize, color: textColor };
+}
+
+/**
+ * @description Compute text lines and positions for a sticky note (US-40, US-41)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (used for text measurement only)
+ * @param {Object} obj - Sticky object
+ * @returns {Object|null} Same shape as getShapeTextLayout, or null if no text
+ */
+export function getStickyTextLayout(ctx, obj) {
+    if (!obj.text) return null;
+
+    ctx.save();
+
+    // US-41: Dynamic font size (default 12 for stickies)
+    const fontSize = obj.fontSize || 12;
+    const font = `${fontSize}px sans-serif`;
+    ctx.font = font;
+
+    const padding = 12;
+    const lineHeight = Math.round(fontSize * 1.3);
+    const maxWidth = obj.width - padding * 2;
+
+    // US-40: Text overflow mode (default 'wrap' for stickies)
+    const textOverflow = obj.textOverflow || 'wrap';
+    const textAlign = obj.textAlign || 'top';
+
+    let layout;
+
+    if (textOverflow === 'clip') {
+        // Single line, truncate with ellipsis
+        layout = {
+            align: 'center',
+            baseline: 'middle',
+            lines: [{
+                text: truncateTextInternal(ctx, obj.text, maxWidth),
+                x: obj.x + obj.width / 2,
+                y: obj.y + obj.height / 2
+            }]
+        };
+    } else {
+        // Wrap mode - multi-line text
+        const lines = wrapText(ctx, obj.text, maxWidth);
+        const textBlockHeight = lines.length * lineHeight;
+
+        let startY;
+        switch (textAlign) {
+            case 'top':
+                startY = obj.y + padding;
+                break;
+            case 'middle':
+                startY = obj.y + (obj.height - textBlockHeight) / 2;
+                break;
+            case 'bottom':
+                startY = obj.y + obj.height - padding - textBlockHeight;
+                break;
+            default:
+                startY = obj.y + padding;
+        }
+
+        layout = {
+            align: 'left',
+            baseline: 'top',
+            lines: lines.map((line, index) => ({ text: line, x: obj.x + padding, y: startY + index * lineHeight }))
+        };
     }
 
     ctx.restore();
+    return { ...layout, font, fontSize, color: '#333333' };
+}
+
+/**
+ * @description Fill text lines produced by getShapeTextLayout/getStickyTextLayout
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} layout - Text layout
+ */
+export function fillTextLayout(ctx, layout) {
+    if (!layout) return;
+
+    ctx.save();
+    ctx.fillStyle = layout.color;
+    ctx.font = layout.font;
+    ctx.textAlign = layout.align;
+    ctx.textBaseline = layout.baseline;
+    for (const line of layout.lines) {
+        ctx.fillText(line.text, line.x, line.y);
+    }
+    ctx.restore();
+}
+
+/**
+ * @description Draw text inside a shape with vertical alignment support
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} obj - Shape object with text, x, y, width, height, color, textAlign
+ */
+export function drawShapeText(ctx, obj) {
+    fillTextLayout(ctx, getShapeTextLayout(ctx, obj));
 }
 
 // ========== Shape Drawing Functions ==========
@@ -235,58 +340,7 @@ export function drawSticky(ctx, obj) {
     ctx.shadowColor = 'transparent';
 
     // Text with vertical alignment and overflow support (US-40, US-41)
-    if (obj.text) {
-        ctx.save();
-        ctx.fillStyle = '#333333';
-
-        // US-41: Dynamic font size (default 12 for stickies)
-        const fontSize = obj.fontSize || 12;
-        ctx.font = `${fontSize}px sans-serif`;
-
-        const padding = 12;
-        const lineHeight = Math.round(fontSize * 1.3);
-        const maxWidth = obj.width - padding * 2;
-
-        // US-40: Text overflow mode (default 'wrap' for stickies)
-        const textOverflow = obj.textOverflow || 'wrap';
-        const textAlign = obj.textAlign || 'top';
-
-        if (textOverflow === 'clip') {
-            // Single line, truncate with ellipsis
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            const centerX = obj.x + obj.width / 2;
-            const centerY = obj.y + obj.height / 2;
-            const truncated = truncateTextInternal(ctx, obj.text, maxWidth);
-            ctx.fillText(truncated, centerX, centerY);
-        } else {
-            // Wrap mode - multi-line text
-            ctx.textAlign = 'left';
-            ctx.textBaseline = 'top';
-            const lines = wrapText(ctx, obj.text, maxWidth);
-            const textBlockHeight = lines.length * lineHeight;
-
-            let startY;
-            switch (textAlign) {
-                case 'top':
-                    startY = obj.y + padding;
-                    break;
-                case 'middle':
-                    startY = obj.y + (obj.height - textBlockHeight) / 2;
-                    break;
-                case 'bottom':
-                    startY = obj.y + obj.height - padding - textBlockHeight;
-                    break;
-                default:
-                    startY = obj.y + padding;
-            }
-
-            lines.forEach((line, index) => {
-                ctx.fillText(line, obj.x + padding, startY + index * lineHeight);
-            });
-        }
-        ctx.restore();
-    }
+    fillTextLayout(ctx, getStickyTextLayout(ctx, obj));
 }
 
 // Internal helper for truncation (to avoid name collision with exported truncateText)
@@ -664,6 +718,99 @@ export function drawDocument(ctx, obj) {
     drawShapeText(ctx, obj);
 }
 
+/**
+ * @description Height of a record card showing the given number of field rows
+ * @param {number} fieldCount - Number of live field rows (0 = subtitle only)
+ * @returns {number} Card height
+ */
+export function getRecordCardHeight(fieldCount) {
+    return Math.max(50, RECORD_FIELD_TOP + fieldCount * RECORD_FIELD_LINE_HEIGHT);
+}
+
+/**
+ * @description Merge live record data (collab_CollaborationController.getRecordCardData) into record cards.
+ * Cards keep their stored name/subtitle when a record cannot be loaded and get a status badge instead.
+ * @param {Array} objects - Canvas objects (record cards are updated in place)
+ * @param {Array} cards - RecordCardData entries { recordId, name, status, fields: [{ label, value }] }
+ * @returns {number} Number of record cards updated
+ */
+export function applyRecordCardData(objects, cards) {
+    const cardsById = new Map((cards || []).map(card => [card.recordId, card]));
+    let updated = 0;
+
+    for (const obj of objects) {
+        const card = obj.type === 'record' ? cardsById.get(obj.recordId) : null;
+        if (!card) continue;
+
+        if (card.status === 'ok') {
+            obj.name = card.name || obj.name;
+            obj.fields = card.fields || [];
+            obj.recordStatus = null;
+        } else {
+            obj.recordStatus = card.status;
+        }
+        obj.height = Math.max(obj.height || 0, getRecordCardHeight((obj.fields || []).length));
+        updated++;
+    }
+    return updated;
+}
+
+/**
+ * @description Compute text and badge positions of a record card.
+ * Shared by canvas drawing and vector (SVG/PDF) export so both lay the card out identically.
+ * Cards with live fields show one "Label: value" row per field, older cards their stored subtitle.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (used for text measurement only)
+ * @param {Object} obj - Record object
+ * @returns {Object} { name: { text, x, y, maxWidth, color }, rows: [{ label, labelX, value, valueX, y, maxWidth }],
+ *                     subtitle: { text, x, y, maxWidth } | null, badge: { label, color, x, y, width, height } | null }
+ */
+export function getRecordCardLayout(ctx, obj) {
+    const textX = obj.x + 42;
+    const textMaxWidth = obj.width - 50;
+
+    let badge = null;
+    const badgeStyle = RECORD_STATUS_BADGES[obj.recordStatus];
+    if (badgeStyle) {
+        ctx.save();
+        ctx.font = 'bold 10px sans-serif';
+        const width = ctx.measureText(badgeStyle.label).width + 12;
+        ctx.restore();
+        badge = { ...badgeStyle, x: obj.x + obj.width - width - 8, y: obj.y + 10, width, height: 16 };
+    }
+
+    const name = {
+        text: obj.name || '',
+        x: textX,
+        y: obj.y + 18,
+        maxWidth: badge ? Math.max(20, textMaxWidth - badge.width - 6) : textMaxWidth,
+        color: obj.recordStatus ? '#706e6b' : '#181818'
+    };
+
+    const rows = [];
+    let subtitle = null;
+    if (obj.fields && obj.fields.length > 0) {
+        ctx.save();
+        ctx.font = '11px sans-serif';
+        obj.fields.forEach((field, index) => {
+            const label = `${field.label}:`;
+            const valueX = textX + ctx.measureText(label).width + 4;
+            rows.push({
+                label,
+                labelX: textX,
+                value: field.value || '',
+                valueX,
+                y: obj.y + RECORD_FIELD_TOP + index * RECORD_FIELD_LINE_HEIGHT,
+                maxWidth: Math.max(10, textX + textMaxWidth - valueX)
+            });
+        });
+        ctx.restore();
+    } else if (obj.subtitle) {
+        subtitle = { text: obj.subtitle, x: textX, y: obj.y + RECORD_FIELD_TOP, maxWidth: textMaxWidth };
+    }
+
+    return { name, rows, subtitle, badge };
+}
+
 /**
  * @description Draw a Salesforce record card
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -739,19 +886,47 @@ export function drawRecord(ctx, obj, iconImages = {}) {
         ctx.fillText(iconLetter, iconX, iconY);
     }
 
-    // Name text
-    ctx.fillStyle = '#181818';
-    ctx.font = 'bold 13px sans-serif';
+    // US-38: Always position text at top left for consistent card appearance
+    const layout = getRecordCardLayout(ctx, obj);
     ctx.textAlign = 'left';
     ctx.textBaseline = 'middle';
-    const textX = obj.x + 42;
 
-    // US-38: Always position text at top left for consistent card appearance
-    ctx.fillText(obj.name, textX, obj.y + 18, obj.width - 50);
-    if (obj.subtitle) {
+    ctx.fillStyle = layout.name.color;
+    ctx.font = 'bold 13px sans-serif';
+    ctx.fillText(layout.name.text, layout.name.x, layout.name.y, layout.name.maxWidth);
+
+    ctx.font = '11px sans-serif';
+    for (const row of layout.rows) {
         ctx.fillStyle = '#706e6b';
-        ctx.font = '11px sans-serif';
-        ctx.fillText(obj.subtitle, textX, obj.y + 34, obj.width - 50);
+        ctx.fillText(row.label, row.labelX, row.y);
+        ctx.fillStyle = '#181818';
+        ctx.fillText(row.value, row.valueX, row.y, row.maxWidth);
+    }
+    if (layout.subtitle) {
+        ctx.fillStyle = '#706e6b';
+        ctx.fillText(layout.subtitle.text, layout.subtitle.x, layout.subtitle.y, layout.subtitle.maxWidth);
+    }
+
+    // Deleted / inaccessible badge (top right)
+    if (layout.badge) {
+        const { label, color, x, y, width, height } = layout.badge;
+        const r = height / 2;
+        ctx.beginPath();
+        ctx.moveTo(x + r, y);
+        ctx.lineTo(x + width - r, y);
+        ctx.quadraticCurveTo(x + width, y, x + width, y + r);
+        ctx.quadraticCurveTo(x + width, y + height, x + width - r, y + height);
+        ctx.lineTo(x + r, y + height);
+        ctx.quadraticCurveTo(x, y + height, x, y + r);
+        ctx.quadraticCurveTo(x, y, x + r, y);
+        ctx.closePath();
+        ctx.fillStyle = color;
+        ctx.fill();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(label, x + width / 2, y + height / 2);
     }
 }
 
@@ -975,25 +1150,281 @@ export function drawGroupIndicator(ctx, group, isSelected = false) {
 
 // ========== Stroke Drawing ==========
 
+// Pen pressure (0-1) scales the stroke width between these factors; pressure 0.5 = stroke width
+const PRESSURE_MIN_WIDTH_FACTOR = 0.3;
+const PRESSURE_MAX_WIDTH_FACTOR = 1.7;
+
+// Pen styles (stroke.penStyle; strokes without one are solid)
+export const PEN_STYLES = ['solid', 'highlighter', 'dashed', 'dotted', 'arrow'];
+export const HIGHLIGHTER_OPACITY = 0.35;
+const UNIFORM_WIDTH_PEN_STYLES = ['highlighter', 'dashed', 'dotted']; // Ignore pen pressure
+const STROKE_ARROWHEAD_WIDTH_RATIO = 4; // Arrowheads of pens wider than this grow with the width
+
+/**
+ * @description Check whether a stroke was drawn with a pen that reported pressure
+ * @param {Object} stroke - Stroke object with points
+ * @returns {boolean}
+ */
+export function hasStrokePressure(stroke) {
+    return (stroke.points || []).some(point => typeof point.pressure === 'number');
+}
+
+/**
+ * @description Check whether a stroke is drawn with a width that follows pen pressure.
+ * Highlighter, dashed and dotted strokes keep one width: a highlighter is flat, and dash
+ * patterns would restart on every piece of varying width.
+ * @param {Object} stroke - Stroke object with points and penStyle
+ * @returns {boolean}
+ */
+export function drawsStrokePressure(stroke) {
+    return hasStrokePressure(stroke) && !UNIFORM_WIDTH_PEN_STYLES.includes(stroke.penStyle);
+}
+
+/**
+ * @description Line dash pattern of a stroke's pen style, scaled with its width
+ * @param {Object} stroke - Stroke object with width and penStyle
+ * @returns {Array} Dash and gap lengths (empty for continuous lines)
+ */
+export function getStrokeDash(stroke) {
+    const width = stroke.width || 3;
+    if (stroke.penStyle === 'dashed') {
+        return [width * 3, width * 2];
+    }
+    if (stroke.penStyle === 'dotted') {
+        // Zero-length dashes are drawn as dots by the round line caps
+        return [0, width * 2];
+    }
+    return [];
+}
+
+/**
+ * @description Arrowhead at the end of an arrow-pen stroke, pointing along the last piece
+ * @param {Object} stroke - Stroke object with points, width and penStyle
+ * @returns {Object|null} { from, to, scale } for drawArrowhead scaled around the tip, or null
+ */
+export function getStrokeArrowhead(stroke) {
+    const points = stroke.points || [];
+    if (stroke.penStyle !== 'arrow' || points.length < 2) {
+        return null;
+    }
+
+    const to = points[points.length - 1];
+    let index = points.length - 2;
+    while (index > 0 && points[index].x === to.x && points[index].y === to.y) {
+        index--;
+    }
+    return {
+        from: points[index],
+        to,
+        scale: Math.max(1, (stroke.width || 3) / STROKE_ARROWHEAD_WIDTH_RATIO)
+    };
+}
+
+/**
+ * @description Line width of a stroke segment, scaled by the pen pressure at both ends
+ * @param {Object} stroke - Stroke object with width
+ * @param {Object} from - Segment start point {x, y, pressure?}
+ * @param {Object} to - Segment end point {x, y, pressure?}
+ * @returns {number} Line width in px
+ */
+export function getStrokeSegmentWidth(stroke, from, to) {
+    const width = stroke.width || 3;
+    const pressureOf = (point) => (typeof point.pressure === 'number' ? point.pressure : 0.5);
+    const pressure = (pressureOf(from) + pressureOf(to)) / 2;
+    return width * (PRESSURE_MIN_WIDTH_FACTOR + (PRESSURE_MAX_WIDTH_FACTOR - PRESSURE_MIN_WIDTH_FACTOR) * pressure);
+}
+
+/**
+ * @description Simplify stroke points with the Ramer-Douglas-Peucker algorithm: points closer
+ * than the tolerance to the line between the points kept around them are dropped.
+ * @param {Array} points - Stroke points {x, y, pressure?}; kept points are returned as they are
+ * @param {number} tolerance - Largest distance of a dropped point from the result (world units)
+ * @returns {Array} Simplified points (the first and last point are always kept)
+ */
+export function simplifyStrokePoints(points, tolerance) {
+    if (!points || points.length < 3 || !(tolerance > 0)) {
+        return points ? [...points] : [];
+    }
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+
+    // Iterative instead of recursive - long strokes would exceed the call stack
+    const ranges = [[0, points.length - 1]];
+    while (ranges.length) {
+        const [first, last] = ranges.pop();
+        let maxDistance = 0;
+        let farthest = -1;
+        for (let i = first + 1; i < last; i++) {
+            const distance = getSegmentDistance(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = i;
+            }
+        }
+        if (maxDistance > tolerance) {
+            keep[farthest] = true;
+            ranges.push([first, farthest], [farthest, last]);
+        }
+    }
+    return points.filter((point, i) => keep[i]);
+}
+
+function getSegmentDistance(point, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+        ? 0
+        : Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+    return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+}
+
+/**
+ * @description Copy of a stroke with its points packed into 'packedPoints', a string of 'x,y' or
+ * 'x,y,pressure' entries separated by ';' - the encoding collab_CanvasStateStorage uses for stored
+ * states. Strokes with points of any other shape are returned unchanged.
+ * @param {Object} stroke - Stroke with points {x, y, pressure?}
+ * @returns {Object} Stroke to send in a draw_stroke operation
+ */
+export function packStroke(stroke) {
+    const points = stroke.points;
+    if (!Array.isArray(points) || !points.every(isPackablePoint)) {
+        return stroke;
+    }
+
+    const packed = { ...stroke };
+    delete packed.points;
+    packed.packedPoints = points
+        .map(point => ('pressure' in point ? [point.x, point.y, point.pressure] : [point.x, point.y]).join(','))
+        .join(';');
+    return packed;
+}
+
+function isPackablePoint(point) {
+    if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+        return false;
+    }
+    const hasPressure = 'pressure' in point;
+    return (!hasPressure || Number.isFinite(point.pressure))
+        && Object.keys(point).length === (hasPressure ? 3 : 2);
+}
+
+/**
+ * @description Copy of a stroke with 'packedPoints' turned back into points (see packStroke)
+ * @param {Object} stroke - Stroke as received, packed or not
+ * @returns {Object} Stroke with points {x, y, pressure?}
+ */
+export function unpackStroke(stroke) {
+    if (!stroke || typeof stroke.packedPoints !== 'string') {
+        return stroke;
+    }
+
+    const unpacked = { ...stroke };
+    delete unpacked.packedPoints;
+    unpacked.points = stroke.packedPoints
+        ? stroke.packedPoints.split(';').map((entry) => {
+            const [x, y, pressure] = entry.split(',').map(Number);
+            return pressure === undefined ? { x, y } : { x, y, pressure };
+        })
+        : [];
+    return unpacked;
+}
+
+/**
+ * @description Pieces of the smoothed path through stroke points (quadratic midpoint smoothing):
+ * a line from the first point to the first midpoint, then one quadratic curve per inner point,
+ * from the midpoint before it to the midpoint after it with the point as control point, then
+ * a line to the last point. The path stays inside the points' bounds and has no corners.
+ * @param {Array} points - Stroke points {x, y, pressure?} (at least 2)
+ * @returns {Array} Pieces { from, control, to, widthFrom, widthTo } - control is null for lines;
+ *          widthFrom/widthTo are the points whose pressure sets the piece width
+ */
+export function getSmoothStrokeSegments(points) {
+    const last = points.length - 1;
+    if (last === 1) {
+        return [{ from: points[0], control: null, to: points[1], widthFrom: points[0], widthTo: points[1] }];
+    }
+
+    const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+    const segments = [
+        { from: points[0], control: null, to: midpoint(points[0], points[1]), widthFrom: points[0], widthTo: points[1] }
+    ];
+    for (let i = 1; i < last; i++) {
+        segments.push({
+            from: segments[segments.length - 1].to,
+            control: points[i],
+            to: midpoint(points[i], points[i + 1]),
+            widthFrom: points[i],
+            widthTo: points[i]
+        });
+    }
+    segments.push({
+        from: segments[segments.length - 1].to,
+        control: null,
+        to: points[last],
+        widthFrom: points[last - 1],
+        widthTo: points[last]
+    });
+    return segments;
+}
+
+function traceStrokeSegment(ctx, segment) {
+    if (segment.control) {
+        ctx.quadraticCurveTo(segment.control.x, segment.control.y, segment.to.x, segment.to.y);
+    } else {
+        ctx.lineTo(segment.to.x, segment.to.y);
+    }
+}
+
 /**
- * @description Draw a single freehand stroke
+ * @description Draw a single freehand stroke as a smoothed curve (see getSmoothStrokeSegments)
+ * in its pen style. Pen strokes with pressure are drawn piece by piece with varying width.
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {Object} stroke - Stroke object with points, color, width
+ * @param {Object} stroke - Stroke object with points, color, width, penStyle
  */
 export function drawSingleStroke(ctx, stroke) {
     if (!stroke.points || stroke.points.length < 2) return;
 
-    ctx.beginPath();
+    ctx.save();
     ctx.strokeStyle = stroke.color || '#333333';
-    ctx.lineWidth = stroke.width || 3;
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
+    ctx.setLineDash(getStrokeDash(stroke));
+    if (stroke.penStyle === 'highlighter') {
+        // Tints what it crosses instead of covering it
+        ctx.globalAlpha = HIGHLIGHTER_OPACITY;
+        ctx.globalCompositeOperation = 'multiply';
+    }
 
-    ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
-    for (let i = 1; i < stroke.points.length; i++) {
-        ctx.lineTo(stroke.points[i].x, stroke.points[i].y);
+    const segments = getSmoothStrokeSegments(stroke.points);
+    if (drawsStrokePressure(stroke)) {
+        for (const segment of segments) {
+            ctx.beginPath();
+            ctx.lineWidth = getStrokeSegmentWidth(stroke, segment.widthFrom, segment.widthTo);
+            ctx.moveTo(segment.from.x, segment.from.y);
+            traceStrokeSegment(ctx, segment);
+            ctx.stroke();
+        }
+    } else {
+        ctx.beginPath();
+        ctx.lineWidth = stroke.width || 3;
+        ctx.moveTo(segments[0].from.x, segments[0].from.y);
+        for (const segment of segments) {
+            traceStrokeSegment(ctx, segment);
+        }
+        ctx.stroke();
     }
-    ctx.stroke();
+
+    const arrowhead = getStrokeArrowhead(stroke);
+    if (arrowhead) {
+        ctx.translate(arrowhead.to.x, arrowhead.to.y);
+        ctx.scale(arrowhead.scale, arrowhead.scale);
+        ctx.translate(-arrowhead.to.x, -arrowhead.to.y);
+        drawArrowhead(ctx, arrowhead.from, arrowhead.to, stroke.color);
+    }
+    ctx.restore();
 }
 
 // ========== Connector Drawing ==========
@@ -1006,23 +1437,114 @@ export function drawSingleStroke(ctx, stroke) {
  * @param {string} color - Arrow color
  */
 export function drawArrowhead(ctx, from, to, color) {
-    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const [tip, left, right] = getArrowheadPoints(from, to);
 
     ctx.beginPath();
     ctx.fillStyle = color || '#333333';
-    ctx.moveTo(to.x, to.y);
-    ctx.lineTo(
-        to.x - ARROWHEAD_SIZE * Math.cos(angle - Math.PI / 6),
-        to.y - ARROWHEAD_SIZE * Math.sin(angle - Math.PI / 6)
-    );
-    ctx.lineTo(
-        to.x - ARROWHEAD_SIZE * Math.cos(angle + Math.PI / 6),
-        to.y - ARROWHEAD_SIZE * Math.sin(angle + Math.PI / 6)
-    );
+    ctx.moveTo(tip.x, tip.y);
+    ctx.lineTo(left.x, left.y);
+    ctx.lineTo(right.x, right.y);
     ctx.closePath();
     ctx.fill();
 }
 
+/**
+ * @description Get the three corners of an arrowhead pointing from `from` to `to`
+ * @param {Object} from - Direction reference point {x, y}
+ * @param {Object} to - Arrow tip {x, y}
+ * @returns {Array} [tip, left, right] points
+ */
+export function getArrowheadPoints(from, to) {
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    return [
+        { x: to.x, y: to.y },
+        {
+            x: to.x - ARROWHEAD_SIZE * Math.cos(angle - Math.PI / 6),
+            y: to.y - ARROWHEAD_SIZE * Math.sin(angle - Math.PI / 6)
+        },
+        {
+            x: to.x - ARROWHEAD_SIZE * Math.cos(angle + Math.PI / 6),
+            y: to.y - ARROWHEAD_SIZE * Math.sin(angle + Math.PI / 6)
+        }
+    ];
+}
+
+/**
+ * @description Get the arrowheads a connector needs as direction/tip pairs
+ * @param {Object} connector - Connector object
+ * @param {Object} start - Resolved start point {x, y}
+ * @param {Object} end - Resolved end point {x, y}
+ * @returns {Array} Array of { from, to } pairs (empty for plain lines)
+ */
+export function getConnectorArrowheads(connector, start, end) {
+    const type = connector.connectorType;
+
+    if (type === 'bidirectional') {
+        return [{ from: start, to: end }, { from: end, to: start }];
+    }
+    if (type !== 'arrow' && type !== 'elbow' && type !== 'curved') {
+        return [];
+    }
+
+    // For elbow, calculate angle from last segment
+    if (type === 'elbow' && connector.waypoints && connector.waypoints.length > 0) {
+        return [{ from: connector.waypoints[connector.waypoints.length - 1], to: end }];
+    }
+    // For curved, use control point 2 as direction reference
+    if (type === 'curved' && connector.controlPoint2) {
+        return [{ from: connector.controlPoint2, to: end }];
+    }
+    return [{ from: start, to: end }];
+}
+
+/**
+ * @description Get default bezier control points for a curved connector
+ * @param {Object} connector - Connector object
+ * @param {Object} start - Resolved start point {x, y}
+ * @param {Object} end - Resolved end point {x, y}
+ * @returns {Object} { cp1, cp2 }
+ */
+export function getCurveControlPoints(connector, start, end) {
+    return {
+        cp1: connector.controlPoint1 || { x: start.x + (end.x - start.x) * 0.25, y: start.y },
+        cp2: connector.controlPoint2 || { x: end.x - (end.x - start.x) * 0.25, y: end.y }
+    };
+}
+
+/**
+ * @description Draw a complete (unselected) connector: path, arrowheads and label
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} connector - Connector object
+ * @param {Object} start - Resolved start point {x, y}
+ * @param {Object} end - Resolved end point {x, y}
+ */
+export function drawConnectorLine(ctx, connector, start, end) {
+    ctx.strokeStyle = connector.color || '#333333';
+    ctx.lineWidth = connector.lineWidth || 2;
+    ctx.setLineDash([]);
+
+    if (connector.connectorType === 'elbow') {
+        drawElbowPath(ctx, start, end, connector.waypoints || []);
+    } else if (connector.connectorType === 'curved') {
+        drawCurvedPath(ctx, start, end, connector.controlPoint1, connector.controlPoint2);
+    } else {
+        // Straight line (arrow, line, bidirectional)
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+    }
+
+    for (const { from, to } of getConnectorArrowheads(connector, start, end)) {
+        drawArrowhead(ctx, from, to, connector.color);
+    }
+
+    // US-42: Draw connector label if present
+    if (connector.label) {
+        drawConnectorLabel(ctx, connector, start, end);
+    }
+}
+
 /**
  * @description Draw an elbow (orthogonal) connector path
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -1053,8 +1575,9 @@ export function drawElbowPath(ctx, start, end, waypoints = []) {
  * @param {Object} cp2 - Control point 2 {x, y}
  */
 export function drawCurvedPath(ctx, start, end, cp1, cp2) {
-    const controlPoint1 = cp1 || { x: start.x + (end.x - start.x) * 0.25, y: start.y };
-    const controlPoint2 = cp2 || { x: end.x - (end.x - start.x) * 0.25, y: end.y };
+    const defaults = getCurveControlPoints({}, start, end);
+    const controlPoint1 = cp1 || defaults.cp1;
+    const controlPoint2 = cp2 || defaults.cp2;
 
     ctx.beginPath();
     ctx.moveTo(start.x, start.y);
@@ -1194,6 +1717,29 @@ export function getPointOnElbow(points, t) {
     return points[points.length - 1];
 }
 
+/**
+ * @description Get the label anchor point along a connector (respects labelPosition)
+ * @param {Object} connector - Connector object with labelPosition
+ * @param {Object} start - Resolved start point {x, y}
+ * @param {Object} end - Resolved end point {x, y}
+ * @returns {Object} Point {x, y}
+ */
+export function getConnectorLabelPosition(connector, start, end) {
+    const labelPosition = connector.labelPosition ?? 0.5;
+
+    // Calculate position based on connector type
+    if (connector.connectorType === 'curved') {
+        const { cp1, cp2 } = getCurveControlPoints(connector, start, end);
+        return getPointOnBezier(start, cp1, cp2, end, labelPosition);
+    }
+    if (connector.connectorType === 'elbow') {
+        const points = [start, ...(connector.waypoints || []), end];
+        return getPointOnElbow(points, labelPosition);
+    }
+    // Straight line (arrow, line)
+    return getPointOnLine(start, end, labelPosition);
+}
+
 /**
  * @description Draw a connector label with white pill background
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -1204,22 +1750,7 @@ export function getPointOnElbow(points, t) {
 export function drawConnectorLabel(ctx, connector, start, end) {
     if (!connector.label) return;
 
-    const labelPosition = connector.labelPosition ?? 0.5;
-    let pos;
-
-    // Calculate position based on connector type
-    if (connector.connectorType === 'curved') {
-        const cp1 = connector.controlPoint1 || { x: start.x + (end.x - start.x) * 0.25, y: start.y };
-        const cp2 = connector.controlPoint2 || { x: end.x - (end.x - start.x) * 0.25, y: end.y };
-        pos = getPointOnBezier(start, cp1, cp2, end, labelPosition);
-    } else if (connector.connectorType === 'elbow') {
-        const waypoints = connector.waypoints || [];
-        const points = [start, ...waypoints, end];
-        pos = getPointOnElbow(points, labelPosition);
-    } else {
-        // Straight line (arrow, line)
-        pos = getPointOnLine(start, end, labelPosition);
-    }
+    const pos = getConnectorLabelPosition(connector, start, end);
 
     // Draw label
     const fontSize = connector.labelFontSize || 12;
@@ -1260,20 +1791,7 @@ export function drawConnectorLabel(ctx, connector, start, end) {
 export function getConnectorLabelBounds(connector, start, end) {
     if (!connector.label) return null;
 
-    const labelPosition = connector.labelPosition ?? 0.5;
-    let pos;
-
-    if (connector.connectorType === 'curved') {
-        const cp1 = connector.controlPoint1 || { x: start.x + (end.x - start.x) * 0.25, y: start.y };
-        const cp2 = connector.controlPoint2 || { x: end.x - (end.x - start.x) * 0.25, y: end.y };
-        pos = getPointOnBezier(start, cp1, cp2, end, labelPosition);
-    } else if (connector.connectorType === 'elbow') {
-        const waypoints = connector.waypoints || [];
-        const points = [start, ...waypoints, end];
-        pos = getPointOnElbow(points, labelPosition);
-    } else {
-        pos = getPointOnLine(start, end, labelPosition);
-    }
+    const pos = getConnectorLabelPosition(connector, start, end);
 
     // Estimate label size (matches drawConnectorLabel)
     const fontSize = connector.labelFontSize || 12;
@@ -1336,26 +1854,100 @@ export function findClosestPositionOnConnector(connector, start, end, mouseX, mo
     return Math.max(0.05, Math.min(0.95, closestT));
 }
 
+// ========== Grid ==========
+
+const MIN_GRID_SPACING = 8; // px on screen - coarser grid lines are drawn when zoomed further out
+
+/**
+ * @description Draw the background grid over the visible part of the unbounded canvas.
+ * Zoomed far out, the grid spacing grows in steps of 5 so the lines stay apart.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (zoom and pan applied)
+ * @param {Object} viewport - Visible world area { minX, minY, maxX, maxY }
+ * @param {number} zoomLevel - Current zoom
+ */
+export function drawGrid(ctx, viewport, zoomLevel) {
+    let spacing = GRID_SIZE;
+    while (spacing * zoomLevel < MIN_GRID_SPACING) {
+        spacing *= 5;
+    }
+
+    const left = Math.floor(viewport.minX / spacing) * spacing;
+    const top = Math.floor(viewport.minY / spacing) * spacing;
+    const right = Math.ceil(viewport.maxX / spacing) * spacing;
+    const bottom = Math.ceil(viewport.maxY / spacing) * spacing;
+
+    ctx.strokeStyle = '#e5e5e5';
+    // One world unit, but never thicker than a screen pixel when zoomed in
+    ctx.lineWidth = Math.min(1, 1 / zoomLevel);
+
+    ctx.beginPath();
+    for (let x = left; x <= right; x += spacing) {
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+    }
+    for (let y = top; y <= bottom; y += spacing) {
+        ctx.moveTo(left, y);
+        ctx.lineTo(right, y);
+    }
+    ctx.stroke();
+}
+
+// ========== Comment Pins ==========
+
+export const COMMENT_PIN_RADIUS = 11;
+
+/**
+ * @description Get the position of an element's comment pin (just outside its top-right corner)
+ * @param {Object} obj - Canvas object with x, y, width
+ * @returns {Object} Pin center {x, y}
+ */
+export function getCommentPinPosition(obj) {
+    return { x: obj.x + obj.width + 4, y: obj.y - 4 };
+}
+
+/**
+ * @description Draw a comment pin: speech bubble with the number of open threads
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - Pin center X
+ * @param {number} y - Pin center Y
+ * @param {number} count - Open threads on the element
+ * @param {boolean} isActive - Highlight the pin of the thread shown in the panel
+ */
+export function drawCommentPin(ctx, x, y, count, isActive = false) {
+    const r = COMMENT_PIN_RADIUS;
+    ctx.save();
+    ctx.fillStyle = isActive ? '#fe9339' : '#0176d3';
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+
+    // Bubble with a tail pointing down-left at the element corner
+    ctx.beginPath();
+    ctx.moveTo(x - r * 0.7, y + r * 0.7);
+    ctx.arc(x, y, r, Math.PI * 0.75, Math.PI * 0.6, false);
+    ctx.lineTo(x - r, y + r + 3);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(count > 9 ? '9+' : String(count), x, y + 0.5);
+    ctx.restore();
+}
+
 // ========== Fit to Content (US-34) ==========
 
 /**
- * @description Calculate zoom and pan to fit all content in view
+ * @description Calculate the world-space bounding box of all content (objects, stroke points, connector endpoints)
  * @param {Array} objects - Canvas objects
  * @param {Array} strokes - Freehand strokes
  * @param {Array} connectors - Connector lines
- * @param {number} canvasWidth - Canvas element width
- * @param {number} canvasHeight - Canvas element height
- * @param {Object} options - { padding, minZoom, maxZoom, resolveConnectorPoint }
- * @returns {Object} { zoomLevel, panOffsetX, panOffsetY, hasContent }
+ * @param {Function} resolveConnectorPoint - Optional function (connector, 'start'|'end') => {x, y}
+ * @returns {Object|null} { minX, minY, maxX, maxY, width, height } or null if there is no content
  */
-export function calculateFitToContent(objects, strokes, connectors, canvasWidth, canvasHeight, options = {}) {
-    const {
-        padding = 50,
-        minZoom = 0.5,
-        maxZoom = 2.0,
-        resolveConnectorPoint = null // Function to resolve connector anchors
-    } = options;
-
+export function calculateContentBounds(objects = [], strokes = [], connectors = [], resolveConnectorPoint = null) {
     // Initialize bounds to invalid state
     let minX = Infinity;
     let minY = Infinity;
@@ -1419,8 +2011,35 @@ export function calculateFitToContent(objects, strokes, connectors, canvasWidth,
         }
     }
 
+    if (minX === Infinity || maxX === -Infinity) {
+        return null;
+    }
+
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * @description Calculate zoom and pan to fit all content in view
+ * @param {Array} objects - Canvas objects
+ * @param {Array} strokes - Freehand strokes
+ * @param {Array} connectors - Connector lines
+ * @param {number} canvasWidth - Canvas element width
+ * @param {number} canvasHeight - Canvas element height
+ * @param {Object} options - { padding, minZoom, maxZoom, resolveConnectorPoint }
+ * @returns {Object} { zoomLevel, panOffsetX, panOffsetY, hasContent, bounds }
+ */
+export function calculateFitToContent(objects, strokes, connectors, canvasWidth, canvasHeight, options = {}) {
+    const {
+        padding = 50,
+        minZoom = 0.5,
+        maxZoom = 2.0,
+        resolveConnectorPoint = null // Function to resolve connector anchors
+    } = options;
+
+    const bounds = calculateContentBounds(objects, strokes, connectors, resolveConnectorPoint);
+
     // Check if we have any content
-    const hasContent = minX !== Infinity && maxX !== -Infinity;
+    const hasContent = bounds !== null;
 
     if (!hasContent) {
         // No content - return default view
@@ -1428,10 +2047,13 @@ export function calculateFitToContent(objects, strokes, connectors, canvasWidth,
             zoomLevel: 1.0,
             panOffsetX: 0,
             panOffsetY: 0,
-            hasContent: false
+            hasContent: false,
+            bounds: null
         };
     }
 
+    const { minX, minY, maxX, maxY } = bounds;
+
     // Calculate content dimensions with padding
     const contentWidth = maxX - minX + padding * 2;
     const contentHeight = maxY - minY + padding * 2;
@@ -1443,7 +2065,7 @@ export function calculateFitToContent(objects, strokes, connectors, canvasWidth,
     // Use smaller zoom to fit both dimensions, clamped to limits
     let zoomLevel = Math.min(zoomX, zoomY);
     zoomLevel = Math.max(minZoom, Math.min(maxZoom, zoomLevel));
-    zoomLevel = Math.round(zoomLevel * 10) / 10; // Round to 1 decimal
+    zoomLevel = Math.round(zoomLevel * 100) / 100; // Round to whole percent (zoom goes below 10%)
 
     // Calculate pan to center content
     const contentCenterX = minX + (maxX - minX) / 2;
@@ -1459,6 +2081,7 @@ export function calculateFitToContent(objects, strokes, connectors, canvasWidth,
         zoomLevel,
         panOffsetX,
         panOffsetY,
-        hasContent: true
+        hasContent: true,
+        bounds
     };
 }
\ No newline at end of file
@@ -0,0 +1,914 @@
+/**
+ * @description Canvas export utilities (PNG, SVG) for SF-Collab.
+ * Used by both collab_collaborativeCanvas (Launcher) and collab_canvasViewerOnly (Viewer).
+ *
+ * PNG export renders the board offscreen through collab_canvasDrawingUtils, so the image
+ * matches what users see on screen. SVG export emits true vector elements for every object
+ * type, reusing the shared text layout and connector geometry helpers.
+ *
+ * A "board" is a plain object: { objects, strokes, connectors, iconImages, resolveConnectorPoint }.
+ * Export never includes the grid, selection handles or remote cursors.
+ *
+ * @author Nils Lehsten
+ * @date 2026-10-19
+ */
+import {
+    drawSticky,
+    drawRectangle,
+    drawCircle,
+    drawDiamond,
+    drawTriangle,
+    drawHexagon,
+    drawParallelogram,
+    drawCylinder,
+    drawCloud,
+    drawRoundedRectangle,
+    drawDocument,
+    drawRecord,
+    drawActivity,
+    drawSingleStroke,
+    drawsStrokePressure,
+    getStrokeSegmentWidth,
+    getSmoothStrokeSegments,
+    getStrokeDash,
+    getStrokeArrowhead,
+    HIGHLIGHTER_OPACITY,
+    drawConnectorLine,
+    calculateContentBounds,
+    getShapeTextLayout,
+    getStickyTextLayout,
+    getRecordCardLayout,
+    getArrowheadPoints,
+    getConnectorArrowheads,
+    getCurveControlPoints,
+    getConnectorLabelPosition,
+    darkenColor,
+    lightenColor,
+    ICON_COLORS,
+    ACTIVITY_ICON_COLORS
+} from 'c/collab_canvasDrawingUtils';
+
+// ========== Constants ==========
+
+export const EXPORT_PADDING = 40; // px - whitespace around content
+export const PNG_EXPORT_SCALES = [1, 2, 4];
+export const MAX_EXPORT_DIMENSION = 8192; // px - browsers refuse larger canvases
+
+// Export menu entries shared by Launcher and Viewer (value: "<format>-<scale>" or "svg")
+export const EXPORT_MENU_OPTIONS = [
+    ...PNG_EXPORT_SCALES.map(scale => ({ label: `PNG (${scale}x)`, value: `png-${scale}` })),
+    { label: 'SVG (vector)', value: 'svg' }
+];
+
+const EXPORT_BACKGROUND = '#ffffff';
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const SVG_FONT_FAMILY = 'sans-serif';
+
+// Cache of icon data URLs keyed by image src (SVG embeds icons so the file is self-contained)
+const iconDataUrlCache = new Map();
+
+// ========== Shared Helpers ==========
+
+/**
+ * @description Get the padded world-space area to export
+ * @param {Object} board - { objects, strokes, connectors, resolveConnectorPoint }
+ * @param {number} padding - Whitespace around content
+ * @returns {Object|null} { x, y, width, height } or null if the board is empty
+ */
+export function getExportArea(board, padding = EXPORT_PADDING) {
+    const bounds = calculateContentBounds(
+        board.objects || [],
+        board.strokes || [],
+        board.connectors || [],
+        board.resolveConnectorPoint
+    );
+    if (!bounds) return null;
+
+    return {
+        x: bounds.minX - padding,
+        y: bounds.minY - padding,
+        width: bounds.width + padding * 2,
+        height: bounds.height + padding * 2
+    };
+}
+
+/**
+ * @description Reduce the requested scale so the output stays within MAX_EXPORT_DIMENSION
+ * @param {Object} area - Export area { width, height }
+ * @param {number} scale - Requested scale
+ * @returns {number} Effective scale
+ */
+export function clampExportScale(area, scale) {
+    const largestSide = Math.max(area.width, area.height);
+    return Math.min(scale, MAX_EXPORT_DIMENSION / largestSide);
+}
+
+/**
+ * @description Build a download file name like "canvas-001xx0000001-2026-10-19.png"
+ * @param {string} canvasId - Canvas identifier
+ * @param {string} extension - File extension without dot
+ * @returns {string} File name
+ */
+export function getExportFileName(canvasId, extension) {
+    const safeId = String(canvasId || 'canvas').replace(/[^a-zA-Z0-9_-]/g, '_');
+    const date = new Date().toISOString().slice(0, 10);
+    return `canvas-${safeId}-${date}.${extension}`;
+}
+
+/**
+ * @description Trigger a browser download for a Blob
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+
+    // Give the browser time to start the download before releasing the URL
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * @description Combine objects and connectors sorted by zIndex (matches Launcher drawAllElements)
+ */
+function getSortedElements(board) {
+    const allElements = [
+        ...(board.objects || []).map(o => ({ element: o, isConnector: false })),
+        ...(board.connectors || []).map(c => ({ element: c, isConnector: true }))
+    ];
+    allElements.sort((a, b) => (a.element.zIndex || 0) - (b.element.zIndex || 0));
+    return allElements;
+}
+
+/**
+ * @description Resolve both ends of a connector, or null if either is missing
+ */
+function resolveConnectorEnds(board, connector) {
+    const resolve = board.resolveConnectorPoint
+        || ((c, pointType) => (pointType === 'start'
+            ? { x: c.startX, y: c.startY }
+            : { x: c.endX, y: c.endY }));
+    const start = resolve(connector, 'start');
+    const end = resolve(connector, 'end');
+    const isValid = point => point && Number.isFinite(point.x) && Number.isFinite(point.y);
+    return isValid(start) && isValid(end) ? { start, end } : null;
+}
+
+// ========== PNG Export ==========
+
+/**
+ * @description Draw a single object with the shared drawing utilities
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} obj - Canvas object
+ * @param {Object} iconImages - Map of icon type to loaded Image objects
+ */
+export function drawBoardObject(ctx, obj, iconImages = {}) {
+    switch (obj.type) {
+        case 'sticky':
+            drawSticky(ctx, obj);
+            break;
+        case 'rectangle':
+            drawRectangle(ctx, obj);
+            break;
+        case 'circle':
+            drawCircle(ctx, obj);
+            break;
+        case 'record':
+            drawRecord(ctx, obj, iconImages);
+            break;
+        case 'activity':
+            drawActivity(ctx, obj, iconImages);
+            break;
+        case 'diamond':
+            drawDiamond(ctx, obj);
+            break;
+        case 'triangle':
+            drawTriangle(ctx, obj);
+            break;
+        case 'hexagon':
+            drawHexagon(ctx, obj);
+            break;
+        case 'parallelogram':
+            drawParallelogram(ctx, obj);
+            break;
+        case 'cylinder':
+            drawCylinder(ctx, obj);
+            break;
+        case 'cloud':
+            drawCloud(ctx, obj);
+            break;
+        case 'rounded_rectangle':
+            drawRoundedRectangle(ctx, obj);
+            break;
+        case 'document':
+            drawDocument(ctx, obj);
+            break;
+        default:
+            // Groups only render a selection indicator - nothing to export
+            break;
+    }
+}
+
+/**
+ * @description Draw the whole board (strokes, then objects and connectors in z-order) onto a context.
+ * The caller sets up the world transform.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} board - Board to draw
+ */
+export function drawBoard(ctx, board) {
+    for (const stroke of board.strokes || []) {
+        drawSingleStroke(ctx, stroke);
+    }
+
+    for (const { element, isConnector } of getSortedElements(board)) {
+        if (isConnector) {
+            const ends = resolveConnectorEnds(board, element);
+            if (ends) {
+                drawConnectorLine(ctx, element, ends.start, ends.end);
+            }
+        } else {
+            drawBoardObject(ctx, element, board.iconImages);
+        }
+    }
+}
+
+/**
+ * @description Render the board into a new offscreen canvas cropped to the content bounds
+ * @param {Object} board - Board to render
+ * @param {Object} options - { scale, padding, background }
+ * @returns {HTMLCanvasElement|null} Rendered canvas, or null if the board is empty
+ */
+export function renderBoardToCanvas(board, options = {}) {
+    const { scale = 1, padding = EXPORT_PADDING, background = EXPORT_BACKGROUND } = options;
+
+    const area = getExportArea(board, padding);
+    if (!area) return null;
+
+    const effectiveScale = clampExportScale(area, scale);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(area.width * effectiveScale);
+    canvas.height = Math.ceil(area.height * effectiveScale);
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Map world coordinates into the cropped, scaled output
+    ctx.setTransform(
+        effectiveScale, 0, 0,
+        effectiveScale,
+        -area.x * effectiveScale,
+        -area.y * effectiveScale
+    );
+    drawBoard(ctx, board);
+
+    return canvas;
+}
+
+/**
+ * @description Export the board as a PNG download
+ * @param {Object} board - Board to export
+ * @param {Object} options - { scale, fileName }
+ * @returns {Promise<boolean>} false if there was nothing to export
+ */
+export async function exportBoardAsPng(board, options = {}) {
+    const canvas = renderBoardToCanvas(board, options);
+    if (!canvas) return false;
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) {
+        throw new Error('The browser could not encode the PNG image');
+    }
+
+    downloadBlob(blob, options.fileName || 'canvas.png');
+    return true;
+}
+
+// ========== SVG Export ==========
+
+function fmt(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function svgAttrs(attrs) {
+    return Object.entries(attrs)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => `${name}="${escapeXml(typeof value === 'number' ? fmt(value) : value)}"`)
+        .join(' ');
+}
+
+function svgElement(tag, attrs, content) {
+    return content === undefined
+        ? `<${tag} ${svgAttrs(attrs)}/>`
+        : `<${tag} ${svgAttrs(attrs)}>${content}</${tag}>`;
+}
+
+function pointsAttr(points) {
+    return points.map(p => `${fmt(p.x)},${fmt(p.y)}`).join(' ');
+}
+
+/**
+ * @description SVG text element. Mirrors canvas fillText including the maxWidth squeeze.
+ */
+function svgText(measureCtx, text, x, y, style) {
+    const {
+        size,
+        weight,
+        color,
+        align = 'left',
+        baseline = 'middle',
+        maxWidth
+    } = style;
+
+    const attrs = {
+        x,
+        y,
+        'font-family': SVG_FONT_FAMILY,
+        'font-size': size,
+        'font-weight': weight,
+        fill: color,
+        'text-anchor': align === 'center' ? 'middle' : (align === 'right' ? 'end' : 'start'),
+        'dominant-baseline': baseline === 'top' ? 'text-before-edge' : 'central'
+    };
+
+    if (maxWidth !== undefined) {
+        measureCtx.font = `${weight === 'bold' ? 'bold ' : ''}${size}px ${SVG_FONT_FAMILY}`;
+        if (measureCtx.measureText(text).width > maxWidth) {
+            attrs.textLength = maxWidth;
+            attrs.lengthAdjust = 'spacingAndGlyphs';
+        }
+    }
+
+    return svgElement('text', attrs, escapeXml(text));
+}
+
+function textLayoutToSvg(measureCtx, layout) {
+    if (!layout) return '';
+    return layout.lines
+        .map(line => svgText(measureCtx, line.text, line.x, line.y, {
+            size: layout.fontSize,
+            color: layout.color,
+            align: layout.align,
+            baseline: layout.baseline
+        }))
+        .join('');
+}
+
+function truncateToWidth(measureCtx, text, maxWidth) {
+    if (measureCtx.measureText(text).width <= maxWidth) {
+        return text;
+    }
+    let truncated = text;
+    while (measureCtx.measureText(truncated + '...').width > maxWidth && truncated.length > 0) {
+        truncated = truncated.slice(0, -1);
+    }
+    return truncated + '...';
+}
+
+function roundedRectPath(x, y, width, height, radius) {
+    return [
+        `M ${fmt(x + radius)} ${fmt(y)}`,
+        `L ${fmt(x + width - radius)} ${fmt(y)}`,
+        `Q ${fmt(x + width)} ${fmt(y)} ${fmt(x + width)} ${fmt(y + radius)}`,
+        `L ${fmt(x + width)} ${fmt(y + height - radius)}`,
+        `Q ${fmt(x + width)} ${fmt(y + height)} ${fmt(x + width - radius)} ${fmt(y + height)}`,
+        `L ${fmt(x + radius)} ${fmt(y + height)}`,
+        `Q ${fmt(x)} ${fmt(y + height)} ${fmt(x)} ${fmt(y + height - radius)}`,
+        `L ${fmt(x)} ${fmt(y + radius)}`,
+        `Q ${fmt(x)} ${fmt(y)} ${fmt(x + radius)} ${fmt(y)}`,
+        'Z'
+    ].join(' ');
+}
+
+/**
+ * @description Convert a loaded icon Image into a data URL so it can be embedded in the SVG
+ */
+function getIconDataUrl(iconImg) {
+    if (!iconImg || !iconImg.complete || !iconImg.naturalWidth) return null;
+    if (iconDataUrlCache.has(iconImg.src)) {
+        return iconDataUrlCache.get(iconImg.src);
+    }
+
+    let dataUrl = null;
+    try {
+        const canvas = document.createElement('canvas');
+        canvas.width = iconImg.naturalWidth;
+        canvas.height = iconImg.naturalHeight;
+        canvas.getContext('2d').drawImage(iconImg, 0, 0);
+        dataUrl = canvas.toDataURL('image/png');
+    } catch (error) {
+        // Tainted canvas - fall back to the letter placeholder
+        dataUrl = null;
+    }
+    iconDataUrlCache.set(iconImg.src, dataUrl);
+    return dataUrl;
+}
+
+/**
+ * @description SVG for an icon circle with embedded image or first-letter fallback
+ */
+function iconToSvg(measureCtx, iconImg, cx, cy, radius, bgColor, imageSize, fallbackLetter, letterSize) {
+    let svg = svgElement('circle', { cx, cy, r: radius, fill: bgColor });
+    const dataUrl = getIconDataUrl(iconImg);
+    if (dataUrl) {
+        svg += svgElement('image', {
+            href: dataUrl,
+            x: cx - imageSize / 2,
+            y: cy - imageSize / 2,
+            width: imageSize,
+            height: imageSize
+        });
+    } else if (fallbackLetter) {
+        svg += svgText(measureCtx, fallbackLetter, cx, cy, {
+            size: letterSize,
+            weight: 'bold',
+            color: '#ffffff',
+            align: 'center'
+        });
+    }
+    return svg;
+}
+
+function outlineAttrs(obj) {
+    return {
+        fill: obj.color || '#E8E8E8',
+        stroke: obj.borderColor || '#666666',
+        'stroke-width': obj.borderWidth || 2
+    };
+}
+
+/**
+ * @description Path data for simple outlined shapes (mirrors the canvas path commands)
+ */
+function getShapePathData(obj) {
+    const { x, y, width, height } = obj;
+
+    switch (obj.type) {
+        case 'rectangle':
+            return `M ${fmt(x)} ${fmt(y)} h ${fmt(width)} v ${fmt(height)} h ${fmt(-width)} Z`;
+        case 'diamond': {
+            const cx = x + width / 2;
+            const cy = y + height / 2;
+            return `M ${pointsAttr([{ x: cx, y }, { x: x + width, y: cy }, { x: cx, y: y + height }, { x, y: cy }]).replace(/ /g, ' L ')} Z`;
+        }
+        case 'triangle':
+            return `M ${pointsAttr([{ x: x + width / 2, y }, { x: x + width, y: y + height }, { x, y: y + height }]).replace(/ /g, ' L ')} Z`;
+        case 'hexagon': {
+            const points = [];
+            for (let i = 0; i < 6; i++) {
+                const angle = (Math.PI / 3) * i - Math.PI / 2;
+                points.push({
+                    x: x + width / 2 + (width / 2) * Math.cos(angle),
+                    y: y + height / 2 + (height / 2) * Math.sin(angle)
+                });
+            }
+            return `M ${pointsAttr(points).replace(/ /g, ' L ')} Z`;
+        }
+        case 'parallelogram': {
+            const skew = width * 0.2;
+            return `M ${pointsAttr([
+                { x: x + skew, y },
+                { x: x + width, y },
+                { x: x + width - skew, y: y + height },
+                { x, y: y + height }
+            ]).replace(/ /g, ' L ')} Z`;
+        }
+        case 'rounded_rectangle':
+            return roundedRectPath(x, y, width, height, Math.min(20, width / 4, height / 4));
+        case 'cloud': {
+            const sx = width / 24;
+            const sy = height / 18;
+            const p = (px, py) => `${fmt(x + px * sx)} ${fmt(y + py * sy)}`;
+            return [
+                `M ${p(4, 17)}`,
+                `C ${p(1, 17)} ${p(0, 14)} ${p(0.5, 12)}`,
+                `C ${p(1, 9)} ${p(3, 7)} ${p(5, 7)}`,
+                `C ${p(5, 4)} ${p(8, 2)} ${p(11, 2)}`,
+                `C ${p(15, 2)} ${p(19, 5)} ${p(20, 9)}`,
+                `C ${p(23, 10)} ${p(24, 13)} ${p(23, 15)}`,
+                `C ${p(23, 17)} ${p(21, 17)} ${p(19, 17)}`,
+                `L ${p(4, 17)}`,
+                'Z'
+            ].join(' ');
+        }
+        case 'document': {
+            const wave = height * 0.1;
+            const p = (px, py) => `${fmt(px)} ${fmt(py)}`;
+            return [
+                `M ${p(x, y)}`,
+                `L ${p(x + width, y)}`,
+                `L ${p(x + width, y + height - wave)}`,
+                `C ${p(x + width * 0.75, y + height - wave * 2)} ${p(x + width * 0.5, y + height)} ${p(x + width * 0.25, y + height - wave)}`,
+                `C ${p(x + width * 0.1, y + height - wave * 1.5)} ${p(x, y + height - wave * 0.5)} ${p(x, y + height - wave)}`,
+                `L ${p(x, y)}`,
+                'Z'
+            ].join(' ');
+        }
+        default:
+            return null;
+    }
+}
+
+function cylinderToSvg(obj) {
+    const { x, y, width, height } = obj;
+    const color = obj.color || '#E8E8E8';
+    const border = { stroke: obj.borderColor || '#666666', 'stroke-width': obj.borderWidth || 2 };
+    const ellipseHeight = height * 0.15;
+    const bodyTop = y + ellipseHeight / 2;
+    const bodyBottom = y + height - ellipseHeight / 2;
+    const rx = width / 2;
+    const ry = ellipseHeight / 2;
+
+    return [
+        // Bottom ellipse (visible lower half)
+        svgElement('path', {
+            d: `M ${fmt(x + width)} ${fmt(bodyBottom)} A ${fmt(rx)} ${fmt(ry)} 0 0 1 ${fmt(x)} ${fmt(bodyBottom)}`,
+            fill: darkenColor(color, 15),
+            ...border
+        }),
+        // Body
+        svgElement('rect', { x, y: bodyTop, width, height: bodyBottom - bodyTop, fill: color }),
+        // Side lines
+        svgElement('path', {
+            d: `M ${fmt(x)} ${fmt(bodyTop)} L ${fmt(x)} ${fmt(bodyBottom)} M ${fmt(x + width)} ${fmt(bodyTop)} L ${fmt(x + width)} ${fmt(bodyBottom)}`,
+            fill: 'none',
+            ...border
+        }),
+        // Top ellipse
+        svgElement('ellipse', { cx: x + rx, cy: bodyTop, rx, ry, fill: lightenColor(color, 10), ...border })
+    ].join('');
+}
+
+function recordToSvg(measureCtx, obj, iconImages) {
+    const iconKey = obj.objectApiName ? obj.objectApiName.toLowerCase() : null;
+    const iconBgColor = iconKey ? (ICON_COLORS[iconKey] || ICON_COLORS.default) : ICON_COLORS.default;
+
+    let svg = svgElement('path', {
+        d: roundedRectPath(obj.x, obj.y, obj.width, obj.height, 6),
+        fill: obj.color || '#f4f6f9',
+        stroke: '#d8d8d8',
+        'stroke-width': 1,
+        filter: 'url(#card-shadow)'
+    });
+    svg += iconToSvg(
+        measureCtx,
+        iconKey ? iconImages[iconKey] : null,
+        obj.x + 20, obj.y + 18, 14,
+        iconBgColor, 20,
+        obj.objectApiName ? obj.objectApiName[0] : 'R', 14
+    );
+
+    const layout = getRecordCardLayout(measureCtx, obj);
+    svg += svgText(measureCtx, layout.name.text, layout.name.x, layout.name.y, {
+        size: 13, weight: 'bold', color: layout.name.color, maxWidth: layout.name.maxWidth
+    });
+    for (const row of layout.rows) {
+        svg += svgText(measureCtx, row.label, row.labelX, row.y, { size: 11, color: '#706e6b' });
+        svg += svgText(measureCtx, row.value, row.valueX, row.y, {
+            size: 11, color: '#181818', maxWidth: row.maxWidth
+        });
+    }
+    if (layout.subtitle) {
+        svg += svgText(measureCtx, layout.subtitle.text, layout.subtitle.x, layout.subtitle.y, {
+            size: 11, color: '#706e6b', maxWidth: layout.subtitle.maxWidth
+        });
+    }
+    if (layout.badge) {
+        const { label, color, x, y, width, height } = layout.badge;
+        svg += svgElement('rect', { x, y, width, height, rx: height / 2, fill: color });
+        svg += svgText(measureCtx, label, x + width / 2, y + height / 2, {
+            size: 10, weight: 'bold', color: '#ffffff', align: 'center'
+        });
+    }
+    return svg;
+}
+
+function activityToSvg(measureCtx, obj, iconImages) {
+    const { x, y, width, height, subject, subtitle, activityType, color,
+            whoName, whoObjectType, whatName, whatObjectType } = obj;
+
+    const iconSize = 28;
+    const iconX = x + 10;
+    const iconY = y + 18 - iconSize / 2;
+    const textX = iconX + iconSize + 10;
+    const textMaxWidth = width - iconSize - 30;
+
+    let svg = svgElement('path', {
+        d: roundedRectPath(x, y, width, height, 4),
+        fill: color || '#f4f6f9',
+        stroke: '#dddbda',
+        'stroke-width': 1,
+        filter: 'url(#card-shadow)'
+    });
+    svg += iconToSvg(
+        measureCtx,
+        iconImages?.[activityType],
+        iconX + iconSize / 2, iconY + iconSize / 2, iconSize / 2,
+        ACTIVITY_ICON_COLORS[activityType] || '#7f8de1', 18,
+        activityType ? activityType[0].toUpperCase() : 'A', 12
+    );
+
+    measureCtx.font = `bold 13px ${SVG_FONT_FAMILY}`;
+    svg += svgText(measureCtx, truncateToWidth(measureCtx, subject || 'No Subject', textMaxWidth), textX, y + 8, {
+        size: 13, weight: 'bold', color: '#080707', baseline: 'top'
+    });
+    if (subtitle) {
+        svg += svgText(measureCtx, subtitle, textX, y + 25, {
+            size: 11, color: '#706e6b', baseline: 'top', maxWidth: textMaxWidth
+        });
+    }
+
+    // US-36: Related records line with icons
+    if (whoName || whatName) {
+        const relatedY = y + 50;
+        const smallIconSize = 14;
+        let relatedX = textX;
+
+        const relatedToSvg = (name, objectType, maxWidth) => {
+            const iconKey = objectType.toLowerCase();
+            let part = iconToSvg(
+                measureCtx,
+                iconImages?.[iconKey],
+                relatedX + smallIconSize / 2, relatedY, smallIconSize / 2,
+                ICON_COLORS[iconKey] || '#7f8de1', 10
+            );
+            relatedX += smallIconSize + 4;
+            measureCtx.font = `11px ${SVG_FONT_FAMILY}`;
+            const truncated = truncateToWidth(measureCtx, name, maxWidth);
+            part += svgText(measureCtx, truncated, relatedX, relatedY, { size: 11, color: '#706e6b' });
+            relatedX += measureCtx.measureText(truncated).width + 10;
+            return part;
+        };
+
+        if (whoName && whoObjectType) {
+            svg += relatedToSvg(whoName, whoObjectType, whatName ? (textMaxWidth / 2 - 20) : (textMaxWidth - 20));
+        }
+        if (whoName && whatName) {
+            svg += svgText(measureCtx, '•', relatedX, relatedY, { size: 11, color: '#dddbda' });
+            relatedX += 12;
+        }
+        if (whatName && whatObjectType) {
+            svg += relatedToSvg(whatName, whatObjectType, width - (relatedX + smallIconSize + 4 - x) - 10);
+        }
+    }
+
+    return svg;
+}
+
+/**
+ * @description SVG markup for a single object
+ * @param {CanvasRenderingContext2D} measureCtx - Context used for text measurement
+ * @param {Object} obj - Canvas object
+ * @param {Object} iconImages - Map of icon type to loaded Image objects
+ * @returns {string} SVG markup ('' for types that are not exported)
+ */
+export function objectToSvg(measureCtx, obj, iconImages = {}) {
+    switch (obj.type) {
+        case 'sticky':
+            return svgElement('rect', {
+                x: obj.x,
+                y: obj.y,
+                width: obj.width,
+                height: obj.height,
+                fill: obj.color,
+                filter: 'url(#sticky-shadow)'
+            }) + textLayoutToSvg(measureCtx, getStickyTextLayout(measureCtx, obj));
+        case 'circle':
+            return svgElement('circle', {
+                cx: obj.x + obj.width / 2,
+                cy: obj.y + obj.height / 2,
+                r: Math.min(obj.width, obj.height) / 2,
+                ...outlineAttrs(obj),
+                fill: obj.color
+            }) + textLayoutToSvg(measureCtx, getShapeTextLayout(measureCtx, obj));
+        case 'cylinder':
+            return cylinderToSvg(obj) + textLayoutToSvg(measureCtx, getShapeTextLayout(measureCtx, obj));
+        case 'record':
+            return recordToSvg(measureCtx, obj, iconImages);
+        case 'activity':
+            return activityToSvg(measureCtx, obj, iconImages);
+        default: {
+            const d = getShapePathData(obj);
+            if (!d) return '';
+            const attrs = { d, ...outlineAttrs(obj) };
+            if (obj.type === 'rectangle') {
+                attrs.fill = obj.color;
+            } else if (obj.type === 'cloud') {
+                attrs['stroke-linejoin'] = 'round';
+            }
+            return svgElement('path', attrs) + textLayoutToSvg(measureCtx, getShapeTextLayout(measureCtx, obj));
+        }
+    }
+}
+
+/**
+ * @description SVG markup for a freehand stroke, smoothed and styled like drawSingleStroke
+ * @param {Object} stroke - Stroke with points, color, width, penStyle
+ * @returns {string} SVG markup
+ */
+export function strokeToSvg(stroke) {
+    if (!stroke.points || stroke.points.length < 2) return '';
+
+    const color = stroke.color || '#333333';
+    const dash = getStrokeDash(stroke);
+    const isHighlighter = stroke.penStyle === 'highlighter';
+    const path = (segments, width) => {
+        const commands = segments.map(segment => (segment.control
+            ? `Q ${fmt(segment.control.x)} ${fmt(segment.control.y)} ${fmt(segment.to.x)} ${fmt(segment.to.y)}`
+            : `L ${fmt(segment.to.x)} ${fmt(segment.to.y)}`));
+        return svgElement('path', {
+            d: `M ${fmt(segments[0].from.x)} ${fmt(segments[0].from.y)} ${commands.join(' ')}`,
+            fill: 'none',
+            stroke: color,
+            'stroke-width': width,
+            'stroke-linecap': 'round',
+            'stroke-linejoin': 'round',
+            'stroke-dasharray': dash.length ? dash.map(fmt).join(' ') : null,
+            'stroke-opacity': isHighlighter ? HIGHLIGHTER_OPACITY : null,
+            style: isHighlighter ? 'mix-blend-mode: multiply' : null
+        });
+    };
+
+    const arrowhead = getStrokeArrowhead(stroke);
+    const arrowheadSvg = arrowhead
+        ? svgElement('polygon', {
+            points: pointsAttr(getArrowheadPoints(arrowhead.from, arrowhead.to).map(point => ({
+                x: arrowhead.to.x + (point.x - arrowhead.to.x) * arrowhead.scale,
+                y: arrowhead.to.y + (point.y - arrowhead.to.y) * arrowhead.scale
+            }))),
+            fill: color
+        })
+        : '';
+
+    const segments = getSmoothStrokeSegments(stroke.points);
+    if (!drawsStrokePressure(stroke)) {
+        return path(segments, stroke.width || 3) + arrowheadSvg;
+    }
+
+    // Pen pressure: one path per run of pieces with the same width (rounded to 0.5px)
+    const runs = [];
+    for (const segment of segments) {
+        const width = Math.round(getStrokeSegmentWidth(stroke, segment.widthFrom, segment.widthTo) * 2) / 2;
+        const run = runs[runs.length - 1];
+        if (run && run.width === width) {
+            run.segments.push(segment);
+        } else {
+            runs.push({ width, segments: [segment] });
+        }
+    }
+    return runs.map(run => path(run.segments, run.width)).join('') + arrowheadSvg;
+}
+
+/**
+ * @description SVG markup for a connector: path, arrowheads and label
+ * @param {CanvasRenderingContext2D} measureCtx - Context used for label measurement
+ * @param {Object} connector - Connector object
+ * @param {Object} start - Resolved start point {x, y}
+ * @param {Object} end - Resolved end point {x, y}
+ * @returns {string} SVG markup
+ */
+export function connectorToSvg(measureCtx, connector, start, end) {
+    const color = connector.color || '#333333';
+    let d;
+
+    if (connector.connectorType === 'elbow') {
+        const points = [start, ...(connector.waypoints || []), end];
+        d = `M ${pointsAttr(points).replace(/ /g, ' L ')}`;
+    } else if (connector.connectorType === 'curved') {
+        const { cp1, cp2 } = getCurveControlPoints(connector, start, end);
+        d = `M ${fmt(start.x)} ${fmt(start.y)} C ${fmt(cp1.x)} ${fmt(cp1.y)} ${fmt(cp2.x)} ${fmt(cp2.y)} ${fmt(end.x)} ${fmt(end.y)}`;
+    } else {
+        d = `M ${fmt(start.x)} ${fmt(start.y)} L ${fmt(end.x)} ${fmt(end.y)}`;
+    }
+
+    let svg = svgElement('path', { d, fill: 'none', stroke: color, 'stroke-width': connector.lineWidth || 2 });
+
+    for (const { from, to } of getConnectorArrowheads(connector, start, end)) {
+        svg += svgElement('polygon', { points: pointsAttr(getArrowheadPoints(from, to)), fill: color });
+    }
+
+    // US-42: Label pill
+    if (connector.label) {
+        const pos = getConnectorLabelPosition(connector, start, end);
+        const fontSize = connector.labelFontSize || 12;
+        const padding = 6;
+        measureCtx.font = `${fontSize}px ${SVG_FONT_FAMILY}`;
+        const width = measureCtx.measureText(connector.label).width + padding * 2;
+        const height = fontSize + padding * 2;
+
+        svg += svgElement('rect', {
+            x: pos.x - width / 2,
+            y: pos.y - height / 2,
+            width,
+            height,
+            rx: height / 2,
+            fill: '#ffffff',
+            stroke: '#d8d8d8',
+            'stroke-width': 1
+        });
+        svg += svgText(measureCtx, connector.label, pos.x, pos.y, {
+            size: fontSize,
+            color: '#333333',
+            align: 'center'
+        });
+    }
+
+    return svg;
+}
+
+/**
+ * @description Build a standalone SVG document for the board
+ * @param {Object} board - Board to export
+ * @param {Object} options - { padding, background }
+ * @returns {string|null} SVG document, or null if the board is empty
+ */
+export function buildBoardSvg(board, options = {}) {
+    const { padding = EXPORT_PADDING, background = EXPORT_BACKGROUND } = options;
+
+    const area = getExportArea(board, padding);
+    if (!area) return null;
+
+    // Text layout needs a 2D context for measurement
+    const measureCtx = document.createElement('canvas').getContext('2d');
+    const iconImages = board.iconImages || {};
+
+    const parts = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg ${svgAttrs({
+            xmlns: SVG_NAMESPACE,
+            width: Math.ceil(area.width),
+            height: Math.ceil(area.height),
+            viewBox: `${fmt(area.x)} ${fmt(area.y)} ${fmt(area.width)} ${fmt(area.height)}`
+        })}>`,
+        '<defs>',
+        '<filter id="sticky-shadow" x="-20%" y="-20%" width="140%" height="140%">'
+            + '<feDropShadow dx="2" dy="2" stdDeviation="4" flood-color="#000000" flood-opacity="0.2"/></filter>',
+        '<filter id="card-shadow" x="-20%" y="-20%" width="140%" height="140%">'
+            + '<feDropShadow dx="0" dy="2" stdDeviation="2" flood-color="#000000" flood-opacity="0.12"/></filter>',
+        '</defs>',
+        svgElement('rect', { x: area.x, y: area.y, width: area.width, height: area.height, fill: background })
+    ];
+
+    for (const stroke of board.strokes || []) {
+        parts.push(strokeToSvg(stroke));
+    }
+
+    for (const { element, isConnector } of getSortedElements(board)) {
+        if (isConnector) {
+            const ends = resolveConnectorEnds(board, element);
+            if (ends) {
+                parts.push(connectorToSvg(measureCtx, element, ends.start, ends.end));
+            }
+        } else {
+            parts.push(objectToSvg(measureCtx, element, iconImages));
+        }
+    }
+
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+/**
+ * @description Export the board as an SVG download
+ * @param {Object} board - Board to export
+ * @param {Object} options - { fileName, padding, background }
+ * @returns {boolean} false if there was nothing to export
+ */
+export function exportBoardAsSvg(board, options = {}) {
+    const svg = buildBoardSvg(board, options);
+    if (!svg) return false;
+
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), options.fileName || 'canvas.svg');
+    return true;
+}
+
+// ========== Menu Dispatch ==========
+
+/**
+ * @description Run the export selected from EXPORT_MENU_OPTIONS
+ * @param {Object} board - Board to export
+ * @param {string} menuValue - "png-<scale>" or "svg"
+ * @param {string} canvasId - Canvas identifier used for the file name
+ * @returns {Promise<boolean>} false if there was nothing to export
+ */
+export async function exportBoard(board, menuValue, canvasId) {
+    if (menuValue === 'svg') {
+        return exportBoardAsSvg(board, { fileName: getExportFileName(canvasId, 'svg') });
+    }
+
+    const scale = Number(String(menuValue).split('-')[1]) || 1;
+    return exportBoardAsPng(board, { scale, fileName: getExportFileName(canvasId, 'png') });
+}
@@ -0,0 +1,635 @@
+/**
+ * @description Client-side PDF export for SF-Collab - no external libraries or services.
+ *
+ * PdfCanvasContext implements the subset of CanvasRenderingContext2D used by
+ * collab_canvasDrawingUtils and turns each call into PDF drawing operators, so the PDF is
+ * produced by the very same primitives that draw the on-screen canvas. Shapes, strokes and
+ * connectors are vector paths; text is real (selectable) PDF text in the standard Helvetica
+ * fonts. Characters outside the WinAnsi character set are written as '?'.
+ * Record/activity icons use their letter fallback so the output stays fully vector.
+ *
+ * Large boards are tiled across several pages; every page carries a title block with the
+ * record name, export date and last editor.
+ *
+ * @author Nils Lehsten
+ * @date 2026-10-19
+ */
+import {
+    drawBoard,
+    getExportArea,
+    downloadBlob,
+    getExportFileName,
+    EXPORT_PADDING
+} from 'c/collab_canvasExportUtils';
+
+// ========== Constants ==========
+
+// Landscape page sizes in PDF points (1/72 inch)
+export const PDF_PAGE_SIZES = {
+    a4: { label: 'A4', width: 841.89, height: 595.28 },
+    letter: { label: 'Letter', width: 792, height: 612 }
+};
+
+// Export menu entries for the Launcher (value: "pdf-<page size key>")
+export const PDF_EXPORT_MENU_OPTIONS = Object.entries(PDF_PAGE_SIZES).map(([key, size]) => ({
+    label: `PDF (${size.label})`,
+    value: `pdf-${key}`
+}));
+
+const PAGE_MARGIN = 36;          // pt
+const HEADER_HEIGHT = 44;        // pt - title block above the content area
+const MIN_PDF_SCALE = 0.5;       // pt per canvas px - below this, tile instead of shrinking
+const MAX_PDF_SCALE = 1;         // pt per canvas px - never enlarge small boards
+const TEXT_COLOR = '#181818';
+const MUTED_TEXT_COLOR = '#706e6b';
+const RULE_COLOR = '#dddbda';
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) for ASCII 32-126 (Adobe AFM)
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const DEFAULT_GLYPH_WIDTH = 556;
+
+// WinAnsi codes for common characters outside Latin-1
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+const TWO_PI = Math.PI * 2;
+
+// ========== Helpers ==========
+
+function num(value) {
+    const rounded = Math.round(value * 1000) / 1000;
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * @description Parse a CSS color (#rgb, #rrggbb, rgb(), rgba(), transparent) into 0-1 components
+ */
+function parseColor(color) {
+    if (!color || color === 'transparent') {
+        return { r: 0, g: 0, b: 0, a: 0 };
+    }
+    const value = String(color).trim().toLowerCase();
+
+    if (value.startsWith('#')) {
+        let hex = value.slice(1);
+        if (hex.length === 3) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+        const int = parseInt(hex.slice(0, 6), 16);
+        return { r: ((int >> 16) & 255) / 255, g: ((int >> 8) & 255) / 255, b: (int & 255) / 255, a: 1 };
+    }
+
+    const match = value.match(/^rgba?\(([^)]+)\)$/);
+    if (match) {
+        const [r, g, b, a = 1] = match[1].split(',').map(part => parseFloat(part));
+        return { r: r / 255, g: g / 255, b: b / 255, a };
+    }
+
+    if (value === 'white') return { r: 1, g: 1, b: 1, a: 1 };
+    return { r: 0, g: 0, b: 0, a: 1 };
+}
+
+function colorOperands(color) {
+    return `${num(color.r)} ${num(color.g)} ${num(color.b)}`;
+}
+
+/**
+ * @description Parse "bold 13px sans-serif" style font strings
+ */
+function parseFont(font) {
+    const sizeMatch = String(font || '').match(/(\d+(?:\.\d+)?)px/);
+    return {
+        size: sizeMatch ? parseFloat(sizeMatch[1]) : 10,
+        bold: /\bbold\b|\b[6-9]00\b/.test(font || '')
+    };
+}
+
+/**
+ * @description Map a character to its WinAnsi code, or null if it cannot be encoded
+ */
+function toWinAnsiCode(char) {
+    const code = char.charCodeAt(0);
+    if (WIN_ANSI_EXTRAS[char] !== undefined) return WIN_ANSI_EXTRAS[char];
+    if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return code;
+    return null;
+}
+
+/**
+ * @description Encode text as an ASCII-only PDF literal string body
+ */
+function encodePdfText(text) {
+    let encoded = '';
+    for (const char of String(text)) {
+        const code = toWinAnsiCode(char) ?? 63; // '?'
+        if (char === '(' || char === ')' || char === '\\') {
+            encoded += '\\' + char;
+        } else if (code > 126) {
+            encoded += '\\' + code.toString(8).padStart(3, '0');
+        } else {
+            encoded += String.fromCharCode(code);
+        }
+    }
+    return encoded;
+}
+
+/**
+ * @description Width of text in the Helvetica metrics, in font units of `size`
+ */
+function measureHelvetica(text, size, bold) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const char of String(text)) {
+        const code = toWinAnsiCode(char) ?? 63;
+        total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_GLYPH_WIDTH;
+    }
+    return (total * size) / 1000;
+}
+
+function formatDateTime(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// ========== PDF Canvas Context ==========
+
+/**
+ * @description Minimal CanvasRenderingContext2D look-alike that records PDF content-stream operators.
+ * Coordinates are canvas-style (y down); the page content stream flips the axis once up front.
+ */
+export class PdfCanvasContext {
+    fillStyle = '#000000';
+    strokeStyle = '#000000';
+    lineWidth = 1;
+    lineCap = 'butt';
+    lineJoin = 'miter';
+    font = '10px sans-serif';
+    textAlign = 'start';
+    textBaseline = 'alphabetic';
+
+    // Accepted for API compatibility - shadows are not rendered in PDF output
+    shadowColor = 'transparent';
+    shadowBlur = 0;
+    shadowOffsetX = 0;
+    shadowOffsetY = 0;
+
+    _ops = [];
+    _path = [];
+    _lineDash = [];
+    _stateStack = [];
+    _current = null;
+    _subpathStart = null;
+
+    /**
+     * @description The recorded content stream
+     */
+    getContent() {
+        return this._ops.join('\n');
+    }
+
+    /**
+     * @description Append raw PDF operators (used for page setup and clipping)
+     */
+    raw(operators) {
+        this._ops.push(operators);
+    }
+
+    // ----- State -----
+
+    save() {
+        this._stateStack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            lineCap: this.lineCap,
+            lineJoin: this.lineJoin,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            lineDash: this._lineDash
+        });
+    }
+
+    restore() {
+        const state = this._stateStack.pop();
+        if (!state) return;
+        const { lineDash, ...rest } = state;
+        Object.assign(this, rest);
+        this._lineDash = lineDash;
+    }
+
+    setLineDash(segments) {
+        this._lineDash = [...(segments || [])];
+    }
+
+    setTransform() {
+        // Page transforms are written with raw(); drawing primitives never transform
+    }
+
+    // ----- Paths -----
+
+    beginPath() {
+        this._path = [];
+        this._current = null;
+        this._subpathStart = null;
+    }
+
+    moveTo(x, y) {
+        this._path.push(`${num(x)} ${num(y)} m`);
+        this._current = { x, y };
+        this._subpathStart = { x, y };
+    }
+
+    lineTo(x, y) {
+        if (!this._current) {
+            this.moveTo(x, y);
+            return;
+        }
+        this._path.push(`${num(x)} ${num(y)} l`);
+        this._current = { x, y };
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        if (!this._current) {
+            this.moveTo(cp1x, cp1y);
+        }
+        this._path.push(`${num(cp1x)} ${num(cp1y)} ${num(cp2x)} ${num(cp2y)} ${num(x)} ${num(y)} c`);
+        this._current = { x, y };
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        if (!this._current) {
+            this.moveTo(cpx, cpy);
+        }
+        // Elevate the quadratic curve to an equivalent cubic
+        const p0 = this._current;
+        this.bezierCurveTo(
+            p0.x + (2 / 3) * (cpx - p0.x), p0.y + (2 / 3) * (cpy - p0.y),
+            x + (2 / 3) * (cpx - x), y + (2 / 3) * (cpy - y),
+            x, y
+        );
+    }
+
+    closePath() {
+        if (!this._current) return;
+        this._path.push('h');
+        this._current = this._subpathStart;
+    }
+
+    arc(cx, cy, radius, startAngle, endAngle, counterclockwise = false) {
+        this.ellipse(cx, cy, radius, radius, 0, startAngle, endAngle, counterclockwise);
+    }
+
+    ellipse(cx, cy, rx, ry, rotation, startAngle, endAngle, counterclockwise = false) {
+        // Sweep follows the canvas spec: full turn when the span reaches 2π, otherwise wrap
+        let sweep;
+        if (!counterclockwise) {
+            sweep = endAngle - startAngle >= TWO_PI
+                ? TWO_PI
+                : (((endAngle - startAngle) % TWO_PI) + TWO_PI) % TWO_PI;
+        } else {
+            sweep = startAngle - endAngle >= TWO_PI
+                ? -TWO_PI
+                : -((((startAngle - endAngle) % TWO_PI) + TWO_PI) % TWO_PI);
+        }
+
+        const cosR = Math.cos(rotation);
+        const sinR = Math.sin(rotation);
+        const point = t => ({
+            x: cx + rx * Math.cos(t) * cosR - ry * Math.sin(t) * sinR,
+            y: cy + rx * Math.cos(t) * sinR + ry * Math.sin(t) * cosR
+        });
+        const tangent = t => ({
+            x: -rx * Math.sin(t) * cosR - ry * Math.cos(t) * sinR,
+            y: -rx * Math.sin(t) * sinR + ry * Math.cos(t) * cosR
+        });
+
+        const start = point(startAngle);
+        if (this._current) {
+            this.lineTo(start.x, start.y);
+        } else {
+            this.moveTo(start.x, start.y);
+        }
+
+        // Approximate with cubic segments of at most 90 degrees
+        const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+        const delta = sweep / segments;
+        const k = (4 / 3) * Math.tan(delta / 4);
+
+        for (let i = 0; i < segments; i++) {
+            const t0 = startAngle + i * delta;
+            const t1 = t0 + delta;
+            const p0 = point(t0);
+            const p1 = point(t1);
+            const d0 = tangent(t0);
+            const d1 = tangent(t1);
+            this.bezierCurveTo(
+                p0.x + k * d0.x, p0.y + k * d0.y,
+                p1.x - k * d1.x, p1.y - k * d1.y,
+                p1.x, p1.y
+            );
+        }
+    }
+
+    roundRect(x, y, width, height, radii = 0) {
+        const requested = Array.isArray(radii) ? (radii[0] || 0) : radii;
+        const r = Math.max(0, Math.min(requested, Math.abs(width) / 2, Math.abs(height) / 2));
+
+        this.moveTo(x + r, y);
+        this.lineTo(x + width - r, y);
+        this.arc(x + width - r, y + r, r, -Math.PI / 2, 0);
+        this.lineTo(x + width, y + height - r);
+        this.arc(x + width - r, y + height - r, r, 0, Math.PI / 2);
+        this.lineTo(x + r, y + height);
+        this.arc(x + r, y + height - r, r, Math.PI / 2, Math.PI);
+        this.lineTo(x, y + r);
+        this.arc(x + r, y + r, r, Math.PI, Math.PI * 1.5);
+        this.closePath();
+    }
+
+    rect(x, y, width, height) {
+        this._path.push(`${num(x)} ${num(y)} ${num(width)} ${num(height)} re`);
+        this._current = { x, y };
+        this._subpathStart = { x, y };
+    }
+
+    // ----- Painting -----
+
+    fill() {
+        const color = parseColor(this.fillStyle);
+        if (!this._path.length || color.a === 0) return;
+        this._ops.push(`${colorOperands(color)} rg`, ...this._path, 'f');
+    }
+
+    stroke() {
+        const color = parseColor(this.strokeStyle);
+        if (!this._path.length || color.a === 0) return;
+        this._ops.push(this._strokeState(color), ...this._path, 'S');
+    }
+
+    fillRect(x, y, width, height) {
+        const color = parseColor(this.fillStyle);
+        if (color.a === 0) return;
+        this._ops.push(`${colorOperands(color)} rg`, `${num(x)} ${num(y)} ${num(width)} ${num(height)} re`, 'f');
+    }
+
+    strokeRect(x, y, width, height) {
+        const color = parseColor(this.strokeStyle);
+        if (color.a === 0) return;
+        this._ops.push(this._strokeState(color), `${num(x)} ${num(y)} ${num(width)} ${num(height)} re`, 'S');
+    }
+
+    drawImage() {
+        // Raster images are not embedded - callers fall back to vector placeholders
+    }
+
+    _strokeState(color) {
+        const caps = { butt: 0, round: 1, square: 2 };
+        const joins = { miter: 0, round: 1, bevel: 2 };
+        return [
+            `${colorOperands(color)} RG`,
+            `${num(this.lineWidth)} w`,
+            `${caps[this.lineCap] ?? 0} J`,
+            `${joins[this.lineJoin] ?? 0} j`,
+            `[${this._lineDash.map(num).join(' ')}] 0 d`
+        ].join(' ');
+    }
+
+    // ----- Text -----
+
+    measureText(text) {
+        const { size, bold } = parseFont(this.font);
+        return { width: measureHelvetica(text, size, bold) };
+    }
+
+    fillText(text, x, y, maxWidth) {
+        const color = parseColor(this.fillStyle);
+        if (text === undefined || text === null || text === '' || color.a === 0) return;
+
+        const { size, bold } = parseFont(this.font);
+        const width = measureHelvetica(text, size, bold);
+
+        // Canvas squeezes text horizontally to honour maxWidth
+        const scaleX = maxWidth !== undefined && width > maxWidth && width > 0 ? maxWidth / width : 1;
+        const drawnWidth = width * scaleX;
+
+        let tx = x;
+        if (this.textAlign === 'center') {
+            tx -= drawnWidth / 2;
+        } else if (this.textAlign === 'right' || this.textAlign === 'end') {
+            tx -= drawnWidth;
+        }
+
+        // Shift from the canvas baseline keyword to the PDF (alphabetic) baseline
+        let ty = y;
+        if (this.textBaseline === 'top' || this.textBaseline === 'hanging') {
+            ty += size * 0.77;
+        } else if (this.textBaseline === 'middle') {
+            ty += size * 0.3;
+        } else if (this.textBaseline === 'bottom' || this.textBaseline === 'ideographic') {
+            ty -= size * 0.23;
+        }
+
+        // Text matrix flips y back so glyphs are upright inside the flipped page
+        this._ops.push(
+            `BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${colorOperands(color)} rg `
+            + `${num(scaleX)} 0 0 -1 ${num(tx)} ${num(ty)} Tm (${encodePdfText(text)}) Tj ET`
+        );
+    }
+}
+
+// ========== Document Assembly ==========
+
+/**
+ * @description Assemble a PDF file from page content streams
+ * @param {Array<string>} pageContents - Content stream per page
+ * @param {Object} pageSize - { width, height } in points
+ * @param {string} title - Document title
+ * @returns {string} PDF file contents (ASCII only)
+ */
+export function buildPdfDocument(pageContents, pageSize, title) {
+    const objects = [];
+    const pageObjectIds = pageContents.map((content, index) => 6 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageObjectIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageContents.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    const creationDate = `D:${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`
+        + `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+    objects[5] = `<< /Title (${encodePdfText(title)}) /Producer (SF-Collab) /CreationDate (${creationDate}) >>`;
+
+    pageContents.forEach((content, index) => {
+        const pageId = pageObjectIds[index];
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(pageSize.width)} ${num(pageSize.height)}] `
+            + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = pdf.length;
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return pdf;
+}
+
+// ========== Board Rendering ==========
+
+/**
+ * @description Draw the title block at the top of a page
+ */
+function drawPageHeader(ctx, pageSize, header, pageLabel) {
+    const left = PAGE_MARGIN;
+    const right = pageSize.width - PAGE_MARGIN;
+
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = TEXT_COLOR;
+    ctx.font = 'bold 14px sans-serif';
+    ctx.fillText(header.title, left, PAGE_MARGIN, right - left - 120);
+
+    const details = [`Exported ${formatDateTime(header.exportDate)}`];
+    if (header.lastEditorName) {
+        const editedOn = header.lastModifiedDate ? ` on ${formatDateTime(header.lastModifiedDate)}` : '';
+        details.push(`Last edited by ${header.lastEditorName}${editedOn}`);
+    }
+    ctx.fillStyle = MUTED_TEXT_COLOR;
+    ctx.font = '9px sans-serif';
+    ctx.fillText(details.join('  ·  '), left, PAGE_MARGIN + 20, right - left - 120);
+
+    ctx.textAlign = 'right';
+    ctx.fillText(pageLabel, right, PAGE_MARGIN + 4);
+
+    // Rule between header and content
+    ctx.strokeStyle = RULE_COLOR;
+    ctx.lineWidth = 0.75;
+    ctx.beginPath();
+    ctx.moveTo(left, PAGE_MARGIN + HEADER_HEIGHT - 8);
+    ctx.lineTo(right, PAGE_MARGIN + HEADER_HEIGHT - 8);
+    ctx.stroke();
+}
+
+/**
+ * @description Work out scale and page grid for a board
+ * @param {Object} area - Export area { x, y, width, height } in canvas px
+ * @param {Object} pageSize - { width, height } in points
+ * @returns {Object} { scale, columns, rows, tileWidth, tileHeight } (tile size in canvas px)
+ */
+export function calculatePdfTiling(area, pageSize) {
+    const contentWidth = pageSize.width - PAGE_MARGIN * 2;
+    const contentHeight = pageSize.height - PAGE_MARGIN * 2 - HEADER_HEIGHT;
+
+    // Shrink to one page when that keeps the board legible, otherwise tile at MIN_PDF_SCALE
+    const fitScale = Math.min(contentWidth / area.width, contentHeight / area.height);
+    const scale = Math.max(MIN_PDF_SCALE, Math.min(MAX_PDF_SCALE, fitScale));
+
+    return {
+        scale,
+        columns: Math.max(1, Math.ceil((area.width * scale) / contentWidth - 1e-6)),
+        rows: Math.max(1, Math.ceil((area.height * scale) / contentHeight - 1e-6)),
+        tileWidth: contentWidth / scale,
+        tileHeight: contentHeight / scale
+    };
+}
+
+/**
+ * @description Build a (possibly multi-page) PDF of the board
+ * @param {Object} board - { objects, strokes, connectors, resolveConnectorPoint }
+ * @param {Object} options - { pageSize: 'a4'|'letter', title, lastEditorName, lastModifiedDate }
+ * @returns {string|null} PDF file contents, or null if the board is empty
+ */
+export function buildBoardPdf(board, options = {}) {
+    const pageSize = PDF_PAGE_SIZES[options.pageSize] || PDF_PAGE_SIZES.a4;
+    const area = getExportArea(board, EXPORT_PADDING);
+    if (!area) return null;
+
+    const tiling = calculatePdfTiling(area, pageSize);
+    const pageCount = tiling.columns * tiling.rows;
+    const header = {
+        title: options.title || 'Collaborative Canvas',
+        exportDate: new Date(),
+        lastEditorName: options.lastEditorName,
+        lastModifiedDate: options.lastModifiedDate ? new Date(options.lastModifiedDate) : null
+    };
+
+    // Icons are raster images - draw their vector letter fallback instead
+    const vectorBoard = { ...board, iconImages: {} };
+    const contentLeft = PAGE_MARGIN;
+    const contentTop = PAGE_MARGIN + HEADER_HEIGHT;
+    const contentWidth = pageSize.width - PAGE_MARGIN * 2;
+    const contentHeight = pageSize.height - PAGE_MARGIN * 2 - HEADER_HEIGHT;
+
+    const pages = [];
+    for (let row = 0; row < tiling.rows; row++) {
+        for (let column = 0; column < tiling.columns; column++) {
+            const ctx = new PdfCanvasContext();
+
+            // Flip to canvas-style coordinates: origin top-left, y down
+            ctx.raw(`1 0 0 -1 0 ${num(pageSize.height)} cm`);
+
+            const pageNumber = pages.length + 1;
+            let pageLabel = `Page ${pageNumber} of ${pageCount}`;
+            if (pageCount > 1) {
+                pageLabel += ` (row ${row + 1}, column ${column + 1})`;
+            }
+            drawPageHeader(ctx, pageSize, header, pageLabel);
+
+            // Clip to the content area and map this tile of the board into it
+            const tileX = area.x + column * tiling.tileWidth;
+            const tileY = area.y + row * tiling.tileHeight;
+            ctx.raw('q');
+            ctx.raw(`${num(contentLeft)} ${num(contentTop)} ${num(contentWidth)} ${num(contentHeight)} re W n`);
+            ctx.raw(`${num(tiling.scale)} 0 0 ${num(tiling.scale)} `
+                + `${num(contentLeft - tileX * tiling.scale)} ${num(contentTop - tileY * tiling.scale)} cm`);
+            drawBoard(ctx, vectorBoard);
+            ctx.raw('Q');
+
+            pages.push(ctx.getContent());
+        }
+    }
+
+    return buildPdfDocument(pages, pageSize, header.title);
+}
+
+/**
+ * @description Export the board as a PDF download
+ * @param {Object} board - Board to export
+ * @param {Object} options - buildBoardPdf options plus canvasId (file name)
+ * @returns {boolean} false if there was nothing to export
+ */
+export function exportBoardAsPdf(board, options = {}) {
+    const pdf = buildBoardPdf(board, options);
+    if (!pdf) return false;
+
+    downloadBlob(new Blob([pdf], { type: 'application/pdf' }), getExportFileName(options.canvasId, 'pdf'));
+    return true;
+}
@@ -0,0 +1,283 @@
+/**
+ * @description Spatial index behind the unbounded canvas of collab_collaborativeCanvas.
+ * A uniform grid hash: every element is registered in the grid cells its bounding box
+ * overlaps, so drawing and hit testing only look at the elements near the viewport or
+ * the pointer instead of every element on the board.
+ *
+ * The component syncs the index with its element arrays before using it. A sync only
+ * re-buckets elements whose bounds changed, so elements may still be mutated in place.
+ * The area covered by added, moved, resized and removed elements is collected until
+ * takeDirtyBounds(), which tells the renderer what to repaint.
+ * Bounds are world-space boxes { minX, minY, maxX, maxY }.
+ *
+ * @author Nils Lehsten
+ * @date 2026-10-19
+ */
+
+import { ARROWHEAD_SIZE, getStrokeArrowhead } from 'c/collab_canvasDrawingUtils';
+
+// ========== Constants ==========
+
+const DEFAULT_CELL_SIZE = 256; // World units per grid cell
+
+// Elements spanning more cells than this (huge groups, long connectors) are kept in
+// one list that every query checks, instead of being registered in each cell
+const MAX_CELLS_PER_ELEMENT = 64;
+
+// ========== Bounds ==========
+
+/**
+ * @description Bounding box of a list of points
+ * @param {Array} points - Points {x, y}; points without numeric coordinates are skipped
+ * @param {number} padding - Added on every side
+ * @returns {Object|null} Bounds, or null if there is no usable point
+ */
+export function getPointsBounds(points, padding = 0) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    for (const point of points || []) {
+        if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) continue;
+        minX = Math.min(minX, point.x);
+        minY = Math.min(minY, point.y);
+        maxX = Math.max(maxX, point.x);
+        maxY = Math.max(maxY, point.y);
+    }
+
+    if (minX === Infinity) {
+        return null;
+    }
+    return { minX: minX - padding, minY: minY - padding, maxX: maxX + padding, maxY: maxY + padding };
+}
+
+/**
+ * @description Square bounds around a point (hit tests query these)
+ * @param {number} x - Point X
+ * @param {number} y - Point Y
+ * @param {number} radius - Half the side of the square
+ * @returns {Object} Bounds
+ */
+export function getPointBounds(x, y, radius = 0) {
+    return { minX: x - radius, minY: y - radius, maxX: x + radius, maxY: y + radius };
+}
+
+/**
+ * @description Bounding box of a canvas object
+ * @param {Object} obj - Object with x, y, width, height
+ * @param {number} padding - Added on every side (selection borders, shadows)
+ * @returns {Object|null} Bounds, or null if the object has no geometry
+ */
+export function getObjectBounds(obj, padding = 0) {
+    if (!Number.isFinite(obj.x) || !Number.isFinite(obj.y)) {
+        return null;
+    }
+    return {
+        minX: obj.x - padding,
+        minY: obj.y - padding,
+        maxX: obj.x + (obj.width || 0) + padding,
+        maxY: obj.y + (obj.height || 0) + padding
+    };
+}
+
+// Stroke points are never moved after drawing, so bounds are cached per point list
+const strokeBoundsCache = new WeakMap();
+
+/**
+ * @description Bounding box of a freehand stroke, including its line width and arrowhead
+ * @param {Object} stroke - Stroke with points, width and penStyle
+ * @returns {Object|null} Bounds, or null if the stroke has no points
+ */
+export function getStrokeBounds(stroke) {
+    const cached = strokeBoundsCache.get(stroke);
+    if (cached && cached.points === stroke.points && cached.length === stroke.points?.length) {
+        return cached.bounds;
+    }
+
+    // Pressure strokes are drawn wider than their width - pad by the full width
+    const arrowhead = getStrokeArrowhead(stroke);
+    const padding = Math.max(stroke.width || 3, arrowhead ? ARROWHEAD_SIZE * arrowhead.scale : 0);
+    const bounds = getPointsBounds(stroke.points, padding);
+    strokeBoundsCache.set(stroke, { points: stroke.points, length: stroke.points?.length, bounds });
+    return bounds;
+}
+
+/**
+ * @description Whether two bounds overlap (touching edges count)
+ */
+export function intersectsBounds(a, b) {
+    return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+/**
+ * @description Smallest bounds containing both (either may be null)
+ */
+export function unionBounds(a, b) {
+    if (!a || !b) {
+        return a || b || null;
+    }
+    return {
+        minX: Math.min(a.minX, b.minX),
+        minY: Math.min(a.minY, b.minY),
+        maxX: Math.max(a.maxX, b.maxX),
+        maxY: Math.max(a.maxY, b.maxY)
+    };
+}
+
+function sameBounds(a, b) {
+    if (!a || !b) {
+        return a === b;
+    }
+    return a.minX === b.minX && a.minY === b.minY && a.maxX === b.maxX && a.maxY === b.maxY;
+}
+
+// ========== Spatial Index ==========
+
+export class SpatialIndex {
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+        // 'cx:cy' -> Set of entries overlapping that cell
+        this.cells = new Map();
+        this.oversized = new Set();
+        // element -> { element, bounds, order, cellKeys, generation }
+        this.entries = new Map();
+        this.generation = 0;
+        // Area changed since the last takeDirtyBounds()
+        this.dirtyBounds = null;
+    }
+
+    /**
+     * @description Bring the index in line with an element array: add new elements,
+     * re-bucket moved or resized ones, drop removed ones and record the array order
+     * @param {Array} elements - Current elements (order is kept in query results)
+     * @param {Function} getBounds - element => bounds or null (null elements are never found)
+     */
+    sync(elements, getBounds) {
+        const generation = ++this.generation;
+
+        elements.forEach((element, order) => {
+            const bounds = getBounds(element);
+            let entry = this.entries.get(element);
+            if (!entry) {
+                entry = { element, bounds, cellKeys: [] };
+                this.entries.set(element, entry);
+                this.register(entry);
+                this.dirtyBounds = unionBounds(this.dirtyBounds, bounds);
+            } else if (!sameBounds(entry.bounds, bounds)) {
+                this.dirtyBounds = unionBounds(this.dirtyBounds, unionBounds(entry.bounds, bounds));
+                this.unregister(entry);
+                entry.bounds = bounds;
+                this.register(entry);
+            }
+            entry.order = order;
+            entry.generation = generation;
+        });
+
+        if (this.entries.size > elements.length) {
+            for (const entry of this.entries.values()) {
+                if (entry.generation !== generation) {
+                    this.dirtyBounds = unionBounds(this.dirtyBounds, entry.bounds);
+                    this.unregister(entry);
+                    this.entries.delete(entry.element);
+                }
+            }
+        }
+    }
+
+    /**
+     * @description Elements whose bounds intersect the given bounds, in array order
+     * @param {Object} bounds - World-space query box
+     * @returns {Array} Matching elements
+     */
+    query(bounds) {
+        const found = new Set(this.oversized);
+        const range = this.getCellRange(bounds);
+        const cellCount = (range.maxCX - range.minCX + 1) * (range.maxCY - range.minCY + 1);
+
+        if (cellCount > this.cells.size) {
+            // Zoomed far out: walking the occupied cells is cheaper than the empty ones
+            for (const cell of this.cells.values()) {
+                cell.forEach((entry) => found.add(entry));
+            }
+        } else {
+            for (let cx = range.minCX; cx <= range.maxCX; cx++) {
+                for (let cy = range.minCY; cy <= range.maxCY; cy++) {
+                    const cell = this.cells.get(`${cx}:${cy}`);
+                    if (cell) {
+                        cell.forEach((entry) => found.add(entry));
+                    }
+                }
+            }
+        }
+
+        return [...found]
+            .filter((entry) => intersectsBounds(entry.bounds, bounds))
+            .sort((a, b) => a.order - b.order)
+            .map((entry) => entry.element);
+    }
+
+    /**
+     * @description Bounds an element was indexed with at the last sync (null if unknown)
+     */
+    getBounds(element) {
+        return this.entries.get(element)?.bounds || null;
+    }
+
+    /**
+     * @description Area covered by elements that changed since the last call, then reset
+     * @returns {Object|null} Bounds, or null if nothing changed
+     */
+    takeDirtyBounds() {
+        const bounds = this.dirtyBounds;
+        this.dirtyBounds = null;
+        return bounds;
+    }
+
+    getCellRange(bounds) {
+        return {
+            minCX: Math.floor(bounds.minX / this.cellSize),
+            minCY: Math.floor(bounds.minY / this.cellSize),
+            maxCX: Math.floor(bounds.maxX / this.cellSize),
+            maxCY: Math.floor(bounds.maxY / this.cellSize)
+        };
+    }
+
+    register(entry) {
+        if (!entry.bounds) return;
+
+        const range = this.getCellRange(entry.bounds);
+        const cellCount = (range.maxCX - range.minCX + 1) * (range.maxCY - range.minCY + 1);
+        if (cellCount > MAX_CELLS_PER_ELEMENT) {
+            this.oversized.add(entry);
+            return;
+        }
+
+        for (let cx = range.minCX; cx <= range.maxCX; cx++) {
+            for (let cy = range.minCY; cy <= range.maxCY; cy++) {
+                const key = `${cx}:${cy}`;
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = new Set();
+                    this.cells.set(key, cell);
+                }
+                cell.add(entry);
+                entry.cellKeys.push(key);
+            }
+        }
+    }
+
+    unregister(entry) {
+        this.oversized.delete(entry);
+        for (const key of entry.cellKeys) {
+            const cell = this.cells.get(key);
+            if (cell) {
+                cell.delete(entry);
+                if (cell.size === 0) {
+                    this.cells.delete(key);
+                }
+            }
+        }
+        entry.cellKeys = [];
+    }
+}
@@ -0,0 +1,313 @@
+/**
+ * @description Built-in canvas templates and template instantiation for SF-Collab.
+ *
+ * Built-in templates are generated in code (no records to deploy) and share the
+ * stored state shape { objects, strokes, connectors } with user templates saved
+ * through collab_CanvasTemplateController. instantiateTemplate() gives every element
+ * a fresh id so the same template can start many canvases.
+ *
+ * @author Nils Lehsten
+ * @date 2026-10-19
+ */
+import { getAnchorPoint } from 'c/collab_canvasDrawingUtils';
+
+// ========== Constants ==========
+
+const STICKY_YELLOW = '#fff740';
+const STICKY_PINK = '#ff7eb9';
+const STICKY_BLUE = '#7afcff';
+const STICKY_GREEN = '#98ff98';
+const STICKY_ORANGE = '#ffb347';
+
+const TITLE_COLOR = '#0176d3';
+const LANE_COLOR = '#F3F3F3';
+
+// ========== Template Builder ==========
+
+/**
+ * @description Small helper that collects elements with local ids and z-order.
+ * Ids are placeholders - instantiateTemplate replaces them.
+ */
+class TemplateBuilder {
+    constructor() {
+        this.objects = [];
+        this.connectors = [];
+        this.nextId = 1;
+    }
+
+    add(obj) {
+        const element = { id: `tpl-${this.nextId++}`, ...obj };
+        this.objects.push(element);
+        return element;
+    }
+
+    title(x, y, width, text) {
+        return this.add({
+            type: 'rounded_rectangle',
+            x, y, width, height: 50,
+            color: TITLE_COLOR,
+            textColor: '#ffffff',
+            fontSize: 24,
+            text
+        });
+    }
+
+    shape(type, x, y, width, height, text, style = {}) {
+        return this.add({ type, x, y, width, height, color: '#E8E8E8', text, ...style });
+    }
+
+    sticky(x, y, width, height, color, text) {
+        return this.add({ type: 'sticky', x, y, width, height, color, text });
+    }
+
+    connect(from, fromPosition, to, toPosition, connectorType = 'arrow') {
+        const start = getAnchorPoint(from, fromPosition);
+        const end = getAnchorPoint(to, toPosition);
+        const connector = {
+            id: `tpl-${this.nextId++}`,
+            type: 'connector',
+            connectorType,
+            startX: start.x,
+            startY: start.y,
+            startAnchor: { objectId: from.id, position: fromPosition },
+            endX: end.x,
+            endY: end.y,
+            endAnchor: { objectId: to.id, position: toPosition },
+            color: '#333333',
+            lineWidth: 2
+        };
+        if (connectorType === 'elbow') {
+            // Vertical anchors on both ends: horizontal middle segment (matches calculateElbowRoute)
+            const midY = (start.y + end.y) / 2;
+            connector.waypoints = [{ x: start.x, y: midY }, { x: end.x, y: midY }];
+        }
+        this.connectors.push(connector);
+        return connector;
+    }
+
+    build() {
+        // Stack in creation order: backgrounds first, connectors on top
+        let zIndex = 1;
+        this.objects.forEach(obj => { obj.zIndex = zIndex++; });
+        this.connectors.forEach(connector => { connector.zIndex = zIndex++; });
+        return { objects: this.objects, strokes: [], connectors: this.connectors };
+    }
+}
+
+// ========== Built-in Templates ==========
+
+function buildAccountPlan() {
+    const t = new TemplateBuilder();
+    t.title(60, 20, 1480, 'Account Plan');
+
+    const lanes = [
+        { name: 'Objectives', color: STICKY_YELLOW, prompts: ['Top business goals this year', 'How we measure success'] },
+        { name: 'Key Stakeholders', color: STICKY_BLUE, prompts: ['Decision maker', 'Champion / influencers'] },
+        { name: 'Opportunities', color: STICKY_GREEN, prompts: ['Open pipeline', 'Upsell / cross-sell ideas'] },
+        { name: 'Risks', color: STICKY_PINK, prompts: ['Competitor activity', 'Budget or org changes'] },
+        { name: 'Next Steps', color: STICKY_ORANGE, prompts: ['Actions with owners', 'Dates and milestones'] }
+    ];
+
+    lanes.forEach((lane, index) => {
+        const x = 60 + index * 300;
+        t.shape('rectangle', x, 90, 280, 470, lane.name, {
+            color: LANE_COLOR,
+            textAlign: 'top',
+            fontSize: 18
+        });
+        lane.prompts.forEach((prompt, row) => {
+            t.sticky(x + 20, 150 + row * 150, 240, 130, lane.color, prompt);
+        });
+    });
+
+    return t.build();
+}
+
+function buildOrgChart() {
+    const t = new TemplateBuilder();
+    const box = { width: 200, height: 70 };
+
+    const ceo = t.shape('rounded_rectangle', 700, 40, box.width, box.height, 'Executive Sponsor', {
+        color: TITLE_COLOR,
+        textColor: '#ffffff',
+        fontSize: 16
+    });
+
+    const departments = ['Sales', 'Operations', 'Finance'];
+    departments.forEach((department, index) => {
+        const vpX = 240 + index * 460;
+        const vp = t.shape('rounded_rectangle', vpX, 200, box.width, box.height, `VP ${department}`, {
+            color: '#B0C4DE',
+            fontSize: 16
+        });
+        t.connect(ceo, 'bottom', vp, 'top', 'elbow');
+
+        [-120, 120].forEach((offset, managerIndex) => {
+            const manager = t.shape(
+                'rounded_rectangle',
+                vpX + offset, 360, box.width, box.height,
+                `${department} Manager ${managerIndex + 1}`
+            );
+            t.connect(vp, 'bottom', manager, 'top', 'elbow');
+        });
+    });
+
+    return t.build();
+}
+
+function buildCustomerJourney() {
+    const t = new TemplateBuilder();
+    t.title(60, 20, 1480, 'Customer Journey');
+
+    const stages = [
+        { name: 'Awareness', touchpoint: 'Ads, events, referrals', feeling: 'Curious, unsure', idea: 'Share relevant success stories' },
+        { name: 'Consideration', touchpoint: 'Website, demos, reviews', feeling: 'Comparing options', idea: 'Tailored demo and ROI case' },
+        { name: 'Purchase', touchpoint: 'Quote, contract, legal', feeling: 'Wants it to be easy', idea: 'Simplify approval steps' },
+        { name: 'Retention', touchpoint: 'Onboarding, support, QBRs', feeling: 'Expects fast value', idea: 'Success plan with milestones' },
+        { name: 'Advocacy', touchpoint: 'Community, case studies', feeling: 'Proud, engaged', idea: 'Referral and reference program' }
+    ];
+
+    let previous = null;
+    stages.forEach((stage, index) => {
+        const x = 60 + index * 310;
+        const stageShape = t.shape('rounded_rectangle', x, 100, 240, 70, stage.name, {
+            color: '#B0C4DE',
+            fontSize: 18
+        });
+        if (previous) {
+            t.connect(previous, 'right', stageShape, 'left', 'arrow');
+        }
+        previous = stageShape;
+
+        t.sticky(x, 200, 240, 120, STICKY_BLUE, `Touchpoints: ${stage.touchpoint}`);
+        t.sticky(x, 340, 240, 120, STICKY_PINK, `Customer feels: ${stage.feeling}`);
+        t.sticky(x, 480, 240, 120, STICKY_GREEN, `Opportunity: ${stage.idea}`);
+    });
+
+    return t.build();
+}
+
+function buildSwot() {
+    const t = new TemplateBuilder();
+    t.title(140, 20, 1140, 'SWOT Analysis');
+
+    const quadrants = [
+        { name: 'Strengths', x: 140, y: 90, color: '#D4F4DD', sticky: STICKY_GREEN, prompts: ['What do we do well?', 'Unique advantages'] },
+        { name: 'Weaknesses', x: 720, y: 90, color: '#FDE2E1', sticky: STICKY_PINK, prompts: ['Where do we fall short?', 'Gaps vs. competitors'] },
+        { name: 'Opportunities', x: 140, y: 450, color: '#DBEAFE', sticky: STICKY_BLUE, prompts: ['Market trends to use', 'Expansion ideas'] },
+        { name: 'Threats', x: 720, y: 450, color: '#FEF3C7', sticky: STICKY_ORANGE, prompts: ['Competitor moves', 'External risks'] }
+    ];
+
+    quadrants.forEach(quadrant => {
+        t.shape('rectangle', quadrant.x, quadrant.y, 560, 340, quadrant.name, {
+            color: quadrant.color,
+            textAlign: 'top',
+            fontSize: 24
+        });
+        quadrant.prompts.forEach((prompt, index) => {
+            t.sticky(quadrant.x + 30 + index * 180, quadrant.y + 80, 150, 150, quadrant.sticky, prompt);
+        });
+    });
+
+    return t.build();
+}
+
+/**
+ * Built-in templates shown in the template picker (before saved templates).
+ * Ids are prefixed with 'builtin-' so they never collide with record Ids.
+ */
+export const BUILT_IN_TEMPLATES = [
+    {
+        id: 'builtin-account-plan',
+        name: 'Account Plan',
+        description: 'Objectives, stakeholders, opportunities, risks and next steps',
+        iconName: 'standard:account',
+        build: buildAccountPlan
+    },
+    {
+        id: 'builtin-org-chart',
+        name: 'Org Chart',
+        description: 'Executive sponsor, VPs and managers with reporting lines',
+        iconName: 'standard:hierarchy',
+        build: buildOrgChart
+    },
+    {
+        id: 'builtin-customer-journey',
+        name: 'Customer Journey',
+        description: 'Five journey stages with touchpoints, feelings and opportunities',
+        iconName: 'standard:flow',
+        build: buildCustomerJourney
+    },
+    {
+        id: 'builtin-swot',
+        name: 'SWOT',
+        description: 'Strengths, weaknesses, opportunities and threats quadrants',
+        iconName: 'standard:dashboard',
+        build: buildSwot
+    }
+];
+
+/**
+ * @description Check whether a template id refers to a built-in template
+ * @param {string} templateId - Template id from the picker
+ * @returns {boolean}
+ */
+export function isBuiltInTemplate(templateId) {
+    return BUILT_IN_TEMPLATES.some(template => template.id === templateId);
+}
+
+/**
+ * @description Get the state of a built-in template
+ * @param {string} templateId - Built-in template id
+ * @returns {Object|null} { objects, strokes, connectors } or null if unknown
+ */
+export function getBuiltInTemplateState(templateId) {
+    const template = BUILT_IN_TEMPLATES.find(t => t.id === templateId);
+    return template ? template.build() : null;
+}
+
+/**
+ * @description Copy a template state with fresh ids for every element.
+ * Connector anchors and group members are remapped to the new ids.
+ * @param {Object} state - Template state { objects, strokes, connectors }
+ * @param {Function} generateId - Returns a new unique element id
+ * @returns {Object} { objects, strokes, connectors } ready to load onto a canvas
+ */
+export function instantiateTemplate(state, generateId) {
+    const copy = JSON.parse(JSON.stringify(state || {}));
+    const idMap = {};
+
+    [...(copy.objects || []), ...(copy.connectors || [])].forEach(element => {
+        idMap[element.id] = generateId();
+    });
+    const remapIds = (ids) => (ids || []).map(id => idMap[id] || id);
+
+    const objects = (copy.objects || []).map(obj => {
+        const newObj = { ...obj, id: idMap[obj.id] };
+        if (newObj.type === 'group') {
+            newObj.children = remapIds(newObj.children);
+            newObj.connectorIds = remapIds(newObj.connectorIds);
+            if (newObj.childOffsets) {
+                newObj.childOffsets = newObj.childOffsets.map(offset => ({ ...offset, id: idMap[offset.id] || offset.id }));
+            }
+        }
+        return newObj;
+    });
+
+    const remapAnchor = (anchor) => {
+        if (!anchor || !anchor.objectId) return anchor || null;
+        // Anchors to objects that are not part of the template become floating endpoints
+        return idMap[anchor.objectId] ? { ...anchor, objectId: idMap[anchor.objectId] } : null;
+    };
+
+    const connectors = (copy.connectors || []).map(connector => ({
+        ...connector,
+        id: idMap[connector.id],
+        startAnchor: remapAnchor(connector.startAnchor),
+        endAnchor: remapAnchor(connector.endAnchor)
+    }));
+
+    const strokes = (copy.strokes || []).map(stroke => ({ ...stroke, id: generateId() }));
+
+    return { objects, strokes, connectors };
+}
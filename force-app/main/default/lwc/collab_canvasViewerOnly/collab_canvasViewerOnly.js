@@ -1,13 +1,19 @@
 /**
  * @description Read-only canvas viewer that displays the last saved state.
  * Lightweight component with no real-time features - just a static preview.
+ * When a version is set, it previews that history snapshot instead (version history panel).
+ * Records with several named boards get a board picker; the last board picked is shared with the launcher.
  *
  * @author Nils Lehsten
  * @date 2025-11-26
  */
 import { LightningElement, api, track } from 'lwc';
 import { NavigationMixin } from 'lightning/navigation';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import loadCanvasState from '@salesforce/apex/collab_CollaborationController.loadCanvasState';
+import loadCanvasVersion from '@salesforce/apex/collab_CollaborationController.loadCanvasVersion';
+import listCanvases from '@salesforce/apex/collab_CollaborationController.listCanvases';
+import getRecordCardData from '@salesforce/apex/collab_CollaborationController.getRecordCardData';
 
 // Shared drawing utilities (US-33)
 import {
@@ -26,27 +32,27 @@ import {
     drawActivity,
     drawGroupIndicator,
     drawSingleStroke,
-    drawArrowhead,
-    drawElbowPath,
-    drawCurvedPath,
     getAnchorPoint,
     calculateFitToContent,
-    drawConnectorLabel,
-    GRID_SIZE,
+    drawConnectorLine,
+    applyRecordCardData,
+    drawGrid,
     ARROWHEAD_SIZE,
     ACTIVITY_ICON_COLORS
 } from 'c/collab_canvasDrawingUtils';
+import { exportBoard, EXPORT_MENU_OPTIONS } from 'c/collab_canvasExportUtils';
 
 const DEBUG_PREFIX = '[CanvasViewer]';
-const MIN_ZOOM = 0.5;
-const MAX_ZOOM = 2.0;
-const ZOOM_STEP = 0.1;
-const CANVAS_WORLD_WIDTH = 3200;  // Total canvas working area (match launcher)
-const CANVAS_WORLD_HEIGHT = 1800;
+const MIN_ZOOM = 0.05; // Same range and steps as the launcher
+const MAX_ZOOM = 8.0;
+const ZOOM_LEVELS = [0.05, 0.1, 0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4, 6, 8];
+const FIT_MAX_ZOOM = 2.0;
+const LAST_BOARD_STORAGE_PREFIX = 'collab_lastBoard_'; // Same key as the launcher
 
 export default class Collab_canvasViewerOnly extends NavigationMixin(LightningElement) {
     @api width = 1600;
     @api height = 900;
+    @api objectApiName; // Set on record pages; the quick action is <Object>.collab_Launch_Canvas
 
     @track isLoading = true;
     @track hasContent = false;
@@ -83,6 +89,36 @@ export default class Collab_canvasViewerOnly extends NavigationMixin(LightningEl
         }
     }
 
+    // Snapshot version to preview (null = current state)
+    _version = null;
+
+    @api
+    get version() {
+        return this._version;
+    }
+    set version(value) {
+        const parsed = value === null || value === undefined || value === '' ? null : parseInt(value, 10);
+        const nextVersion = Number.isNaN(parsed) ? null : parsed;
+        if (nextVersion === this._version) {
+            return;
+        }
+        this._version = nextVersion;
+
+        // Reload if the record was already loaded with a different version
+        if (this._hasLoaded) {
+            console.log(DEBUG_PREFIX, 'version changed, reloading state:', nextVersion);
+            this.loadState();
+        }
+    }
+
+    // Incremented per load so a slower, superseded response is ignored
+    loadSequence = 0;
+
+    // Named boards of the record (main board first); null selection = main board
+    @track boards = [];
+    selectedBoardId = null;
+    _boardsLoadedForRecordId = null;
+
     // Canvas state (read-only)
     objects = [];
     strokes = [];
@@ -102,11 +138,54 @@ export default class Collab_canvasViewerOnly extends NavigationMixin(LightningEl
     isRendered = false;
 
     get canvasId() {
-        const id = this._recordId || 'default-canvas';
+        // Version previews are opened with the board's own canvas Id as recordId
+        const id = (!this.isVersionPreview && this.selectedBoardId) || this.boardRecordId;
         console.log(DEBUG_PREFIX, 'canvasId getter returning:', id);
         return id;
     }
 
+    get boardRecordId() {
+        return this._recordId || 'default-canvas';
+    }
+
+    get selectedBoard() {
+        return this.boards.find(board => board.canvasId === this.canvasId);
+    }
+
+    get showBoardPicker() {
+        return !this.isVersionPreview && this.boards.length > 1;
+    }
+
+    get boardOptions() {
+        return this.boards.map(board => ({ label: board.name, value: board.canvasId }));
+    }
+
+    get isVersionPreview() {
+        return this._version !== null;
+    }
+
+    get cardTitle() {
+        if (this.isVersionPreview) {
+            return `Version ${this._version}`;
+        }
+        return this.showBoardPicker && this.selectedBoard
+            ? `Collaborative Canvas: ${this.selectedBoard.name}`
+            : 'Collaborative Canvas';
+    }
+
+    get showOpenCanvas() {
+        return !this.isVersionPreview && !!this.objectApiName;
+    }
+
+    get emptyStateHint() {
+        if (this.isVersionPreview) {
+            return 'This version has no content';
+        }
+        return this.showOpenCanvas
+            ? 'Click "Open Canvas" to start collaborating'
+            : 'Nothing has been saved on this canvas yet';
+    }
+
     get containerStyle() {
         return `width: 1600px;`;
     }
@@ -131,6 +210,10 @@ export default class Collab_canvasViewerOnly extends NavigationMixin(LightningEl
         return Math.round(this.zoomLevel * 100);
     }
 
+    get exportOptions() {
+        return EXPORT_MENU_OPTIONS;
+    }
+
     // ========== Lifecycle ==========
 
     connectedCallback() {
@@ -166,10 +249,29 @@ export default class Collab_canvasViewerOnly extends NavigationMixin(LightningEl
         console.log(DEBUG_PREFIX, '=== loadState START ===');
         console.log(DEBUG_PREFIX, 'canvasId:', this.canvasId);
         console.log(DEBUG_PREFIX, '_recordId:', this._recordId);
+        console.log(DEBUG_PREFIX, 'version:', this._version);
+
+        const sequence = ++this.loadSequence;
+        this.resetState();
 
         try {
-            console.log(DEBUG_PREFIX, 'Calling Apex loadCanvasState...');
-            const result = await loadCanvasState({ canvasId: this.canvasId });
+            if (!this.isVersionPreview && this._boardsLoadedForRecordId !== this.boardRecordId) {
+                await this.loadBoards();
+            }
+
+            let result;
+            if (this.isVersionPreview) {
+                console.log(DEBUG_PREFIX, 'Calling Apex loadCanvasVersion...');
+                result = await loadCanvasVersion({ canvasId: this.canvasId, version: this._version });
+            } else {
+                console.log(DEBUG_PREFIX, 'Calling Apex loadCanvasState...');
+                result = await loadCanvasState({ canvasId: this.canvasId });
+            }
+
+            if (sequence !== this.loadSequence) {
+                console.log(DEBUG_PREFIX, 'Discarding superseded load result');
+                return;
+            }
 
             console.log(DEBUG_PREFIX, 'Apex raw result:', result);
             console.log(DEBUG_PREFIX, 'Apex result type:', typeof result);
@@ -206,8 +308,12 @@ export default class Collab_canvasViewerOnly extends NavigationMixin(LightningEl
 
             console.log(DEBUG_PREFIX, 'hasContent:', this.hasContent);
             this.isLoading = false;
+            this.refreshRecordCards(sequence);
             console.log(DEBUG_PREFIX, '=== loadState END (success) ===');
         } catch (error) {
+            if (sequence !== this.loadSequence) {
+                return;
+            }
             console.error(DEBUG_PREFIX, '=== loadState ERROR ===');
             console.error(DEBUG_PREFIX, 'Error:', error);
             console.error(DEBUG_PREFIX, 'Error message:', error.message);
@@ -217,6 +323,72 @@ export default class Collab_canvasViewerOnly extends NavigationMixin(LightningEl
         }
     }
 
+    /**
+     * Show live field values on record cards (stored name/subtitle stay if loading fails)
+     */
+    async refreshRecordCards(sequence) {
+        const recordIds = [...new Set(this.objects
+            .filter(obj => obj.type === 'record' && obj.recordId)
+            .map(obj => obj.recordId))];
+        if (recordIds.length === 0) return;
+
+        try {
+            const cards = await getRecordCardData({ recordIds });
+            if (sequence !== this.loadSequence) return;
+            applyRecordCardData(this.objects, cards);
+            this.draw();
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to refresh record cards:', error);
+        }
+    }
+
+    /**
+     * Load the record's boards and select the board last opened on this browser
+     */
+    async loadBoards() {
+        this._boardsLoadedForRecordId = this.boardRecordId;
+        try {
+            this.boards = await listCanvases({ recordId: this.boardRecordId });
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to load boards:', error);
+            this.boards = [];
+        }
+
+        let lastBoardId = null;
+        try {
+            lastBoardId = window.localStorage.getItem(LAST_BOARD_STORAGE_PREFIX + this.boardRecordId);
+        } catch (e) {
+            // Storage unavailable - show the main board
+        }
+        this.selectedBoardId = this.boards.some(board => board.canvasId === lastBoardId) ? lastBoardId : null;
+    }
+
+    handleBoardChange(event) {
+        this.selectedBoardId = event.detail.value;
+        try {
+            window.localStorage.setItem(LAST_BOARD_STORAGE_PREFIX + this.boardRecordId, this.selectedBoardId);
+        } catch (e) {
+            // Storage unavailable - selection only lasts for this page view
+        }
+        this.loadState();
+    }
+
+    /**
+     * Clear loaded content before a (re)load. The preview canvas is removed
+     * while loading, so it is re-initialized in renderedCallback afterwards.
+     */
+    resetState() {
+        this.objects = [];
+        this.strokes = [];
+        this.connectors = [];
+        this.hasContent = false;
+        this.errorMessage = '';
+        this.isLoading = true;
+        this.isRendered = false;
+        this.canvas = null;
+        this.ctx = null;
+    }
+
     // ========== Canvas Rendering (Static) ==========
 
     initializeCanvas() {
@@ -258,7 +430,7 @@ export default class Collab_canvasViewerOnly extends NavigationMixin(LightningEl
             this.panOffsetY * dpr * this.zoomLevel
         );
 
-        // Draw grid (5000x5000 world bounds)
+        // Draw grid
         this.drawGrid(ctx);
 
         // Draw strokes
@@ -272,39 +444,19 @@ export default class Collab_canvasViewerOnly extends NavigationMixin(LightningEl
     }
 
     drawGrid(ctx) {
-        ctx.strokeStyle = '#e5e5e5';
-        ctx.lineWidth = 1;
-
-        // Calculate visible area in canvas coordinates (accounting for pan and zoom)
+        // Visible area in canvas coordinates (accounting for pan and zoom)
         const dpr = window.devicePixelRatio || 1;
-        const viewportWidth = this.canvas.width / (dpr * this.zoomLevel);
-        const viewportHeight = this.canvas.height / (dpr * this.zoomLevel);
-        const visibleLeft = -this.panOffsetX;
-        const visibleTop = -this.panOffsetY;
-        const visibleRight = visibleLeft + viewportWidth;
-        const visibleBottom = visibleTop + viewportHeight;
-
-        // Clamp to canvas world bounds (5000x5000) and align to grid
-        const drawLeft = Math.max(0, Math.floor(visibleLeft / GRID_SIZE) * GRID_SIZE);
-        const drawTop = Math.max(0, Math.floor(visibleTop / GRID_SIZE) * GRID_SIZE);
-        const drawRight = Math.min(CANVAS_WORLD_WIDTH, Math.ceil(visibleRight / GRID_SIZE) * GRID_SIZE);
-        const drawBottom = Math.min(CANVAS_WORLD_HEIGHT, Math.ceil(visibleBottom / GRID_SIZE) * GRID_SIZE);
-
-        // Draw vertical lines
-        for (let x = drawLeft; x <= drawRight; x += GRID_SIZE) {
-            ctx.beginPath();
-            ctx.moveTo(x, drawTop);
-            ctx.lineTo(x, drawBottom);
-            ctx.stroke();
-        }
+        const minX = -this.panOffsetX;
+        const minY = -this.panOffsetY;
+        const viewport = {
+            minX,
+            minY,
+            maxX: minX + this.canvas.width / (dpr * this.zoomLevel),
+            maxY: minY + this.canvas.height / (dpr * this.zoomLevel)
+        };
 
-        // Draw horizontal lines
-        for (let y = drawTop; y <= drawBottom; y += GRID_SIZE) {
-            ctx.beginPath();
-            ctx.moveTo(drawLeft, y);
-            ctx.lineTo(drawRight, y);
-            ctx.stroke();
-        }
+        // Shared renderer (unbounded, coarser spacing when zoomed far out)
+        drawGrid(ctx, viewport, this.zoomLevel);
     }
 
     drawObjects(ctx) {
@@ -368,19 +520,7 @@ export default class Collab_canvasViewerOnly extends NavigationMixin(LightningEl
     drawStrokes(ctx) {
         console.log(DEBUG_PREFIX, 'drawStrokes: drawing', this.strokes.length, 'strokes');
         for (const stroke of this.strokes) {
-            if (stroke.points && stroke.points.length > 1) {
-                ctx.beginPath();
-                ctx.strokeStyle = stroke.color || '#333333';
-                ctx.lineWidth = stroke.width || 2;
-                ctx.lineCap = 'round';
-                ctx.lineJoin = 'round';
-
-                ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
-                for (let i = 1; i < stroke.points.length; i++) {
-                    ctx.lineTo(stroke.points[i].x, stroke.points[i].y);
-                }
-                ctx.stroke();
-            }
+            drawSingleStroke(ctx, stroke);
         }
     }
 
@@ -400,78 +540,7 @@ export default class Collab_canvasViewerOnly extends NavigationMixin(LightningEl
 
         if (!start || !end) return;
 
-        // Set line style
-        ctx.strokeStyle = connector.color || '#333333';
-        ctx.lineWidth = connector.lineWidth || 2;
-        ctx.setLineDash([]);
-
-        // Draw based on connector type
-        if (connector.connectorType === 'elbow') {
-            this.drawElbowConnector(ctx, connector, start, end);
-        } else if (connector.connectorType === 'curved') {
-            this.drawCurvedConnector(ctx, connector, start, end);
-        } else {
-            // Straight line (arrow, line, bidirectional)
-            ctx.beginPath();
-            ctx.moveTo(start.x, start.y);
-            ctx.lineTo(end.x, end.y);
-            ctx.stroke();
-        }
-
-        // Draw arrowhead(s)
-        if (connector.connectorType === 'arrow' || connector.connectorType === 'elbow' || connector.connectorType === 'curved') {
-            // For elbow, calculate angle from last segment
-            if (connector.connectorType === 'elbow' && connector.waypoints && connector.waypoints.length > 0) {
-                const lastWaypoint = connector.waypoints[connector.waypoints.length - 1];
-                drawArrowhead(ctx, lastWaypoint, end, connector.color);
-            } else if (connector.connectorType === 'curved' && connector.controlPoint2) {
-                // For curved, use control point 2 as direction reference
-                drawArrowhead(ctx, connector.controlPoint2, end, connector.color);
-            } else {
-                drawArrowhead(ctx, start, end, connector.color);
-            }
-        }
-        if (connector.connectorType === 'bidirectional') {
-            drawArrowhead(ctx, start, end, connector.color);
-            drawArrowhead(ctx, end, start, connector.color);
-        }
-
-        // US-42: Draw connector label if present
-        if (connector.label) {
-            drawConnectorLabel(ctx, connector, start, end);
-        }
-    }
-
-    /**
-     * @description Draw elbow (orthogonal) connector with waypoints
-     */
-    drawElbowConnector(ctx, connector, start, end) {
-        const waypoints = connector.waypoints || [];
-
-        ctx.beginPath();
-        ctx.moveTo(start.x, start.y);
-
-        // Draw through waypoints
-        for (const wp of waypoints) {
-            ctx.lineTo(wp.x, wp.y);
-        }
-
-        // Draw to end
-        ctx.lineTo(end.x, end.y);
-        ctx.stroke();
-    }
-
-    /**
-     * @description Draw curved (bezier) connector
-     */
-    drawCurvedConnector(ctx, connector, start, end) {
-        const cp1 = connector.controlPoint1 || { x: start.x + (end.x - start.x) * 0.25, y: start.y };
-        const cp2 = connector.controlPoint2 || { x: end.x - (end.x - start.x) * 0.25, y: end.y };
-
-        ctx.beginPath();
-        ctx.moveTo(start.x, start.y);
-        ctx.bezierCurveTo(cp1.x, cp1.y, cp2.x, cp2.y, end.x, end.y);
-        ctx.stroke();
+        drawConnectorLine(ctx, connector, start, end);
     }
 
     // drawArrowhead() moved to collab_canvasDrawingUtils (US-33)
@@ -498,11 +567,11 @@ export default class Collab_canvasViewerOnly extends NavigationMixin(LightningEl
     // ========== Zoom Controls ==========
 
     handleZoomIn() {
-        this.setZoom(this.zoomLevel + ZOOM_STEP);
+        this.setZoom(ZOOM_LEVELS.find(level => level > this.zoomLevel + 0.001) ?? MAX_ZOOM);
     }
 
     handleZoomOut() {
-        this.setZoom(this.zoomLevel - ZOOM_STEP);
+        this.setZoom([...ZOOM_LEVELS].reverse().find(level => level < this.zoomLevel - 0.001) ?? MIN_ZOOM);
     }
 
     handleFitToContent() {
@@ -518,7 +587,7 @@ export default class Collab_canvasViewerOnly extends NavigationMixin(LightningEl
             {
                 padding: 50,
                 minZoom: MIN_ZOOM,
-                maxZoom: MAX_ZOOM,
+                maxZoom: FIT_MAX_ZOOM,
                 resolveConnectorPoint: (connector, pointType) => this.resolveConnectorPoint(connector, pointType)
             }
         );
@@ -546,7 +615,7 @@ export default class Collab_canvasViewerOnly extends NavigationMixin(LightningEl
 
     setZoom(newZoom) {
         this.zoomLevel = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, newZoom));
-        this.zoomLevel = Math.round(this.zoomLevel * 10) / 10;
+        this.zoomLevel = Math.round(this.zoomLevel * 100) / 100;
         // Redraw with new zoom
         if (this.canvas && this.ctx) {
             this.draw();
@@ -557,13 +626,13 @@ export default class Collab_canvasViewerOnly extends NavigationMixin(LightningEl
 
     handleOpenCanvas() {
         console.log(DEBUG_PREFIX, 'handleOpenCanvas clicked');
-        console.log(DEBUG_PREFIX, 'recordId:', this.recordId);
+        console.log(DEBUG_PREFIX, 'recordId:', this.recordId, 'objectApiName:', this.objectApiName);
 
-        // Trigger the Quick Action programmatically
+        // Trigger the Quick Action programmatically (same action name on every object)
         this[NavigationMixin.Navigate]({
             type: 'standard__quickAction',
             attributes: {
-                apiName: 'Account.collab_Launch_Canvas'
+                apiName: `${this.objectApiName}.collab_Launch_Canvas`
             },
             state: {
                 recordId: this.recordId
@@ -571,6 +640,40 @@ export default class Collab_canvasViewerOnly extends NavigationMixin(LightningEl
         });
     }
 
+    // ========== Export ==========
+
+    async handleExportSelect(event) {
+        const format = event.detail.value;
+        console.log(DEBUG_PREFIX, 'Export requested:', format);
+
+        try {
+            const exported = await exportBoard({
+                objects: this.objects,
+                strokes: this.strokes,
+                connectors: this.connectors,
+                iconImages: this.iconImages,
+                resolveConnectorPoint: (connector, pointType) => this.resolveConnectorPoint(connector, pointType)
+            }, format, this.canvasId);
+
+            if (!exported) {
+                this.showToast('Nothing to Export', 'The canvas is empty', 'info');
+            }
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Export failed:', error);
+            this.showToast('Error', 'Failed to export canvas', 'error');
+        }
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(
+            new ShowToastEvent({
+                title: title,
+                message: message,
+                variant: variant
+            })
+        );
+    }
+
     // ========== Icon Loading ==========
 
     preloadSLDSIcons() {
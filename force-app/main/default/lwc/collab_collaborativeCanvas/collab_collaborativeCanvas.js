@@ -29,11 +29,17 @@ import {
     drawActivity,
     drawGroupIndicator,
     drawSingleStroke,
+    simplifyStrokePoints,
+    packStroke,
+    unpackStroke,
+    PEN_STYLES,
     drawShapeText,
     drawArrowhead,
     drawElbowPath,
     drawCurvedPath,
+    drawGrid,
     getAnchorPoint,
+    getCurveControlPoints,
     wrapText,
     darkenColor,
     lightenColor,
@@ -42,22 +48,73 @@ import {
     drawConnectorLabel,
     getConnectorLabelBounds,
     findClosestPositionOnConnector,
+    applyRecordCardData,
+    getRecordCardHeight,
+    drawCommentPin,
+    getCommentPinPosition,
+    COMMENT_PIN_RADIUS,
     ICON_COLORS,
     ACTIVITY_ICON_COLORS
 } from 'c/collab_canvasDrawingUtils';
+import { exportBoard, EXPORT_MENU_OPTIONS } from 'c/collab_canvasExportUtils';
+import { exportBoardAsPdf, PDF_EXPORT_MENU_OPTIONS } from 'c/collab_canvasPdfUtils';
+import {
+    BUILT_IN_TEMPLATES,
+    isBuiltInTemplate,
+    getBuiltInTemplateState,
+    instantiateTemplate
+} from 'c/collab_canvasTemplates';
+import { CanvasDocument, normalizeOperation } from 'c/collab_canvasCrdt';
+import {
+    SpatialIndex,
+    getObjectBounds,
+    getStrokeBounds,
+    getPointsBounds,
+    getPointBounds,
+    intersectsBounds,
+    unionBounds
+} from 'c/collab_canvasSpatialIndex';
 
 // Apex controllers
 import updateCursor from '@salesforce/apex/collab_CursorCacheController.updateCursor';
+import updateDragPreview from '@salesforce/apex/collab_CursorCacheController.updateDragPreview';
+import updatePresence from '@salesforce/apex/collab_CursorCacheController.updatePresence';
+import getUserPhotos from '@salesforce/apex/collab_CursorCacheController.getUserPhotos';
 import getAllCursors from '@salesforce/apex/collab_CursorCacheController.getAllCursors';
 import removeCursor from '@salesforce/apex/collab_CursorCacheController.removeCursor';
 import heartbeat from '@salesforce/apex/collab_CursorCacheController.heartbeat';
 import publishEvent from '@salesforce/apex/collab_CollaborationController.publishEvent';
+import publishEvents from '@salesforce/apex/collab_CollaborationController.publishEvents';
+import getEventChannel from '@salesforce/apex/collab_CollaborationController.getEventChannel';
 import saveCanvasState from '@salesforce/apex/collab_CollaborationController.saveCanvasState';
 import loadCanvasState from '@salesforce/apex/collab_CollaborationController.loadCanvasState';
-import getRelatedContacts from '@salesforce/apex/collab_CollaborationController.getRelatedContacts';
-import getRelatedOpportunities from '@salesforce/apex/collab_CollaborationController.getRelatedOpportunities';
-import searchLeads from '@salesforce/apex/collab_CollaborationController.searchLeads';
-import searchUsers from '@salesforce/apex/collab_CollaborationController.searchUsers';
+import getCanvasExportInfo from '@salesforce/apex/collab_CollaborationController.getCanvasExportInfo';
+import listCanvasVersions from '@salesforce/apex/collab_CollaborationController.listCanvasVersions';
+import restoreCanvasVersion from '@salesforce/apex/collab_CollaborationController.restoreCanvasVersion';
+import listCanvases from '@salesforce/apex/collab_CollaborationController.listCanvases';
+import createCanvas from '@salesforce/apex/collab_CollaborationController.createCanvas';
+import renameCanvas from '@salesforce/apex/collab_CollaborationController.renameCanvas';
+import duplicateCanvas from '@salesforce/apex/collab_CollaborationController.duplicateCanvas';
+import deleteCanvas from '@salesforce/apex/collab_CollaborationController.deleteCanvas';
+import getTemplates from '@salesforce/apex/collab_CanvasTemplateController.getTemplates';
+import getTemplateState from '@salesforce/apex/collab_CanvasTemplateController.getTemplateState';
+import saveTemplate from '@salesforce/apex/collab_CanvasTemplateController.saveTemplate';
+import deleteTemplate from '@salesforce/apex/collab_CanvasTemplateController.deleteTemplate';
+import getCanvasOperations from '@salesforce/apex/collab_CanvasOperationLog.getOperations';
+import getRecordPickerTabs from '@salesforce/apex/collab_CollaborationController.getRecordPickerTabs';
+import searchPickerRecords from '@salesforce/apex/collab_CollaborationController.searchPickerRecords';
+import getRecordCardData from '@salesforce/apex/collab_CollaborationController.getRecordCardData';
+import getOpportunityStages from '@salesforce/apex/collab_CollaborationController.getOpportunityStages';
+import createTaskFromCanvas from '@salesforce/apex/collab_CollaborationController.createTaskFromCanvas';
+import createOpportunityFromCanvas from '@salesforce/apex/collab_CollaborationController.createOpportunityFromCanvas';
+import createContactFromCanvas from '@salesforce/apex/collab_CollaborationController.createContactFromCanvas';
+import getCommentThreads from '@salesforce/apex/collab_CanvasCommentController.getCommentThreads';
+import addComment from '@salesforce/apex/collab_CanvasCommentController.addComment';
+import setThreadResolved from '@salesforce/apex/collab_CanvasCommentController.setThreadResolved';
+import deleteComment from '@salesforce/apex/collab_CanvasCommentController.deleteComment';
+import searchMentionUsers from '@salesforce/apex/collab_CanvasCommentController.searchMentionUsers';
+import isSubscribedToDigest from '@salesforce/apex/collab_CanvasNotificationService.isSubscribedToDigest';
+import setDigestSubscription from '@salesforce/apex/collab_CanvasNotificationService.setDigestSubscription';
 import getRelatedTasks from '@salesforce/apex/collab_CollaborationController.getRelatedTasks';
 import getRelatedEvents from '@salesforce/apex/collab_CollaborationController.getRelatedEvents';
 import getRelatedEmails from '@salesforce/apex/collab_CollaborationController.getRelatedEmails';
@@ -68,17 +125,38 @@ import userId from '@salesforce/user/Id';
 const CURSOR_UPDATE_THROTTLE = 50; // ms
 const CURSOR_POLL_INTERVAL = 50; // ms
 const HEARTBEAT_INTERVAL = 5000; // ms
+const DRAG_PREVIEW_THROTTLE = 150; // ms - in-progress drags are shared at a lower rate than cursors
+const MAX_PREVIEW_OBJECTS = 20; // Dragged objects shown as ghosts (keeps the cache entry small)
+const PRESENCE_SYNC_INTERVAL = 500; // ms - selection/viewport changes are shared at most this often
+const MAX_PRESENCE_IDS = 50; // Selected elements shared per list
 const DELTA_THRESHOLD = 10; // pixels
 const INTERPOLATION_FACTOR = 0.25; // Smoothing factor (0.25 = 25% per frame)
 const STALE_THRESHOLD = 60000; // ms - users disappear after 60s of no heartbeat
 const GRID_SIZE = 20;
-const CANVAS_WORLD_WIDTH = 3200;  // Total canvas working area
-const CANVAS_WORLD_HEIGHT = 1800;
-const PLATFORM_EVENT_CHANNEL = '/event/collab_Collaboration_Event__e';
+const CATCH_UP_DELAY = 2000; // ms - wait for late events before fetching missed operations
+const RECONNECT_RETRY_BASE = 1000; // ms - first retry of a failed publish/subscribe, doubled per attempt
+const RECONNECT_RETRY_MAX = 30000; // ms
+const OUTBOX_BATCH_WINDOW = 150; // ms - operations queued within this window are sent as one batch
+const OUTBOX_BATCH_SIZE = 200; // operations per publishEvents call (server maximum)
+const BATCH_EVENT_TYPE = 'batch';
 const DEBUG_PREFIX = '[CollabCanvas]';
-const MIN_ZOOM = 0.5;
-const MAX_ZOOM = 2.0;
-const ZOOM_STEP = 0.1;
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 8.0;
+const ZOOM_LEVELS = [0.05, 0.1, 0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4, 6, 8]; // Zoom buttons step through these
+const FIT_MAX_ZOOM = 2.0; // Fit to content does not magnify small boards beyond this
+
+// Spatial index (see c/collab_canvasSpatialIndex)
+const OBJECT_BOUNDS_PADDING = 8; // px - selection borders and shadows drawn around objects
+const CONNECTOR_BOUNDS_PADDING = 16; // px - arrowheads and line width around connector routes
+
+// Input inside the component that may change what the interaction overlay shows
+const OVERLAY_INPUT_EVENTS = ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'pointerleave', 'click', 'input', 'change'];
+
+// Touch and pen input
+const LONG_PRESS_DELAY = 500; // ms - long-press opens the context menu
+const LONG_PRESS_TOLERANCE = 10; // px - finger movement that cancels a long-press
+const DOUBLE_TAP_DELAY = 300; // ms - max time between taps of a double-tap
+const DOUBLE_TAP_DISTANCE = 25; // px - max distance between taps of a double-tap
 const CONNECTOR_HIT_RADIUS = 10; // px - hit area around connector line
 const SNAP_RADIUS = 15; // px - anchor point snap distance
 const ARROWHEAD_SIZE = 12; // px - size of arrowhead
@@ -124,6 +202,27 @@ const COLOR_PALETTE = [
 ];
 
 const STROKE_WIDTHS = [2, 4, 8, 16];
+const PEN_STYLE_LABELS = {
+    solid: 'Solid',
+    highlighter: 'Highlighter',
+    dashed: 'Dashed',
+    dotted: 'Dotted',
+    arrow: 'Arrow'
+};
+const HIGHLIGHTER_WIDTH_FACTOR = 3; // Highlighter strokes are this much wider than the selected width
+const STROKE_SIMPLIFY_TOLERANCE = 0.75; // screen px - finished strokes drop samples closer than this to the simplified line
+const STROKE_POINT_PRECISION = 100; // Stroke points keep two decimals (world units), 0.08 screen px at MAX_ZOOM
+// Longer strokes continue as a new stroke: packed points take at most about 26 characters,
+// so every stroke stays within one collab_Payload__c (131072 characters)
+const MAX_STROKE_POINTS = 4000;
+
+// Error code returned by saveCanvasState when the stored version has moved on
+const SAVE_CONFLICT_CODE = 'CONFLICT';
+
+// Board menu: values of the management items (board entries use BOARD_MENU_PREFIX + canvasId)
+const BOARD_MENU_PREFIX = 'board:';
+const LAST_BOARD_STORAGE_PREFIX = 'collab_lastBoard_';
+const OUTBOX_STORAGE_PREFIX = 'collab_outbox_';
 
 export default class Collab_collaborativeCanvas extends NavigationMixin(LightningElement) {
     @api recordId;
@@ -144,7 +243,8 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
 
     // Record Selector Modal State
     @track isRecordModalOpen = false;
-    @track recordModalTab = 'contacts'; // 'contacts', 'opportunities', 'leads'
+    @track recordModalTab = null; // tabKey of the active Add Record tab
+    @track recordPickerTabs = []; // Add Record tabs for the current record, from getRecordPickerTabs (Record Picker Tab metadata)
     @track recordSearchTerm = '';
     @track availableRecords = [];
     @track selectedRecordIds = []; // Use array for reactivity
@@ -165,6 +265,7 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
     @track customColorValue = '';
     @track drawColor = '#333333';
     @track drawStrokeWidth = 3;
+    @track drawPenStyle = 'solid';
 
     // Shape Palette State
     @track showShapePalette = false;
@@ -180,11 +281,100 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
     // Help Modal State
     @track showHelpModal = false;
 
+    // Save Conflict Modal State (optimistic locking)
+    @track showConflictModal = false;
+    @track saveConflict = null; // { currentVersion, lastModifiedByName, lastModifiedDate, ... }
+    @track isResolvingConflict = false;
+
+    // Presence State (collaborators panel, shared selection/viewport, follow mode)
+    showPresencePanel = false;
+    followedUserId = null;
+    userPhotos = {}; // userId -> photo URL (null while loading or without photo)
+    lastPresenceJson = null;
+    lastCursorsResult = null; // Last getAllCursors response, to skip redraws while nothing changed
+
+    // Version History State
+    @track showHistoryPanel = false;
+    @track canvasVersions = []; // From listCanvasVersions, newest first
+    @track isLoadingVersions = false;
+
+    // Comments State (threads from collab_CanvasCommentController)
+    @track showCommentsPanel = false;
+    @track commentThreads = [];
+    @track isLoadingComments = false;
+    @track showResolvedThreads = false;
+    @track activeThreadId = null; // Thread highlighted in the panel and on the canvas
+    @track newCommentElementId = null; // Element a new thread is being written for
+    @track replyThreadId = null; // Thread a reply is being written for
+    @track commentDraft = '';
+    @track mentionSuggestions = [];
+    @track isPostingComment = false;
+    commentMentions = []; // Users picked from suggestions for the current draft
+
+    // Daily digest subscription of the current record
+    @track isDigestSubscribed = false;
+    @track isUpdatingDigest = false;
+    @track isRestoringVersion = false;
+    @track previewVersion = null; // Snapshot version shown in the preview modal
+
+    // Template Picker State (new canvases)
+    @track showTemplatePicker = false;
+    @track savedTemplates = []; // From getTemplates (metadata only)
+    @track isLoadingTemplates = false;
+    @track isApplyingTemplate = false;
+    templatePickerDismissed = false; // Offer templates once per session
+
+    // Save as Template Modal State
+    @track showSaveTemplateModal = false;
+    @track templateName = '';
+    @track templateDescription = '';
+    @track isSavingTemplate = false;
+
+    // Named Boards State (multiple canvases per record)
+    @track boards = []; // From listCanvases, main board first
+    @track activeCanvasId = null; // Selected board; null = main board
+    @track showBoardNameModal = false;
+    @track boardNameMode = 'create'; // 'create', 'rename', 'duplicate'
+    @track boardName = '';
+    @track showDeleteBoardModal = false;
+    @track isSavingBoard = false;
+    _boardsLoadedForRecordId = null;
+
+    // Convert to Record State (sticky/shape -> Task, Opportunity, Contact)
+    @track showConvertModal = false;
+    @track convertTarget = null; // 'task', 'opportunity', 'contact'
+    @track convertForm = {};
+    @track opportunityStages = []; // From getOpportunityStages, loaded on first use
+    @track isConverting = false;
+    convertSourceId = null; // Element replaced by the new card
+
     // Canvas state
     objects = [];
     strokes = [];
     connectors = [];
     selectedObject = null;
+
+    // Optimistic locking state
+    canvasVersion = 0; // Version of the stored state this client last loaded or saved
+    crdt = new CanvasDocument(); // Timestamps and text sequences of the elements (see c/collab_canvasCrdt)
+
+    // Elements by location, for viewport culling and hit testing (see c/collab_canvasSpatialIndex)
+    objectIndex = new SpatialIndex();
+    connectorIndex = new SpatialIndex();
+    strokeIndex = new SpatialIndex();
+    isIndexStale = true; // Elements were added, removed or reshaped since the indexes were synced
+
+    // Render layers (see draw): offscreen grid and content canvases, repainted only when invalidated
+    gridLayer = null;
+    contentLayer = null;
+    layerViewKey = null; // Pan, zoom and pixel ratio the layers were painted for
+    isContentDirty = true; // Repaint the whole content layer
+    contentDirtyBounds = null; // World area of the content layer to repaint
+    isOverlayDirty = true;
+
+    // Operation log: last sequence applied without gaps, plus sequences applied ahead of it
+    lastSequence = 0;
+    appliedSequences = new Set();
     selectedConnector = null;
 
     // SLDS Icon images (preloaded for canvas drawing)
@@ -237,6 +427,15 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
     panStartX = 0;
     panStartY = 0;
     isShiftPanning = false;       // Temporary pan via Shift+click
+
+    // Touch & pen state (Pointer Events)
+    activePointers = new Map();   // pointerId -> { clientX, clientY } for touch/pen contacts
+    pinchGesture = null;          // Two-finger pan/zoom: { startDistance, startZoom, worldX, worldY }
+    longPressTimer = null;
+    longPressStart = null;        // { clientX, clientY } of the pressing finger
+    lastTap = null;               // { time, clientX, clientY } for double-tap detection
+    lastPointerType = 'mouse';
+    @track contextMenu = null;    // { left, top, items } - long-press / right-click menu
     previousTool = null;          // Tool to restore after space-pan
 
     // Undo/Redo state
@@ -244,6 +443,7 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
     redoStack = [];  // Cleared on new action
     dragStartState = null;  // Capture object state at drag start for undo
     previousTextValue = '';  // Capture text before editing for undo
+    editingTextBase = null;  // Text characters the edit started from, to merge concurrent typing
 
     // Clipboard state
     clipboard = {
@@ -256,6 +456,7 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
     localCursor = { x: 0, y: 0 };
     lastSentCursor = { x: 0, y: 0 };
     lastCursorSendTime = 0;
+    isDragPreviewShared = false; // The cached cursor carries a drag preview that must be ended
     remoteCursors = {};
     targetCursors = {};
 
@@ -269,13 +470,32 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
     cursorPollInterval = null;
     heartbeatInterval = null;
 
-    // Platform Event subscription
+    // Platform Event subscription (channel of the current canvas' shard)
     subscription = null;
+    subscribedChannel = null;
+
+    // Offline support: operations not yet published (oldest first) and why the client is offline
+    outbox = [];
+    outboxInFlight = 0; // Leading outbox entries currently being sent (not coalesced anymore)
+    outboxSendSingly = 0; // Leading outbox entries to send one per call, after their batch failed as a whole
+    isPublishFailing = false;
+    isStreamingDown = false;
+    isBrowserOffline = false;
+    needsReconcile = false; // Offline since the last sync: merge the stored state once back online
+    publishAttempts = 0;
+    subscribeAttempts = 0;
 
     /**
-     * @description Canvas ID - uses recordId if available, falls back to default
+     * @description Canvas ID - the selected board, else the record's main board (recordId), else default
      */
     get canvasId() {
+        return this.activeCanvasId || this.boardRecordId;
+    }
+
+    /**
+     * @description Record the boards belong to (also the canvas ID of the main board)
+     */
+    get boardRecordId() {
         return this.recordId || 'default-canvas';
     }
 
@@ -344,6 +564,38 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         return this.connectedUsers.length + 1; // +1 for self
     }
 
+    get isOffline() {
+        return this.isPublishFailing || this.isStreamingDown || this.isBrowserOffline;
+    }
+
+    get connectionState() {
+        if (this.isOffline) return 'offline';
+        return this.outbox.length ? 'syncing' : 'online';
+    }
+
+    get connectionStatusClass() {
+        return `status-item connection-status connection-${this.connectionState}`;
+    }
+
+    get connectionStatusLabel() {
+        const queued = this.outbox.length;
+        const changes = `${queued} change${queued === 1 ? '' : 's'}`;
+        switch (this.connectionState) {
+            case 'offline':
+                return queued ? `Offline - ${changes} queued` : 'Offline';
+            case 'syncing':
+                return `Syncing ${changes}`;
+            default:
+                return 'Live';
+        }
+    }
+
+    get connectionStatusTitle() {
+        return this.isOffline
+            ? 'Connection lost - keep working, your changes are saved on this device and synced when you are back online'
+            : 'Connected - changes are shared live';
+    }
+
     get hasError() {
         return !!this.errorMessage;
     }
@@ -360,6 +612,196 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         return Math.round(this.zoomLevel * 100);
     }
 
+    get exportOptions() {
+        return EXPORT_MENU_OPTIONS;
+    }
+
+    get pdfExportOptions() {
+        return PDF_EXPORT_MENU_OPTIONS;
+    }
+
+    // Save Conflict Modal Getters
+    get conflictMessage() {
+        if (!this.saveConflict) return '';
+        const who = this.saveConflict.lastModifiedByName || 'Another user';
+        const when = this.saveConflict.lastModifiedDate
+            ? ` on ${new Date(this.saveConflict.lastModifiedDate).toLocaleString()}`
+            : '';
+        return `${who} saved this canvas${when} after you loaded it.`;
+    }
+
+    get historyEntries() {
+        return this.canvasVersions.map((entry) => {
+            const isCurrent = entry.version === this.canvasVersion;
+            return {
+                key: entry.snapshotId,
+                version: entry.version,
+                label: `v${entry.version}`,
+                author: entry.savedByName || 'Unknown user',
+                savedAt: entry.savedDate ? new Date(entry.savedDate).toLocaleString() : '',
+                restoredFrom: entry.restoredFromVersion ? `Restored from v${entry.restoredFromVersion}` : null,
+                isCurrent,
+                itemClass: isCurrent ? 'history-item history-item_current' : 'history-item'
+            };
+        });
+    }
+
+    get hasCanvasVersions() {
+        return this.canvasVersions.length > 0;
+    }
+
+    get showNoVersions() {
+        return !this.isLoadingVersions && !this.hasCanvasVersions;
+    }
+
+    get openThreadCount() {
+        return this.commentThreads.filter(thread => !thread.resolved).length;
+    }
+
+    get commentsButtonTitle() {
+        const count = this.openThreadCount;
+        return count > 0 ? `Comments (${count} open)` : 'Comments';
+    }
+
+    get resolvedToggleLabel() {
+        const resolvedCount = this.commentThreads.length - this.openThreadCount;
+        return `Show resolved (${resolvedCount})`;
+    }
+
+    get commentThreadItems() {
+        return this.commentThreads
+            .filter(thread => this.showResolvedThreads || !thread.resolved || thread.threadId === this.activeThreadId)
+            .map(thread => {
+                const isActive = thread.threadId === this.activeThreadId;
+                let itemClass = 'comment-thread';
+                if (isActive) itemClass += ' comment-thread_active';
+                if (thread.resolved) itemClass += ' comment-thread_resolved';
+                return {
+                    threadId: thread.threadId,
+                    elementLabel: this.getCommentElementLabel(thread.elementId),
+                    isResolved: thread.resolved,
+                    resolvedLabel: thread.resolved ? `Resolved by ${thread.resolvedByName || 'Unknown user'}` : null,
+                    resolveLabel: thread.resolved ? 'Reopen' : 'Resolve',
+                    resolveIcon: thread.resolved ? 'utility:undo' : 'utility:check',
+                    isReplying: thread.threadId === this.replyThreadId,
+                    canReply: !thread.resolved && thread.threadId !== this.replyThreadId,
+                    itemClass,
+                    comments: thread.comments.map(comment => ({
+                        commentId: comment.commentId,
+                        authorName: comment.authorName,
+                        createdLabel: comment.createdDate ? new Date(comment.createdDate).toLocaleString() : '',
+                        parts: this.getCommentBodyParts(comment).map(part => ({ ...part, isText: !part.isMention })),
+                        canDelete: comment.authorId === userId
+                    }))
+                };
+            });
+    }
+
+    get showDigestButton() {
+        return Boolean(this.recordId);
+    }
+
+    get digestButtonTitle() {
+        return this.isDigestSubscribed
+            ? 'Daily digest on - click to stop the daily email about canvas activity on this record'
+            : 'Daily digest - get a daily email about canvas activity on this record';
+    }
+
+    get showCommentButton() {
+        return Boolean(this.selectedObject || this.selectedConnector)
+            && this.selectedObjects.length + this.selectedConnectors.length <= 1;
+    }
+
+    get hasCommentThreads() {
+        return this.commentThreadItems.length > 0;
+    }
+
+    get showNoComments() {
+        return !this.isLoadingComments && !this.hasCommentThreads && !this.newCommentElementId;
+    }
+
+    get newCommentElementLabel() {
+        return this.getCommentElementLabel(this.newCommentElementId);
+    }
+
+    get hasMentionSuggestions() {
+        return this.mentionSuggestions.length > 0;
+    }
+
+    get isPostCommentDisabled() {
+        return this.isPostingComment || !this.commentDraft.trim();
+    }
+
+    get showHistoryPreview() {
+        return this.previewVersion !== null;
+    }
+
+    get historyPreviewTitle() {
+        return `Preview Version ${this.previewVersion}`;
+    }
+
+    get isPreviewCurrentVersion() {
+        return this.previewVersion === this.canvasVersion || this.isRestoringVersion;
+    }
+
+    get builtInTemplates() {
+        return BUILT_IN_TEMPLATES.map(({ id, name, description, iconName }) => ({ id, name, description, iconName }));
+    }
+
+    get hasSavedTemplates() {
+        return this.savedTemplates.length > 0;
+    }
+
+    get showNoSavedTemplates() {
+        return !this.isLoadingTemplates && !this.hasSavedTemplates;
+    }
+
+    get isSaveTemplateDisabled() {
+        return this.isSavingTemplate || !this.templateName || !this.templateName.trim();
+    }
+
+    get activeBoard() {
+        return this.boards.find(board => board.canvasId === this.canvasId);
+    }
+
+    get activeBoardName() {
+        return this.activeBoard?.name || 'Main Board';
+    }
+
+    get boardMenuItems() {
+        return this.boards.map(board => ({
+            key: board.canvasId,
+            value: BOARD_MENU_PREFIX + board.canvasId,
+            label: board.name,
+            checked: board.canvasId === this.canvasId
+        }));
+    }
+
+    get isDeleteBoardDisabled() {
+        return !this.activeBoard || this.activeBoard.isDefault;
+    }
+
+    get boardNameModalTitle() {
+        if (this.boardNameMode === 'rename') return 'Rename Board';
+        if (this.boardNameMode === 'duplicate') return 'Duplicate Board';
+        return 'New Board';
+    }
+
+    get boardNameSubmitLabel() {
+        if (this.boardNameMode === 'rename') return 'Rename';
+        if (this.boardNameMode === 'duplicate') return 'Duplicate';
+        return 'Create';
+    }
+
+    get isBoardNameSubmitDisabled() {
+        return this.isSavingBoard || !this.boardName || !this.boardName.trim();
+    }
+
+    get contextMenuStyle() {
+        if (!this.contextMenu) return '';
+        return `left: ${this.contextMenu.left}px; top: ${this.contextMenu.top}px;`;
+    }
+
     get textEditorStyle() {
         // Handle connector label editing (2 lines tall)
         if (this.editingConnectorLabel) {
@@ -392,29 +834,21 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
     }
 
     // Record Modal Getters
-    get isContactsTab() {
-        return this.recordModalTab === 'contacts';
+    get activeRecordTab() {
+        return this.recordPickerTabs.find(tab => tab.tabKey === this.recordModalTab) || null;
     }
-    get isOpportunitiesTab() {
-        return this.recordModalTab === 'opportunities';
-    }
-    get isLeadsTab() {
-        return this.recordModalTab === 'leads';
-    }
-    get isUsersTab() {
-        return this.recordModalTab === 'users';
-    }
-    get contactsTabClass() {
-        return this.isContactsTab ? 'slds-tabs_default__item slds-is-active' : 'slds-tabs_default__item';
-    }
-    get opportunitiesTabClass() {
-        return this.isOpportunitiesTab ? 'slds-tabs_default__item slds-is-active' : 'slds-tabs_default__item';
-    }
-    get leadsTabClass() {
-        return this.isLeadsTab ? 'slds-tabs_default__item slds-is-active' : 'slds-tabs_default__item';
-    }
-    get usersTabClass() {
-        return this.isUsersTab ? 'slds-tabs_default__item slds-is-active' : 'slds-tabs_default__item';
+    /**
+     * Configured tabs (Record Picker Tab metadata) in admin-defined order
+     */
+    get recordTabs() {
+        return this.recordPickerTabs.map(tab => ({
+            key: tab.tabKey,
+            label: tab.label,
+            iconName: tab.iconName,
+            tabClass: tab.tabKey === this.recordModalTab
+                ? 'slds-tabs_default__item slds-is-active'
+                : 'slds-tabs_default__item'
+        }));
     }
     get hasSelectedRecords() {
         return this.selectedRecordIds.length > 0;
@@ -432,18 +866,17 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         }));
     }
     get searchPlaceholder() {
-        if (this.isLeadsTab) {
-            return 'Type at least 2 characters to search leads...';
-        } else if (this.isUsersTab) {
-            return 'Type at least 2 characters to search users...';
+        const tab = this.activeRecordTab;
+        if (tab && tab.requiresSearch) {
+            return `Type at least 2 characters to search ${tab.label.toLowerCase()}...`;
         }
         return 'Search records...';
     }
     get requiresSearch() {
-        return this.isLeadsTab || this.isUsersTab;
+        return !!(this.activeRecordTab && this.activeRecordTab.requiresSearch);
     }
     get noSearchRequired() {
-        return !this.isLeadsTab && !this.isUsersTab;
+        return !this.requiresSearch;
     }
     get addRecordsButtonLabel() {
         return this.hasSelectedRecords
@@ -579,6 +1012,38 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         return this.selectedObject && (this.selectedObject.type === 'rectangle' || this.selectedObject.type === 'circle');
     }
 
+    // Convert to Record Getters
+    get showConvertToRecord() {
+        const obj = this.selectedObject;
+        if (!obj || !(obj.type === 'sticky' || this.isShapeType(obj.type))) return false;
+        // Grouped elements keep their group - ungroup first
+        return !this.objects.some(o => o.type === 'group' && (o.children || []).includes(obj.id));
+    }
+    get convertModalTitle() {
+        const labels = { task: 'Convert to Task', opportunity: 'Convert to Opportunity', contact: 'Convert to Contact' };
+        return labels[this.convertTarget] || 'Convert to Record';
+    }
+    get isConvertTask() {
+        return this.convertTarget === 'task';
+    }
+    get isConvertOpportunity() {
+        return this.convertTarget === 'opportunity';
+    }
+    get isConvertContact() {
+        return this.convertTarget === 'contact';
+    }
+    get opportunityStageOptions() {
+        return this.opportunityStages.map(stage => ({ label: stage.label, value: stage.value }));
+    }
+    get isConvertSubmitDisabled() {
+        const form = this.convertForm;
+        if (this.isConverting) return true;
+        if (this.isConvertTask) return !form.subject || !form.subject.trim();
+        if (this.isConvertOpportunity) return !form.name || !form.name.trim() || !form.stageName || !form.closeDate;
+        if (this.isConvertContact) return !form.lastName || !form.lastName.trim();
+        return true;
+    }
+
     // Text Alignment Getters
     get showAlignmentButtons() {
         if (!this.selectedObject) return false;
@@ -667,6 +1132,13 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
             selected: w === this.drawStrokeWidth
         }));
     }
+    get penStyleOptions() {
+        return PEN_STYLES.map(style => ({
+            value: style,
+            label: PEN_STYLE_LABELS[style],
+            selected: style === this.drawPenStyle
+        }));
+    }
 
     // Sticky Note Colors for Palette
     get stickyColors() {
@@ -740,6 +1212,14 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
             { category: 'Modifiers', key: 'Shift + Drag', description: 'Lock aspect ratio (resize)' },
             { category: 'Modifiers', key: 'Alt + Drag', description: 'Disable grid snap' },
 
+            // Touch & Pen
+            { category: 'Touch & Pen', key: 'Drag', description: 'Select and move (one finger)' },
+            { category: 'Touch & Pen', key: 'Two-finger drag', description: 'Pan the canvas' },
+            { category: 'Touch & Pen', key: 'Pinch', description: 'Zoom around the fingers' },
+            { category: 'Touch & Pen', key: 'Long press', description: 'Context menu' },
+            { category: 'Touch & Pen', key: 'Double tap', description: 'Edit text' },
+            { category: 'Touch & Pen', key: 'Pen', description: 'Pressure-sensitive strokes (Draw tool)' },
+
             // Help
             { category: 'Help', key: '?', description: 'Open keyboard shortcuts' }
         ];
@@ -789,9 +1269,13 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
             this.preloadSLDSIcons();
 
             this.setupErrorHandler();
-            this.subscribeToPlatformEvents();
+            // The first load subscribes to the canvas' channel; re-inserted components resubscribe here
+            if (this.isInitialized) {
+                this.subscribeToPlatformEvents();
+            }
             this.startCursorPolling();
             this.startHeartbeat();
+            this.startPresenceSync();
 
             // Add keyboard listeners
             this.boundKeydownHandler = this.handleKeydown.bind(this);
@@ -799,6 +1283,19 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
             window.addEventListener('keydown', this.boundKeydownHandler);
             window.addEventListener('keyup', this.boundKeyupHandler);
 
+            // Redraw the overlay on input (selection, hover, marquee, previews)
+            this.boundOverlayInputHandler = this.invalidateOverlay.bind(this);
+            OVERLAY_INPUT_EVENTS.forEach(type => this.template.addEventListener(type, this.boundOverlayInputHandler));
+            window.addEventListener('keydown', this.boundOverlayInputHandler);
+            window.addEventListener('keyup', this.boundOverlayInputHandler);
+
+            // Device connectivity drives the connection status and immediate retries
+            this.isBrowserOffline = navigator.onLine === false;
+            this.boundOnlineHandler = this.handleBrowserOnline.bind(this);
+            this.boundOfflineHandler = this.handleBrowserOffline.bind(this);
+            window.addEventListener('online', this.boundOnlineHandler);
+            window.addEventListener('offline', this.boundOfflineHandler);
+
             console.log(DEBUG_PREFIX, 'connectedCallback completed successfully');
         } catch (error) {
             console.error(DEBUG_PREFIX, 'Canvas initialization error:', error);
@@ -855,6 +1352,9 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
             this._stateLoadedForRecordId = this.recordId;
             this.loadState();
         }
+
+        // A re-render means component state changed - selection, panels, comments, collaborators
+        this.invalidateOverlay();
     }
 
     disconnectedCallback() {
@@ -902,19 +1402,32 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
     setupErrorHandler() {
         onError((error) => {
             console.error(DEBUG_PREFIX, 'EMP API Error:', error);
+            this.handleStreamingError();
         });
     }
 
     // ========== Platform Events ==========
 
+    /**
+     * @description Subscribe to the event channel of the current canvas. Canvases are spread over
+     * filtered channels, so another board can need another channel (called on every load).
+     */
     async subscribeToPlatformEvents() {
-        console.log(DEBUG_PREFIX, 'Subscribing to platform events...');
         try {
+            const channel = await getEventChannel({ canvasId: this.canvasId });
+            if (this.subscription && channel === this.subscribedChannel) return;
+            if (this.subscription) {
+                unsubscribe(this.subscription).catch(() => {});
+                this.subscription = null;
+            }
+
+            console.log(DEBUG_PREFIX, 'Subscribing to platform events on', channel);
             this.subscription = await subscribe(
-                PLATFORM_EVENT_CHANNEL,
+                channel,
                 -1,
                 (message) => this.handlePlatformEvent(message)
             );
+            this.subscribedChannel = channel;
             console.log(DEBUG_PREFIX, 'Platform event subscription successful');
         } catch (error) {
             console.error(DEBUG_PREFIX, 'Failed to subscribe to platform events:', error);
@@ -924,13 +1437,25 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
     handlePlatformEvent(message) {
         const data = message.data.payload;
 
-        // Ignore own events
+        // Filter by canvas (a channel carries all canvases of its shard)
+        if (data.collab_Canvas_Id__c !== this.canvasId) {
+            return;
+        }
+
+        if (data.collab_Event_Type__c === BATCH_EVENT_TYPE) {
+            this.handleBatchEvent(data);
+            return;
+        }
+
+        // Ignore own events (already applied locally), but count their log position
+        const sequence = data.collab_Sequence__c;
         if (data.collab_User_Id__c === userId) {
+            this.markSequenceApplied(sequence);
             return;
         }
 
-        // Filter by canvas
-        if (data.collab_Canvas_Id__c !== this.canvasId) {
+        // Already replayed from the operation log
+        if (sequence && this.isSequenceApplied(sequence)) {
             return;
         }
 
@@ -940,126 +1465,588 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
 
         console.log(DEBUG_PREFIX, 'Received platform event:', eventType, payload);
 
+        if (this.applyOperation(eventType, payload)) {
+            this.markSequenceApplied(sequence);
+            return;
+        }
+
+        switch (eventType) {
+            case 'user_join':
+                this.showToast('User Joined', `${userName} joined the canvas`, 'info');
+                break;
+            case 'user_leave':
+                this.showToast('User Left', `${userName} left the canvas`, 'info');
+                break;
+            case 'state_restore':
+                this.handleRemoteStateRestore(payload, userName);
+                break;
+            case 'template_apply':
+                this.handleRemoteTemplateApply(payload, userName);
+                break;
+            case 'board_rename':
+                this.handleRemoteBoardRename(payload, userName);
+                break;
+            case 'board_delete':
+                this.handleRemoteBoardDelete(payload, userName);
+                break;
+            case 'comment_add':
+                this.handleRemoteCommentAdd(payload, userName);
+                break;
+            case 'comment_resolve':
+                this.upsertCommentThread(payload.thread);
+                break;
+            case 'comment_delete':
+                this.removeComment(payload.threadId, payload.commentId);
+                break;
+            default:
+                console.warn(DEBUG_PREFIX, 'Unknown event type:', eventType);
+        }
+    }
+
+    /**
+     * @description Unpack the operations a client outbox sent together (publishEvents), in order
+     */
+    handleBatchEvent(data) {
+        const isOwn = data.collab_User_Id__c === userId;
+        const operations = JSON.parse(data.collab_Payload__c || '[]');
+        console.log(DEBUG_PREFIX, 'Received batch of', operations.length, 'operations');
+
+        operations.forEach(({ eventType, payload, sequence }) => {
+            // Own operations are already applied locally, others may have been replayed from the log
+            if (isOwn || (sequence && this.isSequenceApplied(sequence))) {
+                this.markSequenceApplied(sequence);
+                return;
+            }
+            if (this.applyOperation(eventType, JSON.parse(payload || '{}'))) {
+                this.markSequenceApplied(sequence);
+            }
+        });
+    }
+
+    /**
+     * @description Apply a canvas content change, live from a platform event or replayed from the operation log
+     * @returns {boolean} False if the event type is not a logged canvas operation
+     */
+    applyOperation(eventType, payload) {
+        const operation = normalizeOperation(eventType, payload);
         switch (eventType) {
             case 'object_add':
-                this.handleRemoteObjectAdd(payload);
+                this.handleRemoteObjectAdd(operation);
                 break;
             case 'object_move':
-                this.handleRemoteObjectMove(payload);
+                this.handleRemoteObjectMove(operation);
                 break;
             case 'object_resize':
-                this.handleRemoteObjectResize(payload);
+                this.handleRemoteObjectResize(operation);
                 break;
             case 'object_style':
-                this.handleRemoteObjectStyle(payload);
+                this.handleRemoteObjectStyle(operation);
                 break;
             case 'object_delete':
-                this.handleRemoteObjectDelete(payload);
+                this.handleRemoteObjectDelete(operation);
                 break;
             case 'draw_stroke':
-                this.handleRemoteStroke(payload);
+                this.handleRemoteStroke(operation);
                 break;
             case 'stroke_delete':
-                this.handleRemoteStrokeDelete(payload);
+                this.handleRemoteStrokeDelete(operation);
                 break;
             case 'connector_add':
-                this.handleRemoteConnectorAdd(payload);
+                this.handleRemoteConnectorAdd(operation);
                 break;
             case 'connector_update':
-                this.handleRemoteConnectorUpdate(payload);
+                this.handleRemoteConnectorUpdate(operation);
                 break;
             case 'connector_delete':
-                this.handleRemoteConnectorDelete(payload);
+                this.handleRemoteConnectorDelete(operation);
                 break;
             case 'object_layer':
-                this.handleRemoteLayerChange(payload);
+                this.handleRemoteLayerChange(operation);
                 break;
             case 'connector_layer':
-                this.handleRemoteConnectorLayerChange(payload);
+                this.handleRemoteConnectorLayerChange(operation);
                 break;
             case 'group_create':
-                this.handleRemoteGroupCreate(payload);
+                this.handleRemoteGroupCreate(operation);
                 break;
             case 'group_ungroup':
-                this.handleRemoteGroupUngroup(payload);
-                break;
-            case 'user_join':
-                this.showToast('User Joined', `${userName} joined the canvas`, 'info');
-                // Auto-save so the joining user gets current state
-                this.saveStateForNewUser();
-                break;
-            case 'user_leave':
-                this.showToast('User Left', `${userName} left the canvas`, 'info');
+                this.handleRemoteGroupUngroup(operation);
                 break;
             default:
-                console.warn(DEBUG_PREFIX, 'Unknown event type:', eventType);
+                return false;
         }
+        this.invalidateElement(operation.id);
+        return true;
     }
 
-    // ========== Cursor System ==========
+    // ========== Operation Log ==========
 
-    startCursorPolling() {
-        this.cursorPollInterval = setInterval(() => {
-            this.pollCursors();
-        }, CURSOR_POLL_INTERVAL);
+    /**
+     * @description Whether the operation with this log sequence is already on the canvas
+     */
+    isSequenceApplied(sequence) {
+        return sequence <= this.lastSequence || this.appliedSequences.has(sequence);
     }
 
-    startHeartbeat() {
-        this.heartbeatInterval = setInterval(() => {
-            heartbeat({ canvasId: this.canvasId }).catch(() => {});
-        }, HEARTBEAT_INTERVAL);
+    /**
+     * @description Record an applied operation. A sequence ahead of lastSequence means
+     * operations in between were missed (or are still in flight): fetch them shortly.
+     */
+    markSequenceApplied(sequence) {
+        if (!sequence || sequence <= this.lastSequence) return;
+
+        this.appliedSequences.add(sequence);
+        while (this.appliedSequences.has(this.lastSequence + 1)) {
+            this.lastSequence++;
+            this.appliedSequences.delete(this.lastSequence);
+        }
+        if (this.appliedSequences.size > 0) {
+            this.scheduleCatchUp();
+        }
     }
 
-    async pollCursors() {
+    scheduleCatchUp() {
+        if (this._catchUpTimeout) return;
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._catchUpTimeout = setTimeout(() => {
+            this._catchUpTimeout = null;
+            if (this.appliedSequences.size > 0) {
+                this.catchUpOperations();
+            }
+        }, CATCH_UP_DELAY);
+    }
+
+    /**
+     * @description Replay the logged operations after lastSequence that this client has not applied.
+     * @param {boolean} afterLoad - Replaying onto a freshly loaded state: own operations are
+     *   applied too, and a pruned log is accepted instead of reloading again
+     */
+    async catchUpOperations(afterLoad = false) {
+        const canvasId = this.canvasId;
         try {
-            const result = await getAllCursors({ canvasId: this.canvasId });
-            const cursors = JSON.parse(result || '{}');
+            let page;
+            do {
+                page = await getCanvasOperations({ canvasId, afterSequence: this.lastSequence });
+                // Board switched while fetching
+                if (canvasId !== this.canvasId) return;
+
+                if (page.resyncRequired) {
+                    if (afterLoad) {
+                        console.warn(DEBUG_PREFIX, 'Operations after sequence', this.lastSequence, 'were compacted away');
+                        this.lastSequence = page.lastSequence;
+                        this.appliedSequences = new Set();
+                    } else {
+                        this.showToast('Canvas Reloaded', 'Missed changes were no longer available - loaded the latest state', 'info');
+                        await this.reloadStoredState();
+                    }
+                    return;
+                }
 
-            const now = Date.now();
-            const newConnectedUsers = [];
+                page.operations.forEach((operation) => {
+                    if (this.isSequenceApplied(operation.sequence)) return;
+                    // Own operations are already on the canvas unless it was just loaded
+                    if (afterLoad || operation.userId !== userId) {
+                        this.applyOperation(operation.eventType, JSON.parse(operation.payload || '{}'));
+                    }
+                    this.markSequenceApplied(operation.sequence);
+                });
+            } while (page.hasMore);
+            console.log(DEBUG_PREFIX, 'Caught up to sequence', this.lastSequence);
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to replay canvas operations:', error);
+        }
+    }
 
-            // Update target positions for interpolation
-            for (const [id, cursor] of Object.entries(cursors)) {
-                this.targetCursors[id] = {
-                    x: cursor.x,
-                    y: cursor.y,
-                    name: cursor.name,
-                    color: cursor.color,
-                    timestamp: cursor.timestamp
-                };
+    // ========== Offline Outbox ==========
 
-                // Initialize current position if new
-                if (!this.remoteCursors[id]) {
-                    this.remoteCursors[id] = { ...this.targetCursors[id] };
-                }
+    /**
+     * @description Queue a content operation. The queue is sent in batches (publishEvents) after
+     * a short window, so a drag or a burst of style changes costs one call and one event instead
+     * of one per change. While the connection is down operations stay queued (also in
+     * localStorage, so closing the tab offline loses nothing) and are retried with backoff.
+     */
+    enqueueOperation(eventType, payload) {
+        const entry = { canvasId: this.canvasId, eventType, payload };
+        this.outbox = [...this.coalesceOutbox(entry), entry];
+        this.storeOutbox(entry.canvasId);
+        this.scheduleOutboxFlush();
+    }
 
-                // Track connected users
-                if (now - cursor.timestamp < STALE_THRESHOLD) {
-                    newConnectedUsers.push({
-                        id: id,
-                        name: cursor.name,
-                        initials: this.getInitials(cursor.name),
-                        style: `background-color: ${cursor.color};`
-                    });
-                }
+    /**
+     * @description The queue without the updates a new operation supersedes: earlier updates of
+     * the same element that only set properties the new one sets again (and edit no text).
+     * Operations are dropped, never merged, so every property keeps its exact timestamp.
+     */
+    coalesceOutbox(entry) {
+        const operation = JSON.parse(entry.payload);
+        if (!operation.set) return this.outbox;
+
+        // Same element list (object_*, connector_*) - IDs are only unique within a list
+        const list = entry.eventType.split('_')[0];
+        return this.outbox.filter((queued, index) => {
+            if (index < this.outboxInFlight || queued.canvasId !== entry.canvasId || queued.eventType.split('_')[0] !== list) {
+                return true;
             }
+            const earlier = JSON.parse(queued.payload);
+            return earlier.id !== operation.id
+                || !earlier.set
+                || Boolean(earlier.text)
+                || !Object.keys(earlier.set).every((key) => key in operation.set);
+        });
+    }
 
-            // Remove stale cursors
-            for (const id of Object.keys(this.remoteCursors)) {
-                if (!cursors[id]) {
-                    delete this.remoteCursors[id];
-                    delete this.targetCursors[id];
+    scheduleOutboxFlush() {
+        if (this._outboxFlushTimeout) return;
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._outboxFlushTimeout = setTimeout(() => this.flushOutbox(), OUTBOX_BATCH_WINDOW);
+    }
+
+    async flushOutbox() {
+        clearTimeout(this._outboxFlushTimeout);
+        this._outboxFlushTimeout = null;
+        // One sender at a time (it picks up what is queued meanwhile); a scheduled retry owns the queue until it fires
+        if (this._isFlushingOutbox || this._publishRetryTimeout) return;
+        this._isFlushingOutbox = true;
+        try {
+            while (this.outbox.length) {
+                // One call per canvas: the leading operations of the same canvas, oldest first
+                const canvasId = this.outbox[0].canvasId;
+                const batchSize = this.outboxSendSingly ? 1 : OUTBOX_BATCH_SIZE;
+                let count = 1;
+                while (count < Math.min(this.outbox.length, batchSize) && this.outbox[count].canvasId === canvasId) {
+                    count++;
+                }
+                const batch = this.outbox.slice(0, count).map(({ eventType, payload }) => ({ eventType, payload }));
+
+                this.outboxInFlight = count;
+                let result;
+                try {
+                    result = await publishEvents({ canvasId, operationsJson: JSON.stringify(batch) });
+                } catch (error) {
+                    if (this.isConnectionError(error)) {
+                        this.schedulePublishRetry();
+                        return;
+                    }
+                    if (count > 1) {
+                        // The call failed as a whole - resend its operations one by one so only the culprit is dropped
+                        this.outboxSendSingly = count;
+                        continue;
+                    }
+                    // The server rejected the operation itself - sending it again cannot help
+                    console.error(DEBUG_PREFIX, 'Dropping rejected operation:', error);
+                    this.showToast('Change Not Synced', error.body?.message || 'A change was rejected by the server', 'error');
+                } finally {
+                    this.outboxInFlight = 0;
                 }
-            }
 
-            this.connectedUsers = newConnectedUsers;
-        } catch (error) {
-            // Fail silently - cache may not be available
+                // Invalid operations are skipped by the server, the rest of the batch went through
+                const rejected = (result?.errors || []).filter(Boolean);
+                if (rejected.length) {
+                    console.error(DEBUG_PREFIX, `Dropping ${rejected.length} rejected operations:`, rejected);
+                    this.showToast('Change Not Synced', rejected[0], 'error');
+                }
+                if (result && !result.isStateStored) {
+                    this.saveUnstoredBoard(canvasId);
+                }
+                this.outboxSendSingly = Math.max(0, this.outboxSendSingly - count);
+                this.outbox = this.outbox.slice(count);
+                this.storeOutbox(canvasId);
+            }
+            this.publishAttempts = 0;
+            this.isPublishFailing = false;
+        } finally {
+            this._isFlushingOutbox = false;
         }
+        await this.handleConnectionRestored();
     }
 
-    async sendCursorUpdate(x, y) {
+    /**
+     * @description Save a board nobody has saved yet. The server logs operations only for boards
+     * with a stored state, so without it collaborators joining later would not see them.
+     * If someone else saved first, their state is merged in and saved on top.
+     */
+    async saveUnstoredBoard(canvasId) {
+        if (canvasId !== this.canvasId || this._isSavingUnstoredBoard) return;
+        this._isSavingUnstoredBoard = true;
+        try {
+            try {
+                await this.persistState(this.buildStatePayload());
+            } catch (error) {
+                if (!this.parseSaveConflict(error)) throw error;
+                const stored = JSON.parse((await loadCanvasState({ canvasId })) || '{}');
+                if (canvasId !== this.canvasId) return;
+                this.crdt.merge(this, stored);
+                this.invalidateContent();
+                this.canvasVersion = stored.version || 0;
+                await this.persistState(this.buildStatePayload());
+            }
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to save the new board:', error);
+        } finally {
+            this._isSavingUnstoredBoard = false;
+        }
+    }
+
+    /**
+     * @description Whether a failed Apex call never reached the server (offline, aborted, timed out)
+     * rather than being rejected by it
+     */
+    isConnectionError(error) {
+        if (navigator.onLine === false) return true;
+        const message = error?.body?.message;
+        return !message || /disconnected|network|timed? ?out|cancel/i.test(message);
+    }
+
+    schedulePublishRetry() {
+        this.isPublishFailing = true;
+        this.needsReconcile = true;
+        const delay = this.getRetryDelay(++this.publishAttempts);
+        console.warn(DEBUG_PREFIX, 'Offline -', this.outbox.length, 'queued operations, retrying in', delay, 'ms');
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._publishRetryTimeout = setTimeout(() => {
+            this._publishRetryTimeout = null;
+            this.flushOutbox();
+        }, delay);
+    }
+
+    getRetryDelay(attempt) {
+        return Math.min(RECONNECT_RETRY_BASE * 2 ** (attempt - 1), RECONNECT_RETRY_MAX);
+    }
+
+    storeOutbox(canvasId) {
+        const key = OUTBOX_STORAGE_PREFIX + canvasId;
+        const entries = this.outbox.filter(entry => entry.canvasId === canvasId);
+        try {
+            if (entries.length) {
+                window.localStorage.setItem(key, JSON.stringify(entries));
+            } else {
+                window.localStorage.removeItem(key);
+            }
+        } catch (e) {
+            // Storage unavailable or full - the queue still lives in memory
+        }
+    }
+
+    readStoredOutbox(canvasId) {
+        try {
+            return JSON.parse(window.localStorage.getItem(OUTBOX_STORAGE_PREFIX + canvasId) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * @description Put operations that were not published yet back on a freshly loaded state:
+     * still queued in this session, or stored by an earlier session that closed offline
+     */
+    reapplyQueuedOperations() {
+        if (!this.outbox.some(entry => entry.canvasId === this.canvasId)) {
+            this.outbox = [...this.outbox, ...this.readStoredOutbox(this.canvasId)];
+        }
+        const queued = this.outbox.filter(entry => entry.canvasId === this.canvasId);
+        if (!queued.length) return;
+
+        console.log(DEBUG_PREFIX, 'Re-applying', queued.length, 'unsent operations');
+        queued.forEach((entry) => this.applyOperation(entry.eventType, JSON.parse(entry.payload)));
+        this.flushOutbox();
+    }
+
+    // ========== Connection Status ==========
+
+    handleBrowserOffline() {
+        console.warn(DEBUG_PREFIX, 'Device went offline');
+        this.isBrowserOffline = true;
+        this.needsReconcile = true;
+    }
+
+    handleBrowserOnline() {
+        console.log(DEBUG_PREFIX, 'Device back online');
+        this.isBrowserOffline = false;
+        // Retry right away instead of waiting out the backoff
+        if (this._publishRetryTimeout) {
+            clearTimeout(this._publishRetryTimeout);
+            this._publishRetryTimeout = null;
+            this.publishAttempts = 0;
+            this.flushOutbox();
+        }
+        if (this.isStreamingDown) {
+            clearTimeout(this._resubscribeTimeout);
+            this._resubscribeTimeout = null;
+            this.subscribeAttempts = 0;
+            this.resubscribeToPlatformEvents();
+        }
+        this.handleConnectionRestored();
+    }
+
+    /**
+     * @description The streaming connection failed (network loss, expired session): events
+     * published meanwhile are missed, so subscribe again with backoff and catch up afterwards
+     */
+    handleStreamingError() {
+        this.isStreamingDown = true;
+        this.needsReconcile = true;
+        if (this._resubscribeTimeout) return;
+        const delay = this.getRetryDelay(++this.subscribeAttempts);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._resubscribeTimeout = setTimeout(() => {
+            this._resubscribeTimeout = null;
+            this.resubscribeToPlatformEvents();
+        }, delay);
+    }
+
+    async resubscribeToPlatformEvents() {
+        if (this.subscription) {
+            unsubscribe(this.subscription).catch(() => {});
+            this.subscription = null;
+        }
+        await this.subscribeToPlatformEvents();
+        if (!this.subscription) {
+            this.handleStreamingError();
+            return;
+        }
+        this.isStreamingDown = false;
+        this.subscribeAttempts = 0;
+        await this.handleConnectionRestored();
+    }
+
+    /**
+     * @description Once fully back online with nothing left to send, sync with what happened
+     * while offline (the outbox flush calls this again when it has emptied the queue)
+     */
+    async handleConnectionRestored() {
+        if (this.isOffline || !this.needsReconcile || this.outbox.length) return;
+        this.needsReconcile = false;
+        await this.reconcileWithStoredState();
+    }
+
+    /**
+     * @description Merge the latest save into the canvas and replay the operations collaborators
+     * published while this client was offline. The CRDT merge keeps local offline edits.
+     */
+    async reconcileWithStoredState() {
+        const canvasId = this.canvasId;
+        try {
+            const state = JSON.parse((await loadCanvasState({ canvasId })) || '{}');
+            if (canvasId !== this.canvasId) return;
+
+            this.crdt.merge(this, state);
+            this.invalidateContent();
+            // The canvas now contains the stored state, so saving on top of it is no conflict
+            this.canvasVersion = state.version || 0;
+            await this.catchUpOperations();
+            this.refreshRecordCards();
+            this.showToast('Back Online', 'Changes made while offline are synced', 'success');
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to sync after reconnect:', error);
+            this.needsReconcile = true;
+        }
+    }
+
+    // ========== Cursor System ==========
+
+    startCursorPolling() {
+        this.cursorPollInterval = setInterval(() => {
+            this.pollCursors();
+        }, CURSOR_POLL_INTERVAL);
+    }
+
+    startHeartbeat() {
+        this.heartbeatInterval = setInterval(() => {
+            heartbeat({ canvasId: this.canvasId }).catch(() => {});
+        }, HEARTBEAT_INTERVAL);
+    }
+
+    async pollCursors() {
+        try {
+            const result = await getAllCursors({ canvasId: this.canvasId });
+            const cursors = JSON.parse(result || '{}');
+            // New positions, previews or selections of collaborators
+            if (result !== this.lastCursorsResult) {
+                this.lastCursorsResult = result;
+                this.invalidateOverlay();
+            }
+
+            const now = Date.now();
+            const newConnectedUsers = [];
+
+            // Update target positions for interpolation
+            for (const [id, cursor] of Object.entries(cursors)) {
+                this.targetCursors[id] = {
+                    x: cursor.x,
+                    y: cursor.y,
+                    name: cursor.name,
+                    color: cursor.color,
+                    timestamp: cursor.timestamp,
+                    preview: cursor.preview || null,
+                    presence: cursor.presence || null
+                };
+
+                // Initialize current position if new
+                if (!this.remoteCursors[id]) {
+                    this.remoteCursors[id] = { ...this.targetCursors[id] };
+                }
+
+                // Track connected users
+                if (now - cursor.timestamp < STALE_THRESHOLD) {
+                    const isFollowed = id === this.followedUserId;
+                    newConnectedUsers.push({
+                        id: id,
+                        name: cursor.name,
+                        initials: this.getInitials(cursor.name),
+                        style: `background-color: ${cursor.color};`,
+                        avatarClass: cursor.idle ? 'user-avatar user-avatar-idle' : 'user-avatar',
+                        photoUrl: this.userPhotos[id] || null,
+                        photoStyle: `border-color: ${cursor.color};`,
+                        statusLabel: cursor.idle ? 'Idle' : 'Active',
+                        statusClass: cursor.idle ? 'presence-status presence-status-idle' : 'presence-status',
+                        selectionLabel: this.describeSelection(cursor.presence?.selection),
+                        canFollow: Boolean(cursor.presence?.viewport),
+                        followLabel: isFollowed ? 'Stop' : 'Follow',
+                        followVariant: isFollowed ? 'brand' : 'neutral'
+                    });
+                }
+            }
+
+            if (this.followedUserId && !cursors[this.followedUserId]) {
+                this.showToast('Follow Mode Ended', `${this.followedUserName} left the canvas`, 'info');
+                this.stopFollowing();
+            }
+            this.loadUserPhotos(Object.keys(cursors));
+
+            // Remove stale cursors
+            for (const id of Object.keys(this.remoteCursors)) {
+                if (!cursors[id]) {
+                    delete this.remoteCursors[id];
+                    delete this.targetCursors[id];
+                }
+            }
+
+            // Re-render the toolbar and panel only when the list changed
+            if (JSON.stringify(newConnectedUsers) !== JSON.stringify(this.connectedUsers)) {
+                this.connectedUsers = newConnectedUsers;
+            }
+        } catch (error) {
+            // Fail silently - cache may not be available
+        }
+    }
+
+    async sendCursorUpdate(x, y) {
         const now = Date.now();
+
+        // While dragging, the cursor also carries the dragged elements (drawn as ghosts by others)
+        const preview = this.buildDragPreview();
+        if (preview) {
+            if (now - this.lastCursorSendTime < DRAG_PREVIEW_THROTTLE) return;
+            this.lastSentCursor = { x, y };
+            this.lastCursorSendTime = now;
+            this.isDragPreviewShared = true;
+            try {
+                await updateDragPreview({ canvasId: this.canvasId, x, y, previewJson: JSON.stringify(preview) });
+            } catch (error) {
+                // Fail silently - the committed change still arrives as a platform event
+            }
+            return;
+        }
         const dx = Math.abs(x - this.lastSentCursor.x);
         const dy = Math.abs(y - this.lastSentCursor.y);
 
@@ -1078,6 +2065,220 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         }
     }
 
+    /**
+     * @description Ephemeral preview of the drag in progress: moved or resized objects and
+     * rerouted connectors, or null when nothing is being dragged
+     */
+    buildDragPreview() {
+        const box = (obj) => ({
+            id: obj.id,
+            x: Math.round(obj.x),
+            y: Math.round(obj.y),
+            width: Math.round(obj.width),
+            height: Math.round(obj.height)
+        });
+
+        if (this.isDraggingMultiple && this.selectedObjects.length > 1) {
+            return { objects: this.selectedObjects.slice(0, MAX_PREVIEW_OBJECTS).map(box), connectors: [] };
+        }
+        if ((this.isDragging || this.isResizing) && this.selectedObject) {
+            return { objects: [box(this.selectedObject)], connectors: [] };
+        }
+
+        let connector = null;
+        if (this.isDraggingEndpoint) {
+            connector = this.draggingConnector;
+        } else if (this.isDraggingControlPoint) {
+            connector = this.selectedConnector;
+        }
+        const route = connector && this.getConnectorRoute(connector);
+        return route ? { objects: [], connectors: [route] } : null;
+    }
+
+    /**
+     * @description Points of a connector as drawn: start, waypoints or bezier control points, end
+     */
+    getConnectorRoute(connector) {
+        const start = this.resolveConnectorPoint(connector, 'start');
+        const end = this.resolveConnectorPoint(connector, 'end');
+        if (!start || !end) return null;
+
+        const curved = connector.connectorType === 'curved';
+        let via = [];
+        if (curved) {
+            // Same defaults as drawCurvedConnector
+            via = [
+                connector.controlPoint1 || { x: start.x + (end.x - start.x) * 0.25, y: start.y },
+                connector.controlPoint2 || { x: end.x - (end.x - start.x) * 0.25, y: end.y }
+            ];
+        } else if (connector.connectorType === 'elbow') {
+            via = connector.waypoints || [];
+        }
+        const points = [start, ...via, end].map((point) => ({ x: Math.round(point.x), y: Math.round(point.y) }));
+        return { id: connector.id, curved, points };
+    }
+
+    /**
+     * @description Drop the drag preview from the cached cursor once the drag is committed
+     */
+    endDragPreview() {
+        if (!this.isDragPreviewShared) return;
+        this.isDragPreviewShared = false;
+        const { x, y } = this.localCursor || this.lastSentCursor;
+        this.lastSentCursor = { x, y };
+        this.lastCursorSendTime = Date.now();
+        updateCursor({ canvasId: this.canvasId, x, y }).catch(() => {});
+    }
+
+    // ========== Presence ==========
+
+    startPresenceSync() {
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.presenceInterval = setInterval(() => {
+            this.syncPresence();
+        }, PRESENCE_SYNC_INTERVAL);
+    }
+
+    /**
+     * @description Share selection and viewport with collaborators when they changed
+     */
+    syncPresence() {
+        const presenceJson = JSON.stringify(this.buildPresence());
+        if (presenceJson === this.lastPresenceJson) return;
+
+        this.lastPresenceJson = presenceJson;
+        updatePresence({ canvasId: this.canvasId, presenceJson }).catch(() => {
+            // Cache unavailable - try again with the next sync
+            this.lastPresenceJson = null;
+        });
+    }
+
+    buildPresence() {
+        const ids = (elements, single) => [...new Set([...elements, single].filter(Boolean).map((element) => element.id))]
+            .slice(0, MAX_PRESENCE_IDS);
+        return {
+            selection: {
+                objects: ids(this.selectedObjects, this.selectedObject),
+                connectors: ids(this.selectedConnectors, this.selectedConnector)
+            },
+            viewport: {
+                zoom: Math.round(this.zoomLevel * 100) / 100,
+                panX: Math.round(this.panOffsetX),
+                panY: Math.round(this.panOffsetY),
+                width: this.width,
+                height: this.height
+            }
+        };
+    }
+
+    describeSelection(selection) {
+        const objectIds = selection?.objects || [];
+        const connectorIds = selection?.connectors || [];
+        const count = objectIds.length + connectorIds.length;
+        if (count === 0) return 'Nothing selected';
+        if (count > 1) return `${count} elements selected`;
+        if (connectorIds.length) return 'Connector selected';
+
+        const obj = this.objects.find((o) => o.id === objectIds[0]);
+        if (!obj) return '1 element selected';
+        const type = (obj.type || 'element').replace(/[_-]/g, ' ');
+        const label = type.charAt(0).toUpperCase() + type.slice(1);
+        const text = (obj.text || '').trim();
+        return text ? `${label}: ${text.length > 30 ? text.slice(0, 30) + '…' : text}` : label;
+    }
+
+    async loadUserPhotos(userIds) {
+        const missing = userIds.filter((id) => !(id in this.userPhotos));
+        if (!missing.length) return;
+
+        // Ask once per user, also when the request fails (initials are shown instead)
+        missing.forEach((id) => {
+            this.userPhotos[id] = null;
+        });
+        try {
+            const photos = await getUserPhotos({ userIds: missing });
+            this.userPhotos = { ...this.userPhotos, ...photos };
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to load user photos:', error);
+        }
+    }
+
+    get hasConnectedUsers() {
+        return this.connectedUsers.length > 0;
+    }
+
+    get isFollowing() {
+        return Boolean(this.followedUserId);
+    }
+
+    get followedUserName() {
+        return this.connectedUsers.find((user) => user.id === this.followedUserId)?.name || 'User';
+    }
+
+    get followBannerStyle() {
+        return `border-color: ${this.targetCursors[this.followedUserId]?.color || '#0176d3'};`;
+    }
+
+    handleTogglePresence() {
+        this.showPresencePanel = !this.showPresencePanel;
+        if (this.showPresencePanel) {
+            this.showHistoryPanel = false;
+            this.showCommentsPanel = false;
+        }
+    }
+
+    handleClosePresence() {
+        this.showPresencePanel = false;
+    }
+
+    /**
+     * @description Follow mode: mirror a collaborator's viewport so they can lead a walkthrough
+     */
+    handleFollowUser(event) {
+        const id = event.target.dataset.userId;
+        if (id === this.followedUserId) {
+            this.stopFollowing();
+            return;
+        }
+        this.followedUserId = id;
+        this.showToast('Following', `Following ${this.followedUserName} - pan or zoom to stop`, 'info');
+    }
+
+    handleStopFollowing() {
+        this.stopFollowing();
+    }
+
+    /**
+     * @description End follow mode (also when the user pans or zooms themselves)
+     */
+    stopFollowing() {
+        this.followedUserId = null;
+    }
+
+    /**
+     * @description Move the viewport toward the followed user's: same zoom, same world point in
+     * the center (canvases can differ in size). Called every frame.
+     */
+    followViewport() {
+        const viewport = this.followedUserId && this.targetCursors[this.followedUserId]?.presence?.viewport;
+        if (!viewport?.zoom) return;
+
+        const centerX = viewport.width / (2 * viewport.zoom) - viewport.panX;
+        const centerY = viewport.height / (2 * viewport.zoom) - viewport.panY;
+
+        // Only assign real changes - zoomLevel is rendered in the toolbar
+        const zoom = this.zoomLevel + (viewport.zoom - this.zoomLevel) * INTERPOLATION_FACTOR;
+        if (Math.abs(zoom - this.zoomLevel) > 0.001) {
+            this.zoomLevel = zoom;
+        }
+        const panX = this.panOffsetX + (this.width / (2 * this.zoomLevel) - centerX - this.panOffsetX) * INTERPOLATION_FACTOR;
+        const panY = this.panOffsetY + (this.height / (2 * this.zoomLevel) - centerY - this.panOffsetY) * INTERPOLATION_FACTOR;
+        if (Math.abs(panX - this.panOffsetX) > 0.5 || Math.abs(panY - this.panOffsetY) > 0.5) {
+            this.panOffsetX = panX;
+            this.panOffsetY = panY;
+        }
+    }
+
     getInitials(name) {
         if (!name) return '?';
         const parts = name.split(' ');
@@ -1099,47 +2300,97 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
     }
 
     interpolateCursors() {
+        let isMoving = false;
         for (const id of Object.keys(this.remoteCursors)) {
             const current = this.remoteCursors[id];
             const target = this.targetCursors[id];
 
             if (target) {
-                current.x += (target.x - current.x) * INTERPOLATION_FACTOR;
-                current.y += (target.y - current.y) * INTERPOLATION_FACTOR;
+                const dx = target.x - current.x;
+                const dy = target.y - current.y;
+                current.x += dx * INTERPOLATION_FACTOR;
+                current.y += dy * INTERPOLATION_FACTOR;
                 current.name = target.name;
                 current.color = target.color;
+                // Drag ghosts are redrawn until they end, cursors until they settle
+                isMoving = isMoving || Math.abs(dx) > 0.1 || Math.abs(dy) > 0.1 || Boolean(current.preview || target.preview);
+                current.preview = this.interpolatePreview(current.preview, target.preview);
             }
         }
+        if (isMoving) {
+            this.invalidateOverlay();
+        }
+        this.followViewport();
+    }
+
+    /**
+     * @description Move a collaborator's drag ghosts toward the latest polled preview. A new
+     * ghost starts at the element's current position, so it glides away from it.
+     */
+    interpolatePreview(current, target) {
+        if (!target) return null;
+        const lerp = (from, to) => from + (to - from) * INTERPOLATION_FACTOR;
+
+        const objects = (target.objects || []).map((goal) => {
+            const from = current?.objects?.find((ghost) => ghost.id === goal.id)
+                || this.objects.find((obj) => obj.id === goal.id)
+                || goal;
+            return {
+                id: goal.id,
+                x: lerp(from.x, goal.x),
+                y: lerp(from.y, goal.y),
+                width: lerp(from.width, goal.width),
+                height: lerp(from.height, goal.height)
+            };
+        });
+
+        const connectors = (target.connectors || []).map((goal) => {
+            const from = current?.connectors?.find((ghost) => ghost.id === goal.id);
+            const points = from && from.points.length === goal.points.length
+                ? goal.points.map((point, i) => ({ x: lerp(from.points[i].x, point.x), y: lerp(from.points[i].y, point.y) }))
+                : goal.points;
+            return { id: goal.id, curved: goal.curved, points };
+        });
+
+        return { objects, connectors };
     }
 
+    /**
+     * @description Render a frame from three layers: the grid and the committed content are
+     * cached in offscreen canvases, the interaction overlay is drawn on top. Nothing is painted
+     * unless a layer was invalidated (see Render Layers).
+     */
     draw() {
         if (!this.ctx) return;
 
         const ctx = this.ctx;
         const dpr = window.devicePixelRatio || 1;
 
-        // Clear entire canvas
+        const isLayerRepainted = this.updateLayers(dpr);
+        if (!isLayerRepainted && !this.isOverlayDirty) return;
+        this.isOverlayDirty = false;
+
+        // Compose the cached layers
         ctx.setTransform(1, 0, 0, 1, 0, 0);
         ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.drawImage(this.gridLayer, 0, 0);
+        ctx.drawImage(this.contentLayer, 0, 0);
 
         // Apply zoom and pan transform
         ctx.setTransform(dpr * this.zoomLevel, 0, 0, dpr * this.zoomLevel, 0, 0);
         ctx.translate(this.panOffsetX, this.panOffsetY);
 
-        // Draw grid
-        this.drawGrid(ctx);
-
-        // Draw strokes
-        this.drawStrokes(ctx);
-
-        // Draw all elements (objects + connectors) in combined z-order
-        this.drawAllElements(ctx);
+        // Draw the selected object's border and the selected connector
+        this.drawSelectionHighlights(ctx);
 
         // Draw current connector being drawn (preview)
         if (this.currentConnector) {
             this.drawConnector(ctx, this.currentConnector, true);
         }
 
+        // Draw comment pins for elements with open threads
+        this.drawCommentPins(ctx);
+
         // Draw resize handles on selected object
         if (this.selectedObject && this.currentTool === 'select') {
             this.drawResizeHandles(ctx, this.selectedObject);
@@ -1184,70 +2435,207 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         // Draw marquee selection rectangle
         this.drawMarquee(ctx);
 
-        // Draw remote cursors
+        // Draw selections and in-progress drags of collaborators, then their cursors
+        this.drawRemoteSelections(ctx);
+        this.drawRemoteDragPreviews(ctx);
         this.drawRemoteCursors(ctx);
     }
 
-    drawGrid(ctx) {
-        ctx.strokeStyle = '#e5e5e5';
-        ctx.lineWidth = 1;
+    // ========== Render Layers ==========
 
-        // Calculate visible area in canvas coordinates (accounting for pan and zoom)
-        const viewportWidth = this.canvas.width / this.zoomLevel;
-        const viewportHeight = this.canvas.height / this.zoomLevel;
-        const visibleLeft = -this.panOffsetX;
-        const visibleTop = -this.panOffsetY;
-        const visibleRight = visibleLeft + viewportWidth;
-        const visibleBottom = visibleTop + viewportHeight;
-
-        // Clamp to canvas world bounds and align to grid
-        const drawLeft = Math.max(0, Math.floor(visibleLeft / GRID_SIZE) * GRID_SIZE);
-        const drawTop = Math.max(0, Math.floor(visibleTop / GRID_SIZE) * GRID_SIZE);
-        const drawRight = Math.min(CANVAS_WORLD_WIDTH, Math.ceil(visibleRight / GRID_SIZE) * GRID_SIZE);
-        const drawBottom = Math.min(CANVAS_WORLD_HEIGHT, Math.ceil(visibleBottom / GRID_SIZE) * GRID_SIZE);
-
-        // Draw vertical lines
-        for (let x = drawLeft; x <= drawRight; x += GRID_SIZE) {
-            ctx.beginPath();
-            ctx.moveTo(x, drawTop);
-            ctx.lineTo(x, drawBottom);
-            ctx.stroke();
+    /**
+     * @description Repaint the content layer on the next frame: the given world area, or all of it
+     * @param {Object} bounds - World area { minX, minY, maxX, maxY }; omit for a full repaint
+     */
+    invalidateContent(bounds = null) {
+        this.markElementsChanged();
+        if (bounds) {
+            this.contentDirtyBounds = unionBounds(this.contentDirtyBounds, bounds);
+        } else {
+            this.isContentDirty = true;
         }
+    }
 
-        // Draw horizontal lines
-        for (let y = drawTop; y <= drawBottom; y += GRID_SIZE) {
-            ctx.beginPath();
-            ctx.moveTo(drawLeft, y);
-            ctx.lineTo(drawRight, y);
-            ctx.stroke();
+    /**
+     * @description Repaint the area of one element, for changes that keep its bounds
+     * (color, text, layer). Moved, added and removed elements are found by the spatial index.
+     */
+    invalidateElement(id) {
+        this.markElementsChanged();
+        const element = this.objects.find(o => o.id === id)
+            || this.connectors.find(c => c.id === id)
+            || this.strokes.find(s => s.id === id);
+        if (!element) return;
+
+        const bounds = this.objectIndex.getBounds(element)
+            || this.connectorIndex.getBounds(element)
+            || this.strokeIndex.getBounds(element);
+        // Not indexed yet: the next sync repaints it as added
+        if (bounds) {
+            this.invalidateContent(bounds);
         }
     }
 
     /**
-     * @description Draw all elements (objects + connectors) in combined z-order
-     * This ensures proper layering where connectors can appear above or below objects
+     * @description Recompose the frame on the next animation frame (overlay state changed)
      */
-    drawAllElements(ctx) {
-        // Combine objects and connectors with type markers
-        const allElements = [
-            ...this.objects.map(o => ({ element: o, isConnector: false })),
-            ...this.connectors.map(c => ({ element: c, isConnector: true }))
-        ];
-
-        // Sort by zIndex (lowest first, so highest renders on top)
-        allElements.sort((a, b) => (a.element.zIndex || 0) - (b.element.zIndex || 0));
+    invalidateOverlay() {
+        this.isOverlayDirty = true;
+    }
 
-        // Draw in sorted order
-        for (const { element, isConnector } of allElements) {
-            if (isConnector) {
-                const isSelected = element === this.selectedConnector;
-                this.drawConnector(ctx, element, false, isSelected);
+    /**
+     * @description Bring the grid and content layers up to date with the view and content
+     * @param {number} dpr - Device pixel ratio
+     * @returns {boolean} True if a layer was repainted
+     */
+    updateLayers(dpr) {
+        const { width, height } = this.canvas;
+        if (!this.gridLayer || this.gridLayer.width !== width || this.gridLayer.height !== height) {
+            this.gridLayer = this.createLayer(width, height);
+            this.contentLayer = this.createLayer(width, height);
+            this.layerViewKey = null;
+        }
+
+        // Idle frame: same view and nothing changed or invalidated - leave the elements alone
+        const viewKey = `${this.panOffsetX}:${this.panOffsetY}:${this.zoomLevel}:${dpr}`;
+        const isViewChanged = viewKey !== this.layerViewKey;
+        if (!isViewChanged && !this.isIndexStale && !this.isContentDirty && !this.contentDirtyBounds) {
+            return false;
+        }
+
+        this.syncSpatialIndex();
+        const viewport = this.getViewportBounds();
+        const dirtyBounds = [this.objectIndex, this.strokeIndex, this.connectorIndex]
+            .reduce((area, index) => unionBounds(area, index.takeDirtyBounds()), this.contentDirtyBounds);
+        this.contentDirtyBounds = null;
+
+        // Panning and zooming repaint everything
+        if (isViewChanged) {
+            this.layerViewKey = viewKey;
+            this.isContentDirty = false;
+            this.paintGridLayer(viewport, dpr);
+            this.paintContentLayer(viewport, dpr);
+            return true;
+        }
+
+        if (this.isContentDirty) {
+            this.isContentDirty = false;
+            this.paintContentLayer(viewport, dpr);
+            return true;
+        }
+
+        // Only the changed area, and only if it is in view
+        if (dirtyBounds && intersectsBounds(dirtyBounds, viewport)) {
+            this.paintContentLayer(dirtyBounds, dpr);
+            return true;
+        }
+        return false;
+    }
+
+    createLayer(width, height) {
+        const layer = document.createElement('canvas');
+        layer.width = width;
+        layer.height = height;
+        return layer;
+    }
+
+    paintGridLayer(viewport, dpr) {
+        const layerCtx = this.gridLayer.getContext('2d');
+        layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+        layerCtx.clearRect(0, 0, this.gridLayer.width, this.gridLayer.height);
+        layerCtx.setTransform(dpr * this.zoomLevel, 0, 0, dpr * this.zoomLevel, 0, 0);
+        layerCtx.translate(this.panOffsetX, this.panOffsetY);
+        this.drawGrid(layerCtx, viewport);
+    }
+
+    /**
+     * @description Repaint the strokes, objects and connectors within a world area of the content layer
+     * @param {Object} area - World area to repaint (the viewport for a full repaint)
+     * @param {number} dpr - Device pixel ratio
+     */
+    paintContentLayer(area, dpr) {
+        const layer = this.contentLayer;
+        const layerCtx = layer.getContext('2d');
+        const scale = dpr * this.zoomLevel;
+
+        // Whole device pixels around the area, so antialiased edges are repainted too
+        const left = Math.max(0, Math.floor((area.minX + this.panOffsetX) * scale) - 1);
+        const top = Math.max(0, Math.floor((area.minY + this.panOffsetY) * scale) - 1);
+        const right = Math.min(layer.width, Math.ceil((area.maxX + this.panOffsetX) * scale) + 1);
+        const bottom = Math.min(layer.height, Math.ceil((area.maxY + this.panOffsetY) * scale) + 1);
+        if (right <= left || bottom <= top) return;
+
+        layerCtx.save();
+        layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+        layerCtx.beginPath();
+        layerCtx.rect(left, top, right - left, bottom - top);
+        layerCtx.clip();
+        layerCtx.clearRect(left, top, right - left, bottom - top);
+
+        layerCtx.setTransform(scale, 0, 0, scale, 0, 0);
+        layerCtx.translate(this.panOffsetX, this.panOffsetY);
+
+        // Everything touching the cleared pixels is redrawn (clipped to them)
+        const region = {
+            minX: left / scale - this.panOffsetX,
+            minY: top / scale - this.panOffsetY,
+            maxX: right / scale - this.panOffsetX,
+            maxY: bottom / scale - this.panOffsetY
+        };
+        this.drawStrokes(layerCtx, region);
+        this.drawAllElements(layerCtx, region);
+        layerCtx.restore();
+    }
+
+    drawGrid(ctx, viewport = this.getViewportBounds()) {
+        // Shared renderer (unbounded, coarser spacing when zoomed far out)
+        drawGrid(ctx, viewport, this.zoomLevel);
+    }
+
+    /**
+     * @description Draw all elements (objects + connectors) in combined z-order
+     * This ensures proper layering where connectors can appear above or below objects
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} viewport - Visible world area; elements outside it are skipped
+     */
+    drawAllElements(ctx, viewport = this.getViewportBounds()) {
+        // Combine visible objects and connectors with type markers
+        const allElements = [
+            ...this.objectIndex.query(viewport).map(o => ({ element: o, isConnector: false })),
+            ...this.connectorIndex.query(viewport).map(c => ({ element: c, isConnector: true }))
+        ];
+
+        // Sort by zIndex (lowest first, so highest renders on top)
+        allElements.sort((a, b) => (a.element.zIndex || 0) - (b.element.zIndex || 0));
+
+        // Draw in sorted order (selection is drawn on the overlay, see drawSelectionHighlights)
+        for (const { element, isConnector } of allElements) {
+            if (isConnector) {
+                this.drawConnector(ctx, element);
             } else {
                 this.drawSingleObject(ctx, element);
             }
         }
     }
 
+    /**
+     * @description Draw the selection on the overlay: border of the selected object (indicator
+     * of a selected group) and the selected connector with its handles
+     */
+    drawSelectionHighlights(ctx) {
+        if (this.selectedConnector && this.connectors.includes(this.selectedConnector)) {
+            this.drawConnector(ctx, this.selectedConnector, false, true);
+        }
+
+        const obj = this.selectedObject;
+        if (!obj || !this.objects.includes(obj)) return;
+        if (obj.type === 'group') {
+            drawGroupIndicator(ctx, obj, true);
+        } else {
+            this.drawSelectionBorder(ctx, obj);
+        }
+    }
+
     /**
      * @description Draw a single object based on its type (uses shared drawing utils)
      */
@@ -1294,15 +2682,11 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
                 drawDocument(ctx, obj);
                 break;
             case 'group':
-                // Groups use shared util with isSelected flag
-                drawGroupIndicator(ctx, obj, this.selectedObject === obj);
+                // Groups are only visible while selected (drawSelectionHighlights)
                 break;
             default:
                 break;
         }
-
-        // Draw selection border (component-specific, not in shared utils)
-        this.drawSelectionBorder(ctx, obj);
     }
 
     /**
@@ -1346,26 +2730,15 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
 
     // ========== Stroke Drawing (kept in component) ==========
 
-    drawStrokes(ctx) {
-        for (const stroke of this.strokes) {
+    drawStrokes(ctx, viewport = this.getViewportBounds()) {
+        for (const stroke of this.strokeIndex.query(viewport)) {
             this.drawSingleStroke(ctx, stroke);
         }
     }
 
     drawSingleStroke(ctx, stroke) {
-        if (stroke.points.length < 2) return;
-
-        ctx.beginPath();
-        ctx.strokeStyle = stroke.color;
-        ctx.lineWidth = stroke.width || 3;
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-
-        ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
-        for (let i = 1; i < stroke.points.length; i++) {
-            ctx.lineTo(stroke.points[i].x, stroke.points[i].y);
-        }
-        ctx.stroke();
+        // Shared renderer (handles pen pressure)
+        drawSingleStroke(ctx, stroke);
     }
 
     /**
@@ -1537,6 +2910,78 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         ctx.restore();
     }
 
+    drawRemoteDragPreviews(ctx) {
+        for (const cursor of Object.values(this.remoteCursors)) {
+            if (!cursor.preview) continue;
+
+            ctx.save();
+            ctx.strokeStyle = cursor.color;
+            ctx.fillStyle = cursor.color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+
+            for (const ghost of cursor.preview.objects) {
+                ctx.globalAlpha = 0.15;
+                ctx.fillRect(ghost.x, ghost.y, ghost.width, ghost.height);
+                ctx.globalAlpha = 1;
+                ctx.strokeRect(ghost.x, ghost.y, ghost.width, ghost.height);
+            }
+
+            for (const ghost of cursor.preview.connectors) {
+                this.strokeConnectorRoute(ctx, ghost);
+            }
+
+            ctx.restore();
+        }
+    }
+
+    /**
+     * @description Outline what each collaborator has selected, in their color
+     */
+    drawRemoteSelections(ctx) {
+        for (const [id, cursor] of Object.entries(this.remoteCursors)) {
+            const selection = this.targetCursors[id]?.presence?.selection;
+            if (!selection) continue;
+
+            ctx.save();
+            ctx.strokeStyle = cursor.color;
+            ctx.fillStyle = cursor.color;
+            ctx.font = 'bold 10px sans-serif';
+
+            for (const objectId of selection.objects || []) {
+                const obj = this.objects.find((o) => o.id === objectId);
+                if (!obj) continue;
+                ctx.lineWidth = 2;
+                ctx.strokeRect(obj.x - 6, obj.y - 6, obj.width + 12, obj.height + 12);
+                ctx.fillText(cursor.name || 'User', obj.x - 6, obj.y - 10);
+            }
+
+            ctx.globalAlpha = 0.4;
+            ctx.lineWidth = 6;
+            for (const connectorId of selection.connectors || []) {
+                const connector = this.connectors.find((c) => c.id === connectorId);
+                const route = connector && this.getConnectorRoute(connector);
+                if (route) {
+                    this.strokeConnectorRoute(ctx, route);
+                }
+            }
+
+            ctx.restore();
+        }
+    }
+
+    strokeConnectorRoute(ctx, route) {
+        const [start, ...rest] = route.points;
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        if (route.curved && rest.length === 3) {
+            ctx.bezierCurveTo(rest[0].x, rest[0].y, rest[1].x, rest[1].y, rest[2].x, rest[2].y);
+        } else {
+            rest.forEach((point) => ctx.lineTo(point.x, point.y));
+        }
+        ctx.stroke();
+    }
+
     drawRemoteCursors(ctx) {
         for (const cursor of Object.values(this.remoteCursors)) {
             // Cursor dot
@@ -1980,6 +3425,303 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         ctx.fillText(text, tooltipX + padding, tooltipY + 9);
     }
 
+    // ========== Pointer Events (mouse, touch, pen) ==========
+    // Mouse input goes straight to the mouse handlers below. Touch and pen contacts
+    // are tracked here: one contact behaves like the mouse, a second finger turns the
+    // gesture into pan + pinch-zoom, and a long-press opens the context menu.
+
+    handlePointerDown(event) {
+        this.lastPointerType = event.pointerType;
+        if (event.pointerType === 'mouse') {
+            // Right-click opens the context menu (handleContextMenu)
+            if (event.button !== 0) return;
+            this.handleMouseDown(event);
+            return;
+        }
+
+        event.preventDefault();
+        this.canvas.setPointerCapture(event.pointerId);
+        this.activePointers.set(event.pointerId, { clientX: event.clientX, clientY: event.clientY });
+        this.cancelLongPress();
+
+        if (this.activePointers.size === 2) {
+            // Second finger: drop the one-finger interaction and pan/zoom instead
+            this.cancelPointerInteraction();
+            this.startPinchGesture();
+            return;
+        }
+        if (this.activePointers.size > 2) return;
+
+        this.handleMouseDown(event);
+
+        if (event.pointerType === 'touch' && this.currentTool === 'select') {
+            this.longPressStart = { clientX: event.clientX, clientY: event.clientY };
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            this.longPressTimer = setTimeout(() => this.handleLongPress(), LONG_PRESS_DELAY);
+        }
+    }
+
+    handlePointerMove(event) {
+        if (event.pointerType === 'mouse') {
+            this.handleMouseMove(event);
+            return;
+        }
+
+        if (!this.activePointers.has(event.pointerId)) {
+            // Hovering pen: cursor and hover feedback like the mouse
+            if (event.pointerType === 'pen' && this.activePointers.size === 0) {
+                this.handleMouseMove(event);
+            }
+            return;
+        }
+
+        event.preventDefault();
+        this.activePointers.set(event.pointerId, { clientX: event.clientX, clientY: event.clientY });
+
+        if (this.pinchGesture) {
+            this.updatePinchGesture();
+            return;
+        }
+        if (this.activePointers.size > 1) return;
+
+        if (this.longPressStart &&
+            Math.hypot(event.clientX - this.longPressStart.clientX, event.clientY - this.longPressStart.clientY) > LONG_PRESS_TOLERANCE) {
+            this.cancelLongPress();
+        }
+        this.handleMouseMove(event);
+    }
+
+    handlePointerUp(event) {
+        if (event.pointerType === 'mouse') {
+            this.handleMouseUp();
+            return;
+        }
+        if (!this.activePointers.has(event.pointerId)) return;
+
+        this.activePointers.delete(event.pointerId);
+        this.cancelLongPress();
+
+        if (this.pinchGesture) {
+            // Gesture ends with the second finger; the remaining finger does nothing until lifted
+            if (this.activePointers.size < 2) {
+                this.pinchGesture = null;
+            }
+            this.lastTap = null;
+            return;
+        }
+
+        this.handleMouseUp();
+        if (event.type === 'pointerup' && !this.contextMenu) {
+            this.detectDoubleTap(event);
+        }
+    }
+
+    handlePointerLeave(event) {
+        // Touch and pen contacts are captured - they end in handlePointerUp
+        if (event.pointerType === 'mouse') {
+            this.handleMouseLeave();
+        }
+    }
+
+    /**
+     * @description End the one-finger interaction when a second finger lands.
+     * Strokes, connectors and marquees in progress are discarded rather than committed.
+     */
+    cancelPointerInteraction() {
+        if (this.isDrawing) {
+            this.currentStroke = null;
+            this.isDrawing = false;
+        }
+        if (this.isConnecting) {
+            this.currentConnector = null;
+            this.isConnecting = false;
+            this.nearestAnchor = null;
+        }
+        this.isMarqueeSelecting = false;
+        this.handleMouseUp();
+    }
+
+    startPinchGesture() {
+        this.stopFollowing();
+        const { centerX, centerY, distance } = this.getPinchMetrics();
+        this.pinchGesture = {
+            startDistance: Math.max(distance, 1),
+            startZoom: this.zoomLevel,
+            // World point under the gesture center - kept under the fingers while panning/zooming
+            worldX: centerX / this.zoomLevel - this.panOffsetX,
+            worldY: centerY / this.zoomLevel - this.panOffsetY
+        };
+    }
+
+    updatePinchGesture() {
+        const { centerX, centerY, distance } = this.getPinchMetrics();
+        const gesture = this.pinchGesture;
+
+        // Continuous zoom while pinching (zoom buttons round to 10% steps)
+        const zoom = gesture.startZoom * (distance / gesture.startDistance);
+        this.zoomLevel = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+        this.panOffsetX = centerX / this.zoomLevel - gesture.worldX;
+        this.panOffsetY = centerY / this.zoomLevel - gesture.worldY;
+    }
+
+    /**
+     * @description Center (relative to the canvas) and distance of the first two touch contacts
+     */
+    getPinchMetrics() {
+        const rect = this.canvas.getBoundingClientRect();
+        const [a, b] = [...this.activePointers.values()];
+        return {
+            centerX: (a.clientX + b.clientX) / 2 - rect.left,
+            centerY: (a.clientY + b.clientY) / 2 - rect.top,
+            distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY)
+        };
+    }
+
+    handleLongPress() {
+        const start = this.longPressStart;
+        this.longPressTimer = null;
+        this.longPressStart = null;
+        if (!start || this.activePointers.size !== 1) return;
+
+        // The press already selected what is under the finger - end the drag and show the menu
+        this.handleMouseUp();
+        this.openContextMenu(start.clientX, start.clientY);
+    }
+
+    cancelLongPress() {
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+        this.longPressStart = null;
+    }
+
+    detectDoubleTap(event) {
+        const now = Date.now();
+        const last = this.lastTap;
+        if (last && now - last.time < DOUBLE_TAP_DELAY &&
+            Math.hypot(event.clientX - last.clientX, event.clientY - last.clientY) < DOUBLE_TAP_DISTANCE) {
+            this.lastTap = null;
+            this.handleDoubleClick(event);
+            return;
+        }
+        this.lastTap = { time: now, clientX: event.clientX, clientY: event.clientY };
+    }
+
+    // ========== Context Menu (right-click / long-press) ==========
+
+    handleContextMenu(event) {
+        event.preventDefault();
+        // Touch long-press is handled by the pointer layer (some browsers also fire contextmenu)
+        if (this.lastPointerType !== 'mouse') return;
+        if (this.isEditingText) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left) / this.zoomLevel - this.panOffsetX;
+        const y = (event.clientY - rect.top) / this.zoomLevel - this.panOffsetY;
+
+        // Select what is under the pointer unless it is part of the current selection
+        const target = this.findObjectAt(x, y);
+        const inSelection = target && this.selectedObjects.some(obj => obj.id === target.id);
+        if (this.currentTool === 'select' && !inSelection) {
+            this.handleSelection(x, y);
+            this.handleMouseUp();
+        }
+        this.openContextMenu(event.clientX, event.clientY);
+    }
+
+    /**
+     * @description Show the context menu for the current selection at a viewport position
+     */
+    openContextMenu(clientX, clientY) {
+        const items = this.getContextMenuItems();
+        if (items.length === 0) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        this.closeAllDropdowns();
+        this.contextMenu = {
+            left: Math.round(clientX - rect.left),
+            top: Math.round(clientY - rect.top),
+            items
+        };
+    }
+
+    getContextMenuItems() {
+        const items = [];
+        const add = (action, label, iconName) => items.push({ action, label, iconName });
+        const hasMultiSelection = this.selectedObjects.length > 0 || this.selectedConnectors.length > 0;
+        const obj = this.selectedObject;
+
+        if (obj && (obj.type === 'sticky' || this.isShapeType(obj.type))) {
+            add('edit', 'Edit Text', 'utility:edit');
+        } else if (this.selectedConnector && !hasMultiSelection) {
+            add('edit', 'Edit Label', 'utility:edit');
+        }
+        if ((obj || this.selectedConnector) && !hasMultiSelection) {
+            add('comment', 'Comment', 'utility:comments');
+        }
+        if (obj || this.selectedConnector || hasMultiSelection) {
+            add('cut', 'Cut', 'utility:cut');
+            add('copy', 'Copy', 'utility:copy');
+        }
+        if (this.clipboard) {
+            add('paste', 'Paste', 'utility:paste');
+        }
+        if ((obj || this.selectedConnector) && !hasMultiSelection) {
+            add('front', 'Bring to Front', 'utility:jump_to_top');
+            add('back', 'Send to Back', 'utility:jump_to_bottom');
+        }
+        if (obj || this.selectedConnector || hasMultiSelection) {
+            add('delete', 'Delete', 'utility:delete');
+        } else {
+            add('fit', 'Fit to Content', 'utility:expand_all');
+        }
+        return items;
+    }
+
+    handleContextMenuAction(event) {
+        const action = event.currentTarget.dataset.action;
+        this.contextMenu = null;
+
+        switch (action) {
+            case 'edit':
+                if (this.selectedConnector) {
+                    this.startConnectorLabelEditing(this.selectedConnector);
+                } else if (this.selectedObject && this.selectedObject.type === 'sticky') {
+                    this.startTextEditing(this.selectedObject);
+                } else if (this.selectedObject) {
+                    this.startShapeTextEditing(this.selectedObject);
+                }
+                break;
+            case 'comment':
+                this.handleAddComment();
+                break;
+            case 'cut':
+                this.handleCut();
+                break;
+            case 'copy':
+                this.handleCopy();
+                break;
+            case 'paste':
+                this.handlePaste();
+                break;
+            case 'front':
+                this.handleBringToFront();
+                break;
+            case 'back':
+                this.handleSendToBack();
+                break;
+            case 'delete':
+                this.deleteSelection();
+                break;
+            case 'fit':
+                this.handleFitToContent();
+                break;
+            default:
+                break;
+        }
+    }
+
     // ========== Mouse Events ==========
 
     handleMouseMove(event) {
@@ -1996,7 +3738,6 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
             const dy = screenY - this.panStartY;
             this.panOffsetX += dx;
             this.panOffsetY += dy;
-            this.clampPanOffset(); // Enforce canvas bounds
             this.panStartX = screenX;
             this.panStartY = screenY;
             return; // Don't process other interactions while panning
@@ -2011,24 +3752,28 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
 
         // Handle resizing
         if (this.isResizing && this.selectedObject && this.activeResizeHandle) {
+            this.markElementsChanged();
             this.performResize(x, y, event.shiftKey, event.altKey);
             return; // Don't process other interactions while resizing
         }
 
         // Handle control point dragging (curved/elbow connectors)
         if (this.isDraggingControlPoint && this.selectedConnector && this.activeControlPoint) {
+            this.markElementsChanged();
             this.performControlPointDrag(x, y);
             return; // Don't process other interactions while dragging control points
         }
 
         // Handle connector endpoint dragging
         if (this.isDraggingEndpoint && this.draggingConnector) {
+            this.markElementsChanged();
             this.performEndpointDrag(x, y);
             return; // Don't process other interactions while dragging endpoint
         }
 
         // Handle connector label dragging
         if (this.isDraggingLabel && this.draggingLabelConnector) {
+            this.markElementsChanged();
             this.performLabelDrag(x, y);
             return; // Don't process other interactions while dragging label
         }
@@ -2056,6 +3801,7 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
             }
 
             this.lastDragPosition = { x, y };
+            this.markElementsChanged();
             return; // Don't process other interactions while multi-dragging
         }
 
@@ -2074,11 +3820,16 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
             if (this.selectedObject.type === 'group') {
                 this.moveGroupChildren(this.selectedObject, dx, dy);
             }
+            this.markElementsChanged();
         }
 
         // Handle freehand drawing
         if (this.isDrawing && this.currentStroke) {
-            this.currentStroke.points.push({ x, y });
+            this.currentStroke.points.push(this.createStrokePoint(x, y, event));
+            if (this.currentStroke.points.length >= MAX_STROKE_POINTS) {
+                this.finishDrawing();
+                this.startDrawing(x, y, event);
+            }
         }
 
         // Handle connector drawing
@@ -2167,6 +3918,7 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
 
         // Pan tool - start panning
         if (this.currentTool === 'pan') {
+            this.stopFollowing();
             this.isPanning = true;
             this.panStartX = screenX;
             this.panStartY = screenY;
@@ -2176,6 +3928,7 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
 
         // Shift+click for temporary pan (works with any tool except when editing text)
         if (event.shiftKey && !this.isEditingText && this.currentTool !== 'draw') {
+            this.stopFollowing();
             this.isShiftPanning = true;
             this.isPanning = true;
             this.panStartX = screenX;
@@ -2211,10 +3964,18 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         }
 
         if (this.currentTool === 'draw') {
-            this.startDrawing(x, y);
+            this.startDrawing(x, y, event);
         } else if (this.currentTool === 'connector') {
             this.startConnector(x, y);
         } else {
+            // Comment pins sit above everything - open their thread
+            if (this.currentTool === 'select') {
+                const pin = this.getCommentPinAt(x, y);
+                if (pin) {
+                    this.openCommentThread(pin.threadId);
+                    return;
+                }
+            }
             // Check if clicking on a connector endpoint handle FIRST
             if (this.selectedConnector && this.currentTool === 'select') {
                 const endpoint = this.getClickedEndpoint(this.selectedConnector, x, y);
@@ -2335,6 +4096,8 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         if (this.isMarqueeSelecting) {
             this.finishMarqueeSelection();
         }
+
+        this.endDragPreview();
     }
 
     handleMouseLeave() {
@@ -2344,6 +4107,9 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
     // ========== Double-Click (Text Editing) ==========
 
     handleDoubleClick(event) {
+        // Touch/pen double-taps are detected in handlePointerUp
+        if (event.type === 'dblclick' && this.lastPointerType !== 'mouse') return;
+
         const rect = this.canvas.getBoundingClientRect();
         const x = (event.clientX - rect.left) / this.zoomLevel - this.panOffsetX;
         const y = (event.clientY - rect.top) / this.zoomLevel - this.panOffsetY;
@@ -2409,6 +4175,7 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         this.editingObject = obj;
         this.editingText = obj.text || '';
         this.previousTextValue = obj.text || ''; // Capture for undo
+        this.editingTextBase = this.crdt.captureText(obj.id);
         this.isEditingText = true;
 
         // Focus the textarea after render
@@ -2441,6 +4208,7 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         this.editingObject = obj;
         this.editingText = obj.text === 'Double-click to edit' ? '' : obj.text;
         this.previousTextValue = obj.text; // Capture for undo
+        this.editingTextBase = this.crdt.captureText(obj.id);
         this.isEditingText = true;
 
         // Focus the textarea after render
@@ -2524,14 +4292,15 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
             });
         }
 
-        // Publish text update
-        this.publishObjectUpdate(this.editingObject);
+        // Publish text update (merged with what collaborators typed meanwhile)
+        this.publishObjectUpdate(this.editingObject, this.editingTextBase);
 
         // Reset state
         this.isEditingText = false;
         this.editingObject = null;
         this.editingText = '';
         this.previousTextValue = '';
+        this.editingTextBase = null;
 
         console.log(DEBUG_PREFIX, 'Text editing finished');
     }
@@ -2540,34 +4309,35 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         this.isEditingText = false;
         this.editingObject = null;
         this.editingConnectorLabel = null;        this.editingText = '';
+        this.editingTextBase = null;
         console.log(DEBUG_PREFIX, 'Text editing cancelled');
     }
 
-    async publishObjectUpdate(obj) {
-        try {
-            await publishEvent({
-                canvasId: this.canvasId,
-                eventType: 'object_move', // Reuse move event for updates
-                payload: JSON.stringify(obj)
-            });
-        } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to publish object update:', error);
-        }
+    /**
+     * @description Publish every changed property of an object (text as character changes)
+     * @param {Object} textBase - Text captured when the text edit started, if any
+     */
+    async publishObjectUpdate(obj, textBase) {
+        // Reuse move event for updates
+        await this.publishOperation('object_move', this.crdt.localUpdate('objects', obj, undefined, textBase));
     }
 
     // ========== Zoom Controls ==========
 
     handleZoomIn() {
-        this.setZoom(this.zoomLevel + ZOOM_STEP);
+        this.stopFollowing();
+        this.setZoom(ZOOM_LEVELS.find(level => level > this.zoomLevel + 0.001) ?? MAX_ZOOM);
     }
 
     handleZoomOut() {
-        this.setZoom(this.zoomLevel - ZOOM_STEP);
+        this.stopFollowing();
+        this.setZoom([...ZOOM_LEVELS].reverse().find(level => level < this.zoomLevel - 0.001) ?? MIN_ZOOM);
     }
 
     handleFitToContent() {
         // Use shared calculateFitToContent utility
         if (!this.canvas) return;
+        this.stopFollowing();
 
         const result = calculateFitToContent(
             this.objects,
@@ -2578,7 +4348,7 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
             {
                 padding: 50,
                 minZoom: MIN_ZOOM,
-                maxZoom: MAX_ZOOM,
+                maxZoom: FIT_MAX_ZOOM,
                 resolveConnectorPoint: (connector, pointType) => this.resolveConnectorPoint(connector, pointType)
             }
         );
@@ -2588,9 +4358,6 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         this.panOffsetX = result.panOffsetX;
         this.panOffsetY = result.panOffsetY;
 
-        // Clamp pan to canvas bounds
-        this.clampPanOffset();
-
         // Redraw with new view
         this.draw();
 
@@ -2601,11 +4368,14 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
 
     setZoom(newZoom) {
         const oldZoom = this.zoomLevel;
+        // Keep the world point at the center of the view in place
+        const centerX = this.width / (2 * oldZoom) - this.panOffsetX;
+        const centerY = this.height / (2 * oldZoom) - this.panOffsetY;
         this.zoomLevel = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, newZoom));
-        // Round to nearest 10% for clean display
-        this.zoomLevel = Math.round(this.zoomLevel * 10) / 10;
-        // Re-clamp pan offset since viewport size changed
-        this.clampPanOffset();
+        // Round to whole percent for clean display
+        this.zoomLevel = Math.round(this.zoomLevel * 100) / 100;
+        this.panOffsetX = this.width / (2 * this.zoomLevel) - centerX;
+        this.panOffsetY = this.height / (2 * this.zoomLevel) - centerY;
         console.log(DEBUG_PREFIX, 'Zoom changed from', oldZoom, 'to', this.zoomLevel);
         // Redraw happens automatically in render loop
     }
@@ -3053,7 +4823,12 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         if (this.isEditingText) return;
 
         // Don't intercept keys when any modal is open (user may be typing in inputs)
-        if (this.isRecordModalOpen || this.isActivityModalOpen || this.showColorPicker) return;
+        if (this.isRecordModalOpen || this.isActivityModalOpen || this.showConflictModal || this.showHistoryPreview
+            || this.showTemplatePicker || this.showSaveTemplateModal || this.showBoardNameModal
+            || this.showDeleteBoardModal || this.showConvertModal || this.showColorPicker) return;
+
+        // Don't intercept keys while writing a comment
+        if (this.newCommentElementId || this.replyThreadId) return;
 
         const ctrl = event.ctrlKey || event.metaKey;
         const shift = event.shiftKey;
@@ -3196,14 +4971,7 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
                 event.preventDefault();
             }
 
-            // deleteSelectedObjects now handles both objects and connectors
-            if (this.selectedObjects.length > 0 || this.selectedConnectors.length > 0) {
-                this.deleteSelectedObjects();
-            } else if (this.selectedConnector) {
-                this.deleteSelectedConnector();
-            } else if (this.selectedObject) {
-                this.deleteSelectedObject();
-            }
+            this.deleteSelection();
         }
 
         // Escape to deselect
@@ -3236,30 +5004,11 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         }
     }
 
-    /**
-     * @description Clamp pan offset to keep viewport within canvas world bounds
-     */
-    clampPanOffset() {
-        if (!this.canvas) return;
-
-        const viewportWidth = this.canvas.width / this.zoomLevel;
-        const viewportHeight = this.canvas.height / this.zoomLevel;
-
-        // Pan offset is negative when viewing right/bottom of canvas
-        // Clamp so viewport stays within 0 to CANVAS_WORLD_WIDTH/HEIGHT
-        const minPanX = Math.min(0, -(CANVAS_WORLD_WIDTH - viewportWidth));
-        const maxPanX = 0;
-        const minPanY = Math.min(0, -(CANVAS_WORLD_HEIGHT - viewportHeight));
-        const maxPanY = 0;
-
-        this.panOffsetX = Math.max(minPanX, Math.min(maxPanX, this.panOffsetX));
-        this.panOffsetY = Math.max(minPanY, Math.min(maxPanY, this.panOffsetY));
-    }
-
     /**
      * @description Reset view to origin (0,0)
      */
     handleCenterView() {
+        this.stopFollowing();
         // Reset pan to show origin (0,0) at top-left
         this.panOffsetX = 0;
         this.panOffsetY = 0;
@@ -3317,6 +5066,20 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         console.log(DEBUG_PREFIX, 'Deleted object:', objectId, 'and', connectedConnectorIds.length, 'connected connectors');
     }
 
+    /**
+     * @description Delete whatever is selected (multi-selection, connector or object)
+     */
+    deleteSelection() {
+        // deleteSelectedObjects handles both objects and connectors
+        if (this.selectedObjects.length > 0 || this.selectedConnectors.length > 0) {
+            this.deleteSelectedObjects();
+        } else if (this.selectedConnector) {
+            this.deleteSelectedConnector();
+        } else if (this.selectedObject) {
+            this.deleteSelectedObject();
+        }
+    }
+
     /**
      * @description Delete all objects and connectors in selection (multi-selection delete)
      */
@@ -4124,56 +5887,33 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
      */
     async publishGroupCreate(group) {
         console.log(DEBUG_PREFIX, 'Publishing group_create:', group.id);
-        try {
-            await publishEvent({
-                canvasId: this.canvasId,
-                eventType: 'group_create',
-                payload: JSON.stringify(group)
-            });
-        } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to publish group_create:', error);
-        }
+        await this.publishOperation('group_create', this.crdt.localInsert('objects', group));
     }
 
     /**
      * @description Publish group ungroup event
      */
     async publishGroupUngroup(groupId, childIds) {
-        console.log(DEBUG_PREFIX, 'Publishing group_ungroup:', groupId);
-        try {
-            await publishEvent({
-                canvasId: this.canvasId,
-                eventType: 'group_ungroup',
-                payload: JSON.stringify({ groupId, childIds })
-            });
-        } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to publish group_ungroup:', error);
-        }
+        console.log(DEBUG_PREFIX, 'Publishing group_ungroup:', groupId, 'children:', childIds.length);
+        await this.publishOperation('group_ungroup', this.crdt.localDelete('objects', groupId));
     }
 
     /**
      * @description Handle remote group creation
      */
-    handleRemoteGroupCreate(payload) {
-        // Check if group already exists
-        const existingIndex = this.objects.findIndex(o => o.id === payload.id);
-        if (existingIndex >= 0) {
-            // Update existing
-            this.objects[existingIndex] = payload;
-        } else {
-            // Add new group
-            this.objects.push(payload);
-        }
-        console.log(DEBUG_PREFIX, 'Remote group created:', payload.id);
+    handleRemoteGroupCreate(operation) {
+        // Re-creating an existing group (undo of ungroup) replaces it
+        this.crdt.applyInsert(this, 'objects', operation);
+        console.log(DEBUG_PREFIX, 'Remote group created:', operation.id);
     }
 
     /**
      * @description Handle remote group ungroup
      */
-    handleRemoteGroupUngroup(payload) {
-        const { groupId } = payload;
+    handleRemoteGroupUngroup(operation) {
+        const groupId = operation.id;
         // Remove the group from objects
-        this.objects = this.objects.filter(o => o.id !== groupId);
+        this.crdt.applyDelete(this, 'objects', operation);
 
         // Clear selection if the ungrouped group was selected
         if (this.selectedObject && this.selectedObject.id === groupId) {
@@ -4290,15 +6030,7 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
 
     async publishObjectDelete(objectId) {
         console.log(DEBUG_PREFIX, 'Publishing object_delete:', objectId);
-        try {
-            await publishEvent({
-                canvasId: this.canvasId,
-                eventType: 'object_delete',
-                payload: JSON.stringify({ id: objectId })
-            });
-        } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to publish object_delete:', error);
-        }
+        await this.publishOperation('object_delete', this.crdt.localDelete('objects', objectId));
     }
 
     isPointInObject(x, y, obj) {
@@ -4393,6 +6125,82 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         return inside;
     }
 
+    // ========== Spatial Index ==========
+
+    /**
+     * @description Resync the spatial indexes on the next frame. For changes that are not
+     * published or invalidated right away, like drags; invalidateElement and invalidateContent
+     * include it.
+     */
+    markElementsChanged() {
+        this.isIndexStale = true;
+    }
+
+    /**
+     * @description Bring the spatial indexes in line with the element arrays, once per frame and
+     * only after markElementsChanged. Hit tests query the indexes as of the last frame.
+     * Cheap when little changed - only moved, resized, added or removed elements are re-bucketed.
+     */
+    syncSpatialIndex() {
+        if (!this.isIndexStale) return;
+        this.isIndexStale = false;
+        const objectsById = new Map(this.objects.map(obj => [obj.id, obj]));
+        this.objectIndex.sync(this.objects, obj => getObjectBounds(obj, OBJECT_BOUNDS_PADDING));
+        this.connectorIndex.sync(this.connectors, connector => this.getConnectorBounds(connector, objectsById));
+        this.strokeIndex.sync(this.strokes, getStrokeBounds);
+    }
+
+    /**
+     * @description Bounds of a connector as drawn: route, curve control points and label
+     * @param {Object} connector - Connector
+     * @param {Map} objectsById - Objects by Id, to resolve anchors without searching the list
+     * @returns {Object|null} Bounds { minX, minY, maxX, maxY }
+     */
+    getConnectorBounds(connector, objectsById) {
+        const resolve = (anchor, x, y) => {
+            const obj = anchor?.objectId && objectsById.get(anchor.objectId);
+            return obj ? getAnchorPoint(obj, anchor.position) : { x, y };
+        };
+        const start = resolve(connector.startAnchor, connector.startX, connector.startY);
+        const end = resolve(connector.endAnchor, connector.endX, connector.endY);
+
+        const points = [start, end];
+        if (connector.connectorType === 'curved') {
+            // A bezier curve stays within the box of its control points
+            const { cp1, cp2 } = getCurveControlPoints(connector, start, end);
+            points.push(cp1, cp2);
+        } else if (connector.connectorType === 'elbow') {
+            points.push(...(connector.waypoints || []));
+        }
+
+        const bounds = getPointsBounds(points, CONNECTOR_BOUNDS_PADDING);
+        const label = bounds && getConnectorLabelBounds(connector, start, end);
+        if (!label) {
+            return bounds;
+        }
+        return {
+            minX: Math.min(bounds.minX, label.x),
+            minY: Math.min(bounds.minY, label.y),
+            maxX: Math.max(bounds.maxX, label.x + label.width),
+            maxY: Math.max(bounds.maxY, label.y + label.height)
+        };
+    }
+
+    /**
+     * @description World area currently visible in the canvas
+     * @returns {Object} Bounds { minX, minY, maxX, maxY }
+     */
+    getViewportBounds() {
+        const minX = -this.panOffsetX;
+        const minY = -this.panOffsetY;
+        return {
+            minX,
+            minY,
+            maxX: minX + this.width / this.zoomLevel,
+            maxY: minY + this.height / this.zoomLevel
+        };
+    }
+
     // ========== Stroke Detection (for Eraser) ==========
 
     /**
@@ -4403,9 +6211,10 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
      * @returns {Object|null} - Stroke at point or null
      */
     findStrokeAtPoint(x, y, tolerance = 10) {
+        const candidates = this.strokeIndex.query(getPointBounds(x, y, tolerance));
         // Search from newest to oldest stroke
-        for (let i = this.strokes.length - 1; i >= 0; i--) {
-            const stroke = this.strokes[i];
+        for (let i = candidates.length - 1; i >= 0; i--) {
+            const stroke = candidates[i];
             if (this.isPointNearStroke(x, y, stroke, tolerance)) {
                 return stroke;
             }
@@ -4502,8 +6311,9 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
      * @returns {Object|null} - Object at the point, or null
      */
     findObjectAt(x, y) {
+        const candidates = this.objectIndex.query(getPointBounds(x, y));
         // Search from highest zIndex to lowest (topmost first)
-        const sortedByZ = [...this.objects].sort((a, b) => (b.zIndex || 0) - (a.zIndex || 0));
+        const sortedByZ = candidates.sort((a, b) => (b.zIndex || 0) - (a.zIndex || 0));
         for (const obj of sortedByZ) {
             if (this.isPointInObject(x, y, obj)) {
                 return obj;
@@ -4519,9 +6329,10 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
      * @returns {Object|null} - Connector at the point, or null
      */
     findConnectorAt(x, y) {
+        const candidates = this.connectorIndex.query(getPointBounds(x, y, CONNECTOR_HIT_RADIUS));
         // Search from end to beginning (most recently added first)
-        for (let i = this.connectors.length - 1; i >= 0; i--) {
-            const conn = this.connectors[i];
+        for (let i = candidates.length - 1; i >= 0; i--) {
+            const conn = candidates[i];
             if (this.isPointOnConnector(x, y, conn)) {
                 return conn;
             }
@@ -4606,19 +6417,41 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
 
     // ========== Drawing ==========
 
-    startDrawing(x, y) {
+    startDrawing(x, y, event = null) {
         this.isDrawing = true;
         this.currentStroke = {
             id: this.generateId(),
             type: 'stroke',
             color: this.drawColor,
-            width: this.drawStrokeWidth,
-            points: [{ x, y }]
+            width: this.drawPenStyle === 'highlighter'
+                ? this.drawStrokeWidth * HIGHLIGHTER_WIDTH_FACTOR
+                : this.drawStrokeWidth,
+            penStyle: this.drawPenStyle,
+            points: [this.createStrokePoint(x, y, event)]
         };
     }
 
+    /**
+     * @description Stroke point, with pen pressure (0-1) when drawn with a pen
+     */
+    createStrokePoint(x, y, event) {
+        const point = {
+            x: Math.round(x * STROKE_POINT_PRECISION) / STROKE_POINT_PRECISION,
+            y: Math.round(y * STROKE_POINT_PRECISION) / STROKE_POINT_PRECISION
+        };
+        if (event && event.pointerType === 'pen' && event.pressure > 0) {
+            point.pressure = Math.round(event.pressure * 100) / 100;
+        }
+        return point;
+    }
+
     finishDrawing() {
         if (this.currentStroke && this.currentStroke.points.length > 1) {
+            // Tolerance in screen pixels: strokes drawn zoomed in keep their finer detail
+            this.currentStroke.points = simplifyStrokePoints(
+                this.currentStroke.points,
+                STROKE_SIMPLIFY_TOLERANCE / this.zoomLevel
+            );
             this.strokes.push(this.currentStroke);
             this.publishStroke(this.currentStroke);
             // Record for undo
@@ -5418,6 +7251,10 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         this.drawStrokeWidth = parseInt(event.target.value, 10);
     }
 
+    handlePenStyleChange(event) {
+        this.drawPenStyle = event.target.value;
+    }
+
     handleDeleteFromToolbar() {
         if (this.selectedObject) {
             this.deleteSelectedObject();
@@ -5612,56 +7449,28 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
      * @description Publish layer change event for object sync
      */
     async publishLayerChange(obj) {
-        try {
-            await publishEvent({
-                canvasId: this.canvasId,
-                eventType: 'object_layer',
-                payload: JSON.stringify({
-                    id: obj.id,
-                    zIndex: obj.zIndex
-                })
-            });
-        } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to publish object_layer:', error);
-        }
+        await this.publishOperation('object_layer', this.crdt.localUpdate('objects', obj, ['zIndex']));
     }
 
     /**
      * @description Publish layer change event for connector sync
      */
     async publishConnectorLayerChange(connector) {
-        try {
-            await publishEvent({
-                canvasId: this.canvasId,
-                eventType: 'connector_layer',
-                payload: JSON.stringify({
-                    id: connector.id,
-                    zIndex: connector.zIndex
-                })
-            });
-        } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to publish connector_layer:', error);
-        }
+        await this.publishOperation('connector_layer', this.crdt.localUpdate('connectors', connector, ['zIndex']));
     }
 
     /**
      * @description Handle remote layer change event for objects
      */
-    handleRemoteLayerChange(payload) {
-        const obj = this.objects.find(o => o.id === payload.id);
-        if (obj) {
-            obj.zIndex = payload.zIndex;
-        }
+    handleRemoteLayerChange(operation) {
+        this.crdt.applyUpdate(this, 'objects', operation);
     }
 
     /**
      * @description Handle remote layer change event for connectors
      */
-    handleRemoteConnectorLayerChange(payload) {
-        const conn = this.connectors.find(c => c.id === payload.id);
-        if (conn) {
-            conn.zIndex = payload.zIndex;
-        }
+    handleRemoteConnectorLayerChange(operation) {
+        this.crdt.applyUpdate(this, 'connectors', operation);
     }
 
     // ========== Object Creation ==========
@@ -5829,6 +7638,7 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         this.showFillColorPicker = false;
         this.showBorderColorPicker = false;
         this.showDrawColorPicker = false;
+        this.contextMenu = null;
     }
 
     // ========== Help Modal ==========
@@ -5846,343 +7656,1333 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
     }
 
     // ========== Remote Event Handlers ==========
+    // Payloads are operations of c/collab_canvasCrdt: inserts { id, ts, element },
+    // updates { id, ts, set, text } and deletes { id, ts }. The CRDT document decides
+    // per property which write wins, so the order events arrive in does not matter.
 
-    handleRemoteObjectAdd(payload) {
-        // Check if object already exists
-        const exists = this.objects.some((o) => o.id === payload.id);
-        if (!exists) {
-            this.objects.push(payload);
-        }
+    handleRemoteObjectAdd(operation) {
+        this.crdt.applyInsert(this, 'objects', operation);
     }
 
-    handleRemoteObjectMove(payload) {
-        const obj = this.objects.find((o) => o.id === payload.id);
-        if (obj) {
-            // Merge all properties from payload (position, text, styles, etc.)
-            Object.assign(obj, payload);
-        }
+    handleRemoteObjectMove(operation) {
+        // Also carries text edits and any other property change (publishObjectUpdate)
+        this.crdt.applyUpdate(this, 'objects', operation);
     }
 
-    handleRemoteObjectResize(payload) {
-        const obj = this.objects.find((o) => o.id === payload.id);
-        if (obj) {
-            obj.x = payload.x;
-            obj.y = payload.y;
-            obj.width = payload.width;
-            obj.height = payload.height;
-        }
+    handleRemoteObjectResize(operation) {
+        this.crdt.applyUpdate(this, 'objects', operation);
     }
 
-    handleRemoteObjectStyle(payload) {
-        const obj = this.objects.find((o) => o.id === payload.id);
-        if (obj) {
-            if (payload.color) obj.color = payload.color;
-            if (payload.borderColor) obj.borderColor = payload.borderColor;
-            if (payload.borderWidth !== undefined) obj.borderWidth = payload.borderWidth;
-        }
+    handleRemoteObjectStyle(operation) {
+        this.crdt.applyUpdate(this, 'objects', operation);
     }
 
-    handleRemoteObjectDelete(payload) {
-        this.objects = this.objects.filter((o) => o.id !== payload.id);
+    handleRemoteObjectDelete(operation) {
+        this.crdt.applyDelete(this, 'objects', operation);
     }
 
-    handleRemoteStroke(payload) {
-        const exists = this.strokes.some((s) => s.id === payload.id);
-        if (!exists) {
-            this.strokes.push(payload);
-        }
+    handleRemoteStroke(operation) {
+        this.crdt.applyInsert(this, 'strokes', { ...operation, element: unpackStroke(operation.element) });
     }
 
-    handleRemoteStrokeDelete(payload) {
-        this.strokes = this.strokes.filter((s) => s.id !== payload.id);
+    handleRemoteStrokeDelete(operation) {
+        this.crdt.applyDelete(this, 'strokes', operation);
         // Clear hovered stroke if it was the one deleted
-        if (this.hoveredStroke && this.hoveredStroke.id === payload.id) {
+        if (this.hoveredStroke && this.hoveredStroke.id === operation.id) {
             this.hoveredStroke = null;
         }
     }
 
-    handleRemoteConnectorAdd(payload) {
-        console.log(DEBUG_PREFIX, 'handleRemoteConnectorAdd received:', payload);
-        const exists = this.connectors.some((c) => c.id === payload.id);
-        if (!exists) {
-            this.connectors.push(payload);
+    handleRemoteConnectorAdd(operation) {
+        console.log(DEBUG_PREFIX, 'handleRemoteConnectorAdd received:', operation);
+        if (this.crdt.applyInsert(this, 'connectors', operation)) {
             console.log(DEBUG_PREFIX, 'Connector added, total connectors:', this.connectors.length);
         } else {
-            console.log(DEBUG_PREFIX, 'Connector already exists, skipped');
+            console.log(DEBUG_PREFIX, 'Connector already known, skipped');
         }
     }
 
-    handleRemoteConnectorDelete(payload) {
-        this.connectors = this.connectors.filter((c) => c.id !== payload.id);
+    handleRemoteConnectorDelete(operation) {
+        this.crdt.applyDelete(this, 'connectors', operation);
         // Deselect if the deleted connector was selected
-        if (this.selectedConnector && this.selectedConnector.id === payload.id) {
+        if (this.selectedConnector && this.selectedConnector.id === operation.id) {
             this.selectedConnector = null;
         }
     }
 
-    handleRemoteConnectorUpdate(payload) {
-        const index = this.connectors.findIndex((c) => c.id === payload.id);
-        if (index !== -1) {
-            // Update the connector with new data
-            this.connectors[index] = { ...this.connectors[index], ...payload };
-            // Update selected connector reference if it's the one being updated
-            if (this.selectedConnector && this.selectedConnector.id === payload.id) {
-                this.selectedConnector = this.connectors[index];
-            }
-        }
+    handleRemoteConnectorUpdate(operation) {
+        // Updated in place, so a selected connector stays the same reference
+        this.crdt.applyUpdate(this, 'connectors', operation);
     }
 
     // ========== Event Publishing ==========
 
+    /**
+     * @description Publish a canvas operation built by the CRDT document (nothing changed if null).
+     * Goes through the outbox, so it is not lost while offline.
+     */
+    publishOperation(eventType, operation) {
+        if (!operation) return;
+        this.invalidateElement(operation.id);
+        this.enqueueOperation(eventType, JSON.stringify(operation));
+    }
+
     async publishObjectAdd(obj) {
         console.log(DEBUG_PREFIX, 'Publishing object_add:', obj);
+        await this.publishOperation('object_add', this.crdt.localInsert('objects', obj));
+    }
+
+    async publishObjectMove(obj) {
+        await this.publishOperation('object_move', this.crdt.localUpdate('objects', obj, ['x', 'y']));
+    }
+
+    async publishObjectResize(obj) {
+        console.log(DEBUG_PREFIX, 'Publishing object_resize:', obj.id);
+        await this.publishOperation(
+            'object_resize',
+            this.crdt.localUpdate('objects', obj, ['x', 'y', 'width', 'height'])
+        );
+    }
+
+    async publishObjectStyle(obj) {
+        console.log(DEBUG_PREFIX, 'Publishing object_style:', obj.id);
+        await this.publishOperation(
+            'object_style',
+            this.crdt.localUpdate('objects', obj, ['color', 'borderColor', 'borderWidth'])
+        );
+    }
+
+    async publishStroke(stroke) {
+        console.log(DEBUG_PREFIX, 'Publishing stroke');
+        const operation = this.crdt.localInsert('strokes', stroke);
+        // Points travel packed, as in stored states
+        operation.element = packStroke(operation.element);
+        await this.publishOperation('draw_stroke', operation);
+    }
+
+    async publishStrokeDelete(strokeId) {
+        console.log(DEBUG_PREFIX, 'Publishing stroke_delete:', strokeId);
+        await this.publishOperation('stroke_delete', this.crdt.localDelete('strokes', strokeId));
+    }
+
+    async publishConnectorAdd(connector) {
+        console.log(DEBUG_PREFIX, 'Publishing connector_add:', connector);
+        await this.publishOperation('connector_add', this.crdt.localInsert('connectors', connector));
+    }
+
+    async publishConnectorDelete(connectorId) {
+        console.log(DEBUG_PREFIX, 'Publishing connector_delete:', connectorId);
+        await this.publishOperation('connector_delete', this.crdt.localDelete('connectors', connectorId));
+    }
+
+    async publishConnectorUpdate(connector) {
+        console.log(DEBUG_PREFIX, 'Publishing connector_update:', connector.id);
+        // Only the properties that changed (endpoints, waypoints, label, style...)
+        await this.publishOperation('connector_update', this.crdt.localUpdate('connectors', connector));
+    }
+
+    async announceJoin() {
+        console.log(DEBUG_PREFIX, 'Announcing join');
         try {
             await publishEvent({
                 canvasId: this.canvasId,
-                eventType: 'object_add',
-                payload: JSON.stringify(obj)
+                eventType: 'user_join',
+                payload: JSON.stringify({ timestamp: Date.now() })
             });
         } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to publish object_add:', error);
+            console.error(DEBUG_PREFIX, 'Failed to announce join:', error);
         }
     }
 
-    async publishObjectMove(obj) {
+    async publishStateRestore(restoredVersion, newVersion) {
         try {
             await publishEvent({
                 canvasId: this.canvasId,
-                eventType: 'object_move',
-                payload: JSON.stringify({ id: obj.id, x: obj.x, y: obj.y })
+                eventType: 'state_restore',
+                payload: JSON.stringify({ restoredVersion, version: newVersion })
             });
         } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to publish object_move:', error);
+            console.error(DEBUG_PREFIX, 'Failed to publish state_restore:', error);
         }
     }
 
-    async publishObjectResize(obj) {
-        console.log(DEBUG_PREFIX, 'Publishing object_resize:', obj.id);
+    async publishTemplateApply(templateName) {
         try {
             await publishEvent({
                 canvasId: this.canvasId,
-                eventType: 'object_resize',
-                payload: JSON.stringify({
-                    id: obj.id,
-                    x: obj.x,
-                    y: obj.y,
-                    width: obj.width,
-                    height: obj.height
-                })
+                eventType: 'template_apply',
+                payload: JSON.stringify({ templateName })
             });
         } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to publish object_resize:', error);
+            console.error(DEBUG_PREFIX, 'Failed to publish template_apply:', error);
         }
     }
 
-    async publishObjectStyle(obj) {
-        console.log(DEBUG_PREFIX, 'Publishing object_style:', obj.id);
+    async publishBoardEvent(eventType, payload) {
         try {
             await publishEvent({
                 canvasId: this.canvasId,
-                eventType: 'object_style',
-                payload: JSON.stringify({
-                    id: obj.id,
-                    color: obj.color,
-                    borderColor: obj.borderColor,
-                    borderWidth: obj.borderWidth
-                })
+                eventType,
+                payload: JSON.stringify(payload)
             });
         } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to publish object_style:', error);
+            console.error(DEBUG_PREFIX, `Failed to publish ${eventType}:`, error);
         }
     }
 
-    async publishStroke(stroke) {
-        console.log(DEBUG_PREFIX, 'Publishing stroke');
+    async announceLeave() {
+        console.log(DEBUG_PREFIX, 'Announcing leave');
         try {
             await publishEvent({
                 canvasId: this.canvasId,
-                eventType: 'draw_stroke',
-                payload: JSON.stringify(stroke)
+                eventType: 'user_leave',
+                payload: JSON.stringify({ timestamp: Date.now() })
             });
         } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to publish draw_stroke:', error);
+            // Ignore errors on disconnect
         }
     }
 
-    async publishStrokeDelete(strokeId) {
-        console.log(DEBUG_PREFIX, 'Publishing stroke_delete:', strokeId);
+    // ========== Persistence ==========
+
+    /**
+     * @description Serialize the current canvas into the stored state shape
+     */
+    buildStatePayload() {
+        return {
+            objects: this.objects,
+            strokes: this.strokes,
+            connectors: this.connectors
+        };
+    }
+
+    /**
+     * @description Persist state with the version this client last saw.
+     * @param {Object} state - State from buildStatePayload()
+     * @param {boolean} force - Skip the version check and overwrite the stored state
+     * @returns {Promise<number>} The new stored version
+     */
+    async persistState(state, force = false) {
+        const newVersion = await saveCanvasState({
+            canvasId: this.canvasId,
+            // The log position tells joiners which operations this state already contains,
+            // the CRDT metadata lets later saves merge with it
+            stateJson: JSON.stringify({ ...state, sequence: this.lastSequence, crdt: this.crdt }),
+            expectedVersion: force ? null : this.canvasVersion
+        });
+        this.canvasVersion = newVersion;
+        return newVersion;
+    }
+
+    /**
+     * @description Extract the structured conflict from a saveCanvasState error
+     * @returns {Object|null} Conflict details or null if the error is not a version conflict
+     */
+    parseSaveConflict(error) {
+        const message = error?.body?.message;
+        if (!message || !message.startsWith('{')) return null;
         try {
-            await publishEvent({
+            const conflict = JSON.parse(message);
+            return conflict.code === SAVE_CONFLICT_CODE ? conflict : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async handleSave() {
+        console.log(DEBUG_PREFIX, '=== handleSave START ===');
+        console.log(DEBUG_PREFIX, 'canvasId:', this.canvasId);
+        console.log(DEBUG_PREFIX, 'version:', this.canvasVersion);
+        console.log(DEBUG_PREFIX, 'objects count:', this.objects.length);
+        console.log(DEBUG_PREFIX, 'strokes count:', this.strokes.length);
+        console.log(DEBUG_PREFIX, 'connectors count:', this.connectors.length);
+
+        try {
+            const state = this.buildStatePayload();
+            console.log(DEBUG_PREFIX, 'State to save:', JSON.stringify(state, null, 2));
+
+            await this.persistState(state);
+
+            console.log(DEBUG_PREFIX, 'Save successful! New version:', this.canvasVersion);
+            this.showToast('Success', 'Canvas saved successfully', 'success');
+        } catch (error) {
+            const conflict = this.parseSaveConflict(error);
+            if (conflict) {
+                console.warn(DEBUG_PREFIX, 'Save conflict:', conflict);
+                this.saveConflict = conflict;
+                this.showConflictModal = true;
+                return;
+            }
+            console.error(DEBUG_PREFIX, 'Save error:', error);
+            console.error(DEBUG_PREFIX, 'Error body:', error.body);
+            this.showToast('Error', 'Failed to save canvas', 'error');
+        }
+    }
+
+    // ========== Save Conflict Resolution ==========
+
+    handleCloseConflictModal() {
+        this.showConflictModal = false;
+        this.saveConflict = null;
+    }
+
+    /**
+     * @description Discard local changes and load the latest stored state
+     */
+    async handleConflictReload() {
+        this.isResolvingConflict = true;
+        await this.reloadStoredState();
+        this.isResolvingConflict = false;
+        this.handleCloseConflictModal();
+        this.showToast('Canvas Reloaded', 'Loaded the latest saved version', 'info');
+    }
+
+    /**
+     * @description Merge local changes into the latest stored state, then save
+     */
+    async handleConflictMerge() {
+        this.isResolvingConflict = true;
+        try {
+            const result = await loadCanvasState({ canvasId: this.canvasId });
+            const serverState = JSON.parse(result || '{}');
+
+            // Timestamped merge: newer inserts, deletes and properties win, text is united
+            this.crdt.merge(this, serverState);
+            this.invalidateContent();
+            this.canvasVersion = serverState.version || 0;
+
+            await this.persistState(this.buildStatePayload());
+            this.handleCloseConflictModal();
+            this.showToast('Success', 'Changes merged and saved', 'success');
+        } catch (error) {
+            const conflict = this.parseSaveConflict(error);
+            if (conflict) {
+                // Someone saved again while we were merging - let the user decide again
+                this.saveConflict = conflict;
+            } else {
+                console.error(DEBUG_PREFIX, 'Merge failed:', error);
+                this.showToast('Error', 'Failed to merge canvas changes', 'error');
+            }
+        }
+        this.isResolvingConflict = false;
+    }
+
+    /**
+     * @description Overwrite the stored state with the local canvas
+     */
+    async handleConflictOverwrite() {
+        this.isResolvingConflict = true;
+        try {
+            await this.persistState(this.buildStatePayload(), true);
+            this.handleCloseConflictModal();
+            this.showToast('Success', 'Canvas saved (overwrote newer version)', 'success');
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Overwrite failed:', error);
+            this.showToast('Error', 'Failed to save canvas', 'error');
+        }
+        this.isResolvingConflict = false;
+    }
+
+    /**
+     * @description Replace the local canvas with the stored state (local undo history no longer applies)
+     */
+    async reloadStoredState() {
+        this.clearSelectionForReload();
+        await this.loadState();
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * @description Drop selection/hover references that would dangle after state is replaced
+     */
+    clearSelectionForReload() {
+        this.selectedObject = null;
+        this.selectedConnector = null;
+        this.selectedObjects = [];
+        this.selectedConnectors = [];
+        this.hoveredStroke = null;
+        this.hoveredObject = null;
+        this.hoveredConnector = null;
+    }
+
+    async loadState() {
+        console.log(DEBUG_PREFIX, '=== loadState START ===');
+        console.log(DEBUG_PREFIX, 'canvasId:', this.canvasId);
+        console.log(DEBUG_PREFIX, 'recordId:', this.recordId);
+
+        // Track which recordId we're loading for
+        this._stateLoadedForRecordId = this.recordId;
+
+        // Board list (and the last used board) once per record
+        if (this._boardsLoadedForRecordId !== this.boardRecordId) {
+            await this.loadBoards();
+        }
+
+        // Listen on the canvas' channel before loading, so no event falls between load and subscribe
+        await this.subscribeToPlatformEvents();
+
+        try {
+            console.log(DEBUG_PREFIX, 'Calling Apex loadCanvasState...');
+            const result = await loadCanvasState({ canvasId: this.canvasId });
+
+            console.log(DEBUG_PREFIX, 'Apex raw result:', result);
+            console.log(DEBUG_PREFIX, 'Result length:', result ? result.length : 0);
+
+            const state = JSON.parse(result || '{}');
+            console.log(DEBUG_PREFIX, 'Parsed state:', JSON.stringify(state, null, 2));
+
+            if (state.objects) {
+                console.log(DEBUG_PREFIX, 'Loading', state.objects.length, 'objects');
+                this.objects = state.objects;
+            }
+            if (state.strokes) {
+                console.log(DEBUG_PREFIX, 'Loading', state.strokes.length, 'strokes');
+                this.strokes = state.strokes;
+            }
+            if (state.connectors) {
+                console.log(DEBUG_PREFIX, 'Loading', state.connectors.length, 'connectors');
+                this.connectors = state.connectors;
+            }
+            this.invalidateContent();
+
+            // Optimistic locking: remember which version our edits are based on
+            this.canvasVersion = state.version || 0;
+            this.crdt.load(this, state.crdt);
+
+            // Replay what collaborators changed since this state was stored
+            this.lastSequence = state.sequence || 0;
+            this.appliedSequences = new Set();
+            await this.catchUpOperations(true);
+            this.reapplyQueuedOperations();
+
+            this.refreshRecordCards();
+            this.loadCommentThreads();
+
+            // Nothing stored or logged yet: offer to start from a template
+            if (!state.version && !this.lastSequence) {
+                this.openTemplatePicker();
+            } else if (this.showTemplatePicker && !this.isApplyingTemplate) {
+                // Someone else started this canvas meanwhile
+                this.showTemplatePicker = false;
+            }
+
+            console.log(DEBUG_PREFIX, '=== loadState END (success) === version:', this.canvasVersion);
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to load state:', error);
+            console.error(DEBUG_PREFIX, 'Error body:', error.body);
+        }
+    }
+
+    // ========== Version History ==========
+
+    handleToggleHistory() {
+        this.showHistoryPanel = !this.showHistoryPanel;
+        if (this.showHistoryPanel) {
+            this.showCommentsPanel = false;
+            this.showPresencePanel = false;
+            this.loadCanvasVersions();
+        }
+    }
+
+    handleCloseHistory() {
+        this.showHistoryPanel = false;
+    }
+
+    async loadCanvasVersions() {
+        this.isLoadingVersions = true;
+        try {
+            this.canvasVersions = await listCanvasVersions({ canvasId: this.canvasId });
+            console.log(DEBUG_PREFIX, 'Loaded', this.canvasVersions.length, 'versions');
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to load versions:', error);
+            this.showToast('Error', 'Failed to load version history', 'error');
+        }
+        this.isLoadingVersions = false;
+    }
+
+    handlePreviewVersion(event) {
+        this.previewVersion = parseInt(event.currentTarget.dataset.version, 10);
+    }
+
+    handleClosePreview() {
+        this.previewVersion = null;
+    }
+
+    handleRestoreVersion(event) {
+        this.restoreVersion(parseInt(event.currentTarget.dataset.version, 10));
+    }
+
+    handleRestorePreviewVersion() {
+        this.restoreVersion(this.previewVersion);
+    }
+
+    /**
+     * @description Restore a snapshot as the current state (saved as a new version).
+     * Uses the same optimistic locking as handleSave, so a restore based on a stale
+     * version is rejected instead of silently replacing someone else's save.
+     * @param {number} version - Snapshot version to restore
+     */
+    async restoreVersion(version) {
+        console.log(DEBUG_PREFIX, 'Restoring version', version, 'over', this.canvasVersion);
+        this.isRestoringVersion = true;
+        try {
+            const newVersion = await restoreCanvasVersion({
                 canvasId: this.canvasId,
-                eventType: 'stroke_delete',
-                payload: JSON.stringify({ id: strokeId })
+                version,
+                expectedVersion: this.canvasVersion
             });
+
+            await this.reloadStoredState();
+            this.previewVersion = null;
+
+            this.publishStateRestore(version, newVersion);
+            this.showToast('Version Restored', `Version ${version} restored as version ${newVersion}`, 'success');
+            await this.loadCanvasVersions();
         } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to publish stroke_delete:', error);
+            const conflict = this.parseSaveConflict(error);
+            if (conflict) {
+                const who = conflict.lastModifiedByName || 'Another user';
+                this.showToast(
+                    'Canvas Changed',
+                    `${who} saved a newer version. Reload the canvas before restoring.`,
+                    'warning'
+                );
+                await this.loadCanvasVersions();
+            } else {
+                console.error(DEBUG_PREFIX, 'Restore failed:', error);
+                this.showToast('Error', 'Failed to restore version', 'error');
+            }
         }
+        this.isRestoringVersion = false;
     }
 
-    async publishConnectorAdd(connector) {
-        console.log(DEBUG_PREFIX, 'Publishing connector_add:', connector);
+    /**
+     * @description Another collaborator restored a snapshot - replace local state with it
+     */
+    async handleRemoteStateRestore(payload, userName) {
+        await this.reloadStoredState();
+        if (this.showHistoryPanel) {
+            this.loadCanvasVersions();
+        }
+        this.showToast('Version Restored', `${userName} restored version ${payload.restoredVersion}`, 'info');
+    }
+
+    // ========== Comments ==========
+
+    async loadCommentThreads() {
+        const canvasId = this.canvasId;
+        this.isLoadingComments = true;
         try {
-            await publishEvent({
+            const threads = await getCommentThreads({ canvasId });
+            // Ignore results for a board we already switched away from
+            if (canvasId === this.canvasId) {
+                this.commentThreads = threads;
+            }
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to load comments:', error);
+        }
+        this.isLoadingComments = false;
+    }
+
+    handleToggleComments() {
+        this.showCommentsPanel = !this.showCommentsPanel;
+        if (this.showCommentsPanel) {
+            this.showHistoryPanel = false;
+            this.showPresencePanel = false;
+        } else {
+            this.resetCommentComposer();
+        }
+    }
+
+    handleCloseComments() {
+        this.showCommentsPanel = false;
+        this.activeThreadId = null;
+        this.resetCommentComposer();
+    }
+
+    handleToggleResolvedThreads(event) {
+        this.showResolvedThreads = event.target.checked;
+    }
+
+    /**
+     * @description Start a new thread on the selected object or connector
+     */
+    handleAddComment() {
+        const element = this.selectedObject || this.selectedConnector;
+        if (!element) return;
+
+        this.resetCommentComposer();
+        this.newCommentElementId = element.id;
+        this.activeThreadId = null;
+        this.showCommentsPanel = true;
+        this.showHistoryPanel = false;
+        this.showPresencePanel = false;
+    }
+
+    handleSelectThread(event) {
+        this.openCommentThread(event.currentTarget.dataset.threadId, false);
+    }
+
+    /**
+     * @description Show a thread in the panel and select its element
+     * @param {string} threadId - Root comment Id
+     * @param {boolean} resetComposer - Discard a draft for another thread
+     */
+    openCommentThread(threadId, resetComposer = true) {
+        const thread = this.commentThreads.find(t => t.threadId === threadId);
+        if (!thread) return;
+
+        if (resetComposer && this.replyThreadId !== threadId) {
+            this.resetCommentComposer();
+        }
+        this.activeThreadId = threadId;
+        this.showCommentsPanel = true;
+        this.showHistoryPanel = false;
+        this.showPresencePanel = false;
+
+        const obj = this.objects.find(o => o.id === thread.elementId);
+        const connector = obj ? null : this.connectors.find(c => c.id === thread.elementId);
+        if (obj || connector) {
+            this.selectedObject = obj || null;
+            this.selectedConnector = connector || null;
+            this.selectedObjects = [];
+            this.selectedConnectors = [];
+        }
+    }
+
+    handleReplyToThread(event) {
+        event.stopPropagation();
+        const threadId = event.currentTarget.dataset.threadId;
+        this.resetCommentComposer();
+        this.replyThreadId = threadId;
+        this.activeThreadId = threadId;
+    }
+
+    handleCancelComment(event) {
+        event.stopPropagation();
+        this.resetCommentComposer();
+    }
+
+    resetCommentComposer() {
+        this.newCommentElementId = null;
+        this.replyThreadId = null;
+        this.commentDraft = '';
+        this.commentMentions = [];
+        this.mentionSuggestions = [];
+        clearTimeout(this._mentionSearchTimeout);
+    }
+
+    /**
+     * @description Track the draft and suggest users while an @mention is being typed
+     */
+    handleCommentInput(event) {
+        const textarea = event.target;
+        this.commentDraft = textarea.value;
+
+        const beforeCaret = textarea.value.slice(0, textarea.selectionStart);
+        const match = beforeCaret.match(/(?:^|\s)@([^\s@]{2,40})$/);
+        clearTimeout(this._mentionSearchTimeout);
+        if (!match) {
+            this.mentionSuggestions = [];
+            return;
+        }
+
+        const searchTerm = match[1];
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._mentionSearchTimeout = setTimeout(async () => {
+            try {
+                this.mentionSuggestions = await searchMentionUsers({ searchTerm });
+            } catch (error) {
+                console.error(DEBUG_PREFIX, 'Mention search failed:', error);
+                this.mentionSuggestions = [];
+            }
+        }, 300);
+    }
+
+    /**
+     * @description Replace the @term being typed with the picked user's name
+     */
+    handleSelectMention(event) {
+        // mousedown keeps the focus in the textarea
+        event.preventDefault();
+        const mention = this.mentionSuggestions.find(user => user.userId === event.currentTarget.dataset.userId);
+        const textarea = this.template.querySelector('.comment-composer textarea');
+        if (!mention || !textarea) return;
+
+        const caret = textarea.selectionStart;
+        const beforeCaret = this.commentDraft.slice(0, caret).replace(/@[^\s@]*$/, `@${mention.name} `);
+        this.commentDraft = beforeCaret + this.commentDraft.slice(caret);
+        textarea.value = this.commentDraft;
+        textarea.setSelectionRange(beforeCaret.length, beforeCaret.length);
+
+        if (!this.commentMentions.some(user => user.userId === mention.userId)) {
+            this.commentMentions = [...this.commentMentions, mention];
+        }
+        this.mentionSuggestions = [];
+    }
+
+    async handlePostComment(event) {
+        event.stopPropagation();
+        const body = this.commentDraft.trim();
+        if (!body) return;
+
+        // Only mentions still present in the text count
+        const mentionedUserIds = this.commentMentions
+            .filter(user => body.includes(`@${user.name}`))
+            .map(user => user.userId);
+
+        this.isPostingComment = true;
+        try {
+            const thread = await addComment({
                 canvasId: this.canvasId,
-                eventType: 'connector_add',
-                payload: JSON.stringify(connector)
+                elementId: this.newCommentElementId,
+                threadId: this.replyThreadId,
+                body,
+                mentionedUserIds
             });
+            this.upsertCommentThread(thread);
+            this.activeThreadId = thread.threadId;
+            this.resetCommentComposer();
+            this.publishCommentEvent('comment_add', { thread });
         } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to publish connector_add:', error);
+            console.error(DEBUG_PREFIX, 'Failed to post comment:', error);
+            this.showToast('Error', error.body?.message || 'Failed to post comment', 'error');
         }
+        this.isPostingComment = false;
     }
 
-    async publishConnectorDelete(connectorId) {
-        console.log(DEBUG_PREFIX, 'Publishing connector_delete:', connectorId);
+    async handleToggleThreadResolved(event) {
+        event.stopPropagation();
+        const threadId = event.currentTarget.dataset.threadId;
+        const thread = this.commentThreads.find(t => t.threadId === threadId);
+        if (!thread) return;
+
+        try {
+            const updated = await setThreadResolved({ threadId, resolved: !thread.resolved });
+            this.upsertCommentThread(updated);
+            if (updated.resolved && this.replyThreadId === threadId) {
+                this.resetCommentComposer();
+            }
+            this.publishCommentEvent('comment_resolve', { thread: updated });
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to update thread:', error);
+            this.showToast('Error', error.body?.message || 'Failed to update thread', 'error');
+        }
+    }
+
+    async handleDeleteComment(event) {
+        event.stopPropagation();
+        const { threadId, commentId } = event.currentTarget.dataset;
+        try {
+            await deleteComment({ commentId });
+            this.removeComment(threadId, commentId);
+            this.publishCommentEvent('comment_delete', { threadId, commentId });
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to delete comment:', error);
+            this.showToast('Error', error.body?.message || 'Failed to delete comment', 'error');
+        }
+    }
+
+    /**
+     * @description Insert or replace a thread (from Apex or a collaborator's event)
+     */
+    upsertCommentThread(thread) {
+        if (!thread) return;
+        const exists = this.commentThreads.some(t => t.threadId === thread.threadId);
+        this.commentThreads = exists
+            ? this.commentThreads.map(t => (t.threadId === thread.threadId ? thread : t))
+            : [...this.commentThreads, thread];
+    }
+
+    /**
+     * @description Remove a comment; removing the root comment removes the whole thread
+     */
+    removeComment(threadId, commentId) {
+        if (threadId === commentId) {
+            this.commentThreads = this.commentThreads.filter(t => t.threadId !== threadId);
+            if (this.activeThreadId === threadId) this.activeThreadId = null;
+            if (this.replyThreadId === threadId) this.resetCommentComposer();
+            return;
+        }
+        this.commentThreads = this.commentThreads.map(t => (
+            t.threadId === threadId
+                ? { ...t, comments: t.comments.filter(c => c.commentId !== commentId) }
+                : t
+        ));
+    }
+
+    handleRemoteCommentAdd(payload, userName) {
+        const thread = payload.thread;
+        this.upsertCommentThread(thread);
+
+        const latest = thread && thread.comments[thread.comments.length - 1];
+        if (latest && (latest.mentions || []).some(user => user.userId === userId)) {
+            this.showToast('Mentioned', `${userName} mentioned you in a comment`, 'info');
+        }
+    }
+
+    async publishCommentEvent(eventType, payload) {
         try {
             await publishEvent({
                 canvasId: this.canvasId,
-                eventType: 'connector_delete',
-                payload: JSON.stringify({ id: connectorId })
+                eventType,
+                payload: JSON.stringify(payload)
+            });
+        } catch (error) {
+            console.error(DEBUG_PREFIX, `Failed to publish ${eventType}:`, error);
+        }
+    }
+
+    /**
+     * @description Short label of the element a thread is attached to
+     */
+    getCommentElementLabel(elementId) {
+        if (!elementId) return '';
+        const obj = this.objects.find(o => o.id === elementId);
+        if (obj) {
+            const text = (obj.text || obj.name || obj.subject || '').trim().split('\n')[0];
+            const typeLabel = obj.type.charAt(0).toUpperCase() + obj.type.slice(1).replace(/_/g, ' ');
+            return text ? `${typeLabel}: ${text.length > 40 ? text.slice(0, 40) + '…' : text}` : typeLabel;
+        }
+        const connector = this.connectors.find(c => c.id === elementId);
+        if (connector) {
+            return connector.label ? `Connector: ${connector.label}` : 'Connector';
+        }
+        return 'Removed element';
+    }
+
+    /**
+     * @description Split a comment into text and @mention parts for highlighting
+     */
+    getCommentBodyParts(comment) {
+        const body = comment.body || '';
+        const names = (comment.mentions || [])
+            .map(user => user.name)
+            .sort((a, b) => b.length - a.length)
+            .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (names.length === 0) {
+            return [{ key: 'text-0', text: body, isMention: false }];
+        }
+
+        const parts = [];
+        const pattern = new RegExp(`@(?:${names.join('|')})`, 'g');
+        let lastIndex = 0;
+        for (const match of body.matchAll(pattern)) {
+            if (match.index > lastIndex) {
+                parts.push({ key: `text-${lastIndex}`, text: body.slice(lastIndex, match.index), isMention: false });
+            }
+            parts.push({ key: `mention-${match.index}`, text: match[0], isMention: true });
+            lastIndex = match.index + match[0].length;
+        }
+        if (lastIndex < body.length) {
+            parts.push({ key: `text-${lastIndex}`, text: body.slice(lastIndex), isMention: false });
+        }
+        return parts;
+    }
+
+    /**
+     * @description Pins of elements with open threads (one pin per element, first open thread)
+     * @returns {Array} [{ elementId, threadId, count, isActive, x, y }]
+     */
+    getCommentPins() {
+        const pinsByElement = new Map();
+        for (const thread of this.commentThreads) {
+            if (thread.resolved && thread.threadId !== this.activeThreadId) continue;
+            const pin = pinsByElement.get(thread.elementId);
+            if (pin) {
+                pin.count++;
+                pin.isActive = pin.isActive || thread.threadId === this.activeThreadId;
+            } else {
+                pinsByElement.set(thread.elementId, {
+                    elementId: thread.elementId,
+                    threadId: thread.threadId,
+                    count: 1,
+                    isActive: thread.threadId === this.activeThreadId
+                });
+            }
+        }
+
+        const pins = [];
+        for (const pin of pinsByElement.values()) {
+            const obj = this.objects.find(o => o.id === pin.elementId);
+            let position = obj ? getCommentPinPosition(obj) : null;
+            if (!obj) {
+                const connector = this.connectors.find(c => c.id === pin.elementId);
+                const start = connector && this.resolveConnectorPoint(connector, 'start');
+                const end = connector && this.resolveConnectorPoint(connector, 'end');
+                if (start && end) {
+                    position = { x: (start.x + end.x) / 2 + 12, y: (start.y + end.y) / 2 - 12 };
+                }
+            }
+            if (position) {
+                pins.push({ ...pin, ...position });
+            }
+        }
+        return pins;
+    }
+
+    drawCommentPins(ctx) {
+        for (const pin of this.getCommentPins()) {
+            drawCommentPin(ctx, pin.x, pin.y, pin.count, pin.isActive);
+        }
+    }
+
+    getCommentPinAt(x, y) {
+        return this.getCommentPins().find(pin => Math.hypot(x - pin.x, y - pin.y) <= COMMENT_PIN_RADIUS + 2) || null;
+    }
+
+    // ========== Daily Digest ==========
+
+    async loadDigestSubscription() {
+        if (!this.recordId) {
+            this.isDigestSubscribed = false;
+            return;
+        }
+        try {
+            this.isDigestSubscribed = await isSubscribedToDigest({ recordId: this.recordId });
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to load digest subscription:', error);
+            this.isDigestSubscribed = false;
+        }
+    }
+
+    async handleToggleDigest() {
+        if (this.isUpdatingDigest) return;
+
+        this.isUpdatingDigest = true;
+        try {
+            this.isDigestSubscribed = await setDigestSubscription({
+                recordId: this.recordId,
+                subscribed: !this.isDigestSubscribed
+            });
+            this.showToast(
+                'Daily Digest',
+                this.isDigestSubscribed
+                    ? 'You will get a daily email when others change the boards of this record'
+                    : 'Daily digest turned off for this record',
+                'success'
+            );
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to update digest subscription:', error);
+            this.showToast('Error', error.body?.message || 'Failed to update digest subscription', 'error');
+        }
+        this.isUpdatingDigest = false;
+    }
+
+    // ========== Templates ==========
+
+    /**
+     * @description Show the template picker for a canvas with no stored state (once per session)
+     */
+    openTemplatePicker() {
+        const hasContent = this.objects.length > 0 || this.strokes.length > 0 || this.connectors.length > 0;
+        if (this.templatePickerDismissed || this.showTemplatePicker || hasContent) return;
+
+        this.showTemplatePicker = true;
+        this.loadSavedTemplates();
+    }
+
+    handleCloseTemplatePicker() {
+        this.templatePickerDismissed = true;
+        this.showTemplatePicker = false;
+    }
+
+    async loadSavedTemplates() {
+        this.isLoadingTemplates = true;
+        try {
+            this.savedTemplates = await getTemplates();
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to load templates:', error);
+            this.savedTemplates = [];
+        }
+        this.isLoadingTemplates = false;
+    }
+
+    handleSelectTemplate(event) {
+        if (this.isApplyingTemplate) return;
+        this.applyTemplate(event.currentTarget.dataset.id);
+    }
+
+    /**
+     * @description Start the canvas from a template and save it as the first version.
+     * Collaborators reload the stored state when they receive template_apply.
+     * @param {string} templateId - Built-in template id or collab_Canvas_Template__c Id
+     */
+    async applyTemplate(templateId) {
+        this.isApplyingTemplate = true;
+        try {
+            let templateState;
+            let templateName;
+            if (isBuiltInTemplate(templateId)) {
+                templateState = getBuiltInTemplateState(templateId);
+                templateName = BUILT_IN_TEMPLATES.find(t => t.id === templateId).name;
+            } else {
+                templateState = JSON.parse(await getTemplateState({ templateId }));
+                templateName = this.savedTemplates.find(t => t.templateId === templateId)?.name;
+            }
+            console.log(DEBUG_PREFIX, 'Applying template:', templateName);
+
+            const state = instantiateTemplate(templateState, () => this.generateId());
+            this.clearSelectionForReload();
+            this.objects = state.objects;
+            this.strokes = state.strokes;
+            this.connectors = state.connectors;
+            this.invalidateContent();
+            this.crdt.load(this);
+            this.undoStack = [];
+            this.redoStack = [];
+
+            await this.persistState(this.buildStatePayload());
+            this.publishTemplateApply(templateName);
+
+            this.handleCloseTemplatePicker();
+            this.showToast('Template Applied', `Canvas started from "${templateName}"`, 'success');
+        } catch (error) {
+            if (this.parseSaveConflict(error)) {
+                // Another collaborator started the canvas first - show their version
+                await this.reloadStoredState();
+                this.handleCloseTemplatePicker();
+                this.showToast('Canvas Already Started', 'Another user saved this canvas first', 'info');
+            } else {
+                console.error(DEBUG_PREFIX, 'Failed to apply template:', error);
+                this.showToast('Error', 'Failed to apply template', 'error');
+            }
+        }
+        this.isApplyingTemplate = false;
+    }
+
+    async handleDeleteTemplate(event) {
+        // Don't apply the template whose card contains the delete button
+        event.stopPropagation();
+        const templateId = event.currentTarget.dataset.id;
+        try {
+            await deleteTemplate({ templateId });
+            this.savedTemplates = this.savedTemplates.filter(t => t.templateId !== templateId);
+            this.showToast('Template Deleted', 'The template was removed', 'success');
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to delete template:', error);
+            this.showToast('Error', 'Failed to delete template', 'error');
+        }
+    }
+
+    /**
+     * @description Another collaborator started this canvas from a template
+     */
+    async handleRemoteTemplateApply(payload, userName) {
+        this.handleCloseTemplatePicker();
+        await this.reloadStoredState();
+        const templateName = payload.templateName ? ` from "${payload.templateName}"` : ' from a template';
+        this.showToast('Template Applied', `${userName} started the canvas${templateName}`, 'info');
+    }
+
+    handleOpenSaveTemplate() {
+        if (this.objects.length === 0 && this.strokes.length === 0 && this.connectors.length === 0) {
+            this.showToast('Nothing to Save', 'Add something to the canvas before saving it as a template', 'info');
+            return;
+        }
+        this.templateName = '';
+        this.templateDescription = '';
+        this.showSaveTemplateModal = true;
+    }
+
+    handleCloseSaveTemplate() {
+        this.showSaveTemplateModal = false;
+    }
+
+    handleTemplateNameChange(event) {
+        this.templateName = event.detail.value;
+    }
+
+    handleTemplateDescriptionChange(event) {
+        this.templateDescription = event.detail.value;
+    }
+
+    async handleSaveTemplate() {
+        this.isSavingTemplate = true;
+        try {
+            await saveTemplate({
+                name: this.templateName,
+                description: this.templateDescription,
+                stateJson: JSON.stringify(this.buildStatePayload())
             });
+            this.showSaveTemplateModal = false;
+            this.showToast('Template Saved', `"${this.templateName.trim()}" is now available for new canvases`, 'success');
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to save template:', error);
+            this.showToast('Error', error?.body?.message || 'Failed to save template', 'error');
+        }
+        this.isSavingTemplate = false;
+    }
+
+    // ========== Named Boards ==========
+
+    /**
+     * @description Load the boards of the record and reopen the board used last on this browser
+     */
+    async loadBoards() {
+        const recordId = this.boardRecordId;
+        this._boardsLoadedForRecordId = recordId;
+        try {
+            this.boards = await listCanvases({ recordId });
+            const lastBoardId = this.getLastBoardId();
+            this.activeCanvasId = this.boards.some(board => board.canvasId === lastBoardId) ? lastBoardId : null;
+            console.log(DEBUG_PREFIX, 'Loaded', this.boards.length, 'boards, active:', this.canvasId);
         } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to publish connector_delete:', error);
+            console.error(DEBUG_PREFIX, 'Failed to load boards:', error);
+            this.boards = [];
+            this.activeCanvasId = null;
         }
+        this.loadDigestSubscription();
     }
 
-    async publishConnectorUpdate(connector) {
-        console.log(DEBUG_PREFIX, 'Publishing connector_update:', connector);
+    getLastBoardId() {
         try {
-            await publishEvent({
-                canvasId: this.canvasId,
-                eventType: 'connector_update',
-                payload: JSON.stringify(connector)
-            });
-        } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to publish connector_update:', error);
+            return window.localStorage.getItem(LAST_BOARD_STORAGE_PREFIX + this.boardRecordId);
+        } catch (e) {
+            return null;
         }
     }
 
-    async announceJoin() {
-        console.log(DEBUG_PREFIX, 'Announcing join');
+    storeLastBoardId() {
         try {
-            await publishEvent({
-                canvasId: this.canvasId,
-                eventType: 'user_join',
-                payload: JSON.stringify({ timestamp: Date.now() })
-            });
-            // Reload state after delay to get any unsaved changes from other users
-            // Other users auto-save when they receive user_join event
-            setTimeout(() => {
-                console.log(DEBUG_PREFIX, 'Reloading state after join delay');
-                this.loadState();
-            }, 1000);
-        } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to announce join:', error);
+            window.localStorage.setItem(LAST_BOARD_STORAGE_PREFIX + this.boardRecordId, this.canvasId);
+        } catch (e) {
+            // Storage unavailable - the main board opens next time
         }
     }
 
-    async announceLeave() {
-        console.log(DEBUG_PREFIX, 'Announcing leave');
+    handleBoardMenuSelect(event) {
+        const value = event.detail.value;
+        if (value.startsWith(BOARD_MENU_PREFIX)) {
+            this.switchBoard(value.slice(BOARD_MENU_PREFIX.length));
+        } else if (value === 'new') {
+            this.openBoardNameModal('create', '');
+        } else if (value === 'rename') {
+            this.openBoardNameModal('rename', this.activeBoardName);
+        } else if (value === 'duplicate') {
+            this.openBoardNameModal('duplicate', `${this.activeBoardName} (Copy)`);
+        } else if (value === 'delete') {
+            this.showDeleteBoardModal = true;
+        }
+    }
+
+    /**
+     * @description Save local edits before leaving the board.
+     * @returns {Promise<boolean>} false if the save hit a version conflict (conflict modal is shown)
+     */
+    async saveBoardChanges() {
+        if (this.undoStack.length === 0) return true;
         try {
-            await publishEvent({
-                canvasId: this.canvasId,
-                eventType: 'user_leave',
-                payload: JSON.stringify({ timestamp: Date.now() })
-            });
+            await this.persistState(this.buildStatePayload());
+            return true;
         } catch (error) {
-            // Ignore errors on disconnect
+            const conflict = this.parseSaveConflict(error);
+            if (conflict) {
+                this.saveConflict = conflict;
+                this.showConflictModal = true;
+            } else {
+                console.error(DEBUG_PREFIX, 'Failed to save before switching boards:', error);
+                this.showToast('Error', 'Failed to save canvas', 'error');
+            }
+            return false;
         }
     }
 
-    // ========== Persistence ==========
-
     /**
-     * Silent save triggered when a new user joins.
-     * Ensures joining user loads the current canvas state.
+     * @description Open another board of the record: leave the current board's session,
+     * load the other board's state and join its session.
+     * @param {string} canvasId - Board to open
+     * @param {boolean} saveChanges - Save local edits first (false when the board was deleted)
      */
-    async saveStateForNewUser() {
+    async switchBoard(canvasId, saveChanges = true) {
+        if (canvasId === this.canvasId) return;
+        if (saveChanges && !(await this.saveBoardChanges())) return;
+
+        console.log(DEBUG_PREFIX, 'Switching board from', this.canvasId, 'to', canvasId);
+        this.announceLeave();
+        removeCursor({ canvasId: this.canvasId }).catch(() => {});
+
+        this.activeCanvasId = canvasId;
+        this.storeLastBoardId();
+
+        // Session state belongs to the previous board
+        this.remoteCursors = {};
+        this.targetCursors = {};
+        this.connectedUsers = [];
+        this.followedUserId = null;
+        this.lastPresenceJson = null;
+        this.lastCursorsResult = null;
+        this.showHistoryPanel = false;
+        this.canvasVersions = [];
+        this.previewVersion = null;
+        this.showCommentsPanel = false;
+        this.commentThreads = [];
+        this.resetCommentComposer();
+        this.activeThreadId = null;
+        this.showTemplatePicker = false;
+        this.templatePickerDismissed = false;
+
+        this.objects = [];
+        this.strokes = [];
+        this.connectors = [];
+        this.invalidateContent();
+        await this.reloadStoredState();
+        this.announceJoin();
+    }
+
+    openBoardNameModal(mode, name) {
+        this.boardNameMode = mode;
+        this.boardName = name;
+        this.showBoardNameModal = true;
+    }
+
+    handleCloseBoardNameModal() {
+        this.showBoardNameModal = false;
+    }
+
+    handleBoardNameChange(event) {
+        this.boardName = event.detail.value;
+    }
+
+    async handleSubmitBoardName() {
+        this.isSavingBoard = true;
         try {
-            const state = {
-                objects: this.objects,
-                strokes: this.strokes,
-                connectors: this.connectors
-            };
-            await saveCanvasState({
-                canvasId: this.canvasId,
-                stateJson: JSON.stringify(state)
-            });
-            console.log(DEBUG_PREFIX, 'Auto-saved state for new user');
+            if (this.boardNameMode === 'rename') {
+                await this.renameActiveBoard();
+            } else if (this.boardNameMode === 'duplicate') {
+                await this.duplicateActiveBoard();
+            } else {
+                await this.createBoard();
+            }
+            this.showBoardNameModal = false;
         } catch (error) {
-            console.error(DEBUG_PREFIX, 'Auto-save for new user failed:', error);
+            console.error(DEBUG_PREFIX, 'Board action failed:', error);
+            this.showToast('Error', error?.body?.message || 'Failed to update board', 'error');
         }
+        this.isSavingBoard = false;
     }
 
-    async handleSave() {
-        console.log(DEBUG_PREFIX, '=== handleSave START ===');
-        console.log(DEBUG_PREFIX, 'canvasId:', this.canvasId);
-        console.log(DEBUG_PREFIX, 'objects count:', this.objects.length);
-        console.log(DEBUG_PREFIX, 'strokes count:', this.strokes.length);
-        console.log(DEBUG_PREFIX, 'connectors count:', this.connectors.length);
+    async createBoard() {
+        const board = await createCanvas({ recordId: this.boardRecordId, name: this.boardName });
+        this.boards = [...this.boards, board];
+        await this.switchBoard(board.canvasId);
+        this.showToast('Board Created', `"${board.name}" is ready`, 'success');
+    }
 
-        try {
-            const state = {
-                objects: this.objects,
-                strokes: this.strokes,
-                connectors: this.connectors
-            };
-            console.log(DEBUG_PREFIX, 'State to save:', JSON.stringify(state, null, 2));
+    async renameActiveBoard() {
+        const name = this.boardName.trim();
+        await renameCanvas({ recordId: this.boardRecordId, canvasId: this.canvasId, name });
+        this.boards = this.boards.map(board => (board.canvasId === this.canvasId ? { ...board, name } : board));
+        this.publishBoardEvent('board_rename', { name });
+        this.showToast('Board Renamed', `Board renamed to "${name}"`, 'success');
+    }
 
-            await saveCanvasState({
-                canvasId: this.canvasId,
-                stateJson: JSON.stringify(state)
-            });
+    /**
+     * @description Copy the current board (including unsaved edits) into a new board and open it
+     */
+    async duplicateActiveBoard() {
+        if (!(await this.saveBoardChanges())) return;
+        const board = await duplicateCanvas({ canvasId: this.canvasId, name: this.boardName });
+        this.boards = [...this.boards, board];
+        await this.switchBoard(board.canvasId);
+        this.showToast('Board Duplicated', `"${board.name}" is a copy of the previous board`, 'success');
+    }
 
-            console.log(DEBUG_PREFIX, 'Save successful!');
-            this.showToast('Success', 'Canvas saved successfully', 'success');
+    handleCloseDeleteBoardModal() {
+        this.showDeleteBoardModal = false;
+    }
+
+    /**
+     * @description Delete the current board (never the main board) and return to the main board
+     */
+    async handleConfirmDeleteBoard() {
+        const board = this.activeBoard;
+        if (!board || board.isDefault) return;
+
+        this.isSavingBoard = true;
+        try {
+            await deleteCanvas({ canvasId: board.canvasId });
+            // Tell collaborators on the deleted board before leaving its channel
+            await this.publishBoardEvent('board_delete', { name: board.name });
+            this.boards = this.boards.filter(b => b.canvasId !== board.canvasId);
+            this.showDeleteBoardModal = false;
+            await this.switchBoard(this.boardRecordId, false);
+            this.showToast('Board Deleted', `"${board.name}" was deleted`, 'success');
         } catch (error) {
-            console.error(DEBUG_PREFIX, 'Save error:', error);
-            console.error(DEBUG_PREFIX, 'Error body:', error.body);
-            this.showToast('Error', 'Failed to save canvas', 'error');
+            console.error(DEBUG_PREFIX, 'Failed to delete board:', error);
+            this.showToast('Error', error?.body?.message || 'Failed to delete board', 'error');
         }
+        this.isSavingBoard = false;
     }
 
-    async loadState() {
-        console.log(DEBUG_PREFIX, '=== loadState START ===');
-        console.log(DEBUG_PREFIX, 'canvasId:', this.canvasId);
-        console.log(DEBUG_PREFIX, 'recordId:', this.recordId);
+    handleRemoteBoardRename(payload, userName) {
+        this.boards = this.boards.map(board => (
+            board.canvasId === this.canvasId ? { ...board, name: payload.name } : board
+        ));
+        this.showToast('Board Renamed', `${userName} renamed the board to "${payload.name}"`, 'info');
+    }
 
-        // Track which recordId we're loading for
-        this._stateLoadedForRecordId = this.recordId;
+    /**
+     * @description Another collaborator deleted the board we are on - local edits are dropped
+     */
+    async handleRemoteBoardDelete(payload, userName) {
+        const deletedId = this.canvasId;
+        this.boards = this.boards.filter(board => board.canvasId !== deletedId);
+        await this.switchBoard(this.boardRecordId, false);
+        this.showToast('Board Deleted', `${userName} deleted "${payload.name}". Showing the main board.`, 'warning');
+    }
 
-        try {
-            console.log(DEBUG_PREFIX, 'Calling Apex loadCanvasState...');
-            const result = await loadCanvasState({ canvasId: this.canvasId });
+    // ========== Export ==========
 
-            console.log(DEBUG_PREFIX, 'Apex raw result:', result);
-            console.log(DEBUG_PREFIX, 'Result length:', result ? result.length : 0);
+    /**
+     * @description Snapshot of the board for the export utilities (offscreen, no selection/cursors)
+     */
+    buildExportBoard() {
+        return {
+            objects: this.objects,
+            strokes: this.strokes,
+            connectors: this.connectors,
+            iconImages: this.iconImages,
+            resolveConnectorPoint: (connector, pointType) => this.resolveConnectorPoint(connector, pointType)
+        };
+    }
 
-            const state = JSON.parse(result || '{}');
-            console.log(DEBUG_PREFIX, 'Parsed state:', JSON.stringify(state, null, 2));
+    async handleExportSelect(event) {
+        const format = event.detail.value;
+        console.log(DEBUG_PREFIX, 'Export requested:', format);
 
-            if (state.objects) {
-                console.log(DEBUG_PREFIX, 'Loading', state.objects.length, 'objects');
-                this.objects = state.objects;
-            }
-            if (state.strokes) {
-                console.log(DEBUG_PREFIX, 'Loading', state.strokes.length, 'strokes');
-                this.strokes = state.strokes;
-            }
-            if (state.connectors) {
-                console.log(DEBUG_PREFIX, 'Loading', state.connectors.length, 'connectors');
-                this.connectors = state.connectors;
+        try {
+            const exported = format.startsWith('pdf-')
+                ? await this.exportPdf(format.slice('pdf-'.length))
+                : await exportBoard(this.buildExportBoard(), format, this.canvasId);
+            if (!exported) {
+                this.showToast('Nothing to Export', 'The canvas is empty', 'info');
             }
-
-            console.log(DEBUG_PREFIX, '=== loadState END (success) ===');
         } catch (error) {
-            console.error(DEBUG_PREFIX, 'Failed to load state:', error);
-            console.error(DEBUG_PREFIX, 'Error body:', error.body);
+            console.error(DEBUG_PREFIX, 'Export failed:', error);
+            this.showToast('Error', 'Failed to export canvas', 'error');
         }
     }
 
+    /**
+     * @description Export a tiled PDF with a title block (record name, export date, last editor)
+     * @param {string} pageSize - Key of PDF_PAGE_SIZES ('a4' or 'letter')
+     * @returns {Promise<boolean>} false if the canvas is empty
+     */
+    async exportPdf(pageSize) {
+        const info = await getCanvasExportInfo({ canvasId: this.canvasId });
+        console.log(DEBUG_PREFIX, 'PDF export info:', info);
+
+        return exportBoardAsPdf(this.buildExportBoard(), {
+            pageSize,
+            canvasId: this.canvasId,
+            title: [info?.recordName, info?.canvasName].filter(Boolean).join(' - '),
+            lastEditorName: info?.lastModifiedByName,
+            lastModifiedDate: info?.lastModifiedDate
+        });
+    }
+
     // ========== Modal Actions ==========
 
     handleClose() {
@@ -6231,14 +9031,32 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
 
     // ========== Record Selector Modal ==========
 
-    handleOpenRecordModal() {
+    async handleOpenRecordModal() {
         this.isRecordModalOpen = true;
-        this.recordModalTab = 'contacts';
         this.recordSearchTerm = '';
         this.selectedRecordIds = [];
+        this.availableRecords = [];
+        this.isLoadingRecords = true;
+
+        await this.loadRecordPickerTabs();
+        // Pages without a record only get the global search tabs
+        this.recordModalTab = this.recordPickerTabs.length > 0 ? this.recordPickerTabs[0].tabKey : null;
         this.loadRecordsForTab();
     }
 
+    /**
+     * @description Load the Add Record tabs configured for the current record's object
+     */
+    async loadRecordPickerTabs() {
+        try {
+            this.recordPickerTabs = await getRecordPickerTabs({ recordId: this.recordId || null });
+            this.recordPickerTabs.forEach(tab => this.preloadRecordIcon(tab.objectApiName, tab.iconName));
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to load record picker tabs:', error);
+            this.recordPickerTabs = [];
+        }
+    }
+
     handleCloseRecordModal() {
         this.isRecordModalOpen = false;
         this.availableRecords = [];
@@ -6270,32 +9088,14 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         }
         try {
             let records = [];
-            if (this.recordModalTab === 'contacts') {
-                records = await getRelatedContacts({
-                    accountId: this.recordId,
-                    searchTerm: this.recordSearchTerm || null
-                });
-            } else if (this.recordModalTab === 'opportunities') {
-                records = await getRelatedOpportunities({
-                    accountId: this.recordId,
+            const tooShort = !this.recordSearchTerm || this.recordSearchTerm.length < 2;
+            // Global search tabs list nothing until 2 characters are typed - skip the round trip
+            if (this.recordModalTab && !(this.requiresSearch && tooShort)) {
+                records = await searchPickerRecords({
+                    recordId: this.recordId || null,
+                    tabKey: this.recordModalTab,
                     searchTerm: this.recordSearchTerm || null
                 });
-            } else if (this.recordModalTab === 'leads') {
-                if (this.recordSearchTerm && this.recordSearchTerm.length >= 2) {
-                    records = await searchLeads({
-                        searchTerm: this.recordSearchTerm
-                    });
-                } else {
-                    records = [];
-                }
-            } else if (this.recordModalTab === 'users') {
-                if (this.recordSearchTerm && this.recordSearchTerm.length >= 2) {
-                    records = await searchUsers({
-                        searchTerm: this.recordSearchTerm
-                    });
-                } else {
-                    records = [];
-                }
             }
             this.availableRecords = records;
         } catch (error) {
@@ -6317,16 +9117,19 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         }
     }
 
-    handleAddSelectedRecords() {
+    async handleAddSelectedRecords() {
         // Get selected records from availableRecords
         const selectedRecords = this.availableRecords.filter(rec =>
             this.selectedRecordIds.includes(rec.recordId)
         );
 
+        // Live card fields, so collaborators receive complete cards with the add event
+        const cardsById = await this.loadRecordCardData(selectedRecords.map(rec => rec.recordId));
+
         // Add each as a record element on canvas
         let offsetX = 0;
         for (const rec of selectedRecords) {
-            this.addRecordElement(rec, offsetX);
+            this.addRecordElement(rec, offsetX, cardsById.get(rec.recordId));
             offsetX += 30; // Stagger placement
         }
 
@@ -6334,33 +9137,98 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         this.handleCloseRecordModal();
     }
 
-    addRecordElement(record, offsetX = 0) {
-        // Calculate width based on name length (min 150, max 300)
+    /**
+     * @description Place a record card on the canvas
+     * @param {Object} record - RecordWrapper from the Add Record modal
+     * @param {number} offsetX - Stagger offset for multiple cards
+     * @param {Object} card - Optional RecordCardData with live fields (getRecordCardData)
+     */
+    addRecordElement(record, offsetX = 0, card = null) {
+        const obj = this.createRecordElement(record, card);
+        obj.x += offsetX;
+        obj.y += offsetX;
+
+        this.objects.push(obj);
+        this.publishObjectAdd(obj);
+        // Record for undo
+        this.recordAction('object_add', { objectId: obj.id });
+    }
+
+    /**
+     * @description Build a record card element (not yet on the canvas)
+     * @param {Object} record - RecordWrapper
+     * @param {Object} card - Optional RecordCardData with live fields
+     * @returns {Object} Record element at a default position
+     */
+    createRecordElement(record, card = null) {
+        const name = card && card.status === 'ok' && card.name ? card.name : record.name;
+        const fields = card && card.status === 'ok' ? card.fields || [] : [];
+
+        // Calculate width based on name and field rows (min 150, max 300)
         const ctx = this.ctx;
         ctx.font = 'bold 13px sans-serif';
-        const textWidth = ctx.measureText(record.name).width;
+        let textWidth = ctx.measureText(name).width;
+        ctx.font = '11px sans-serif';
+        fields.forEach(field => {
+            textWidth = Math.max(textWidth, ctx.measureText(`${field.label}: ${field.value || ''}`).width);
+        });
         const cardWidth = Math.max(150, Math.min(300, textWidth + 60)); // 60 for icon + padding
 
-        const obj = {
+        return {
             id: this.generateId(),
             type: 'record',
             recordId: record.recordId,
             objectApiName: record.objectApiName,
-            name: record.name,
+            name,
             subtitle: record.subtitle || '',
+            fields,
             iconName: record.iconName,
-            x: 150 + offsetX + Math.random() * 100,
-            y: 150 + offsetX + Math.random() * 100,
+            x: 150 + Math.random() * 100,
+            y: 150 + Math.random() * 100,
             width: cardWidth,
-            height: 50,
+            height: getRecordCardHeight(fields.length),
             color: '#f4f6f9',
             zIndex: this.getNextZIndex()
         };
+    }
 
-        this.objects.push(obj);
-        this.publishObjectAdd(obj);
-        // Record for undo
-        this.recordAction('object_add', { objectId: obj.id });
+    /**
+     * @description Load live card data for new record cards
+     * @param {Array} recordIds - Record Ids
+     * @returns {Promise<Map>} RecordCardData by record Id (empty if loading fails)
+     */
+    async loadRecordCardData(recordIds) {
+        try {
+            const cards = await getRecordCardData({ recordIds });
+            return new Map(cards.map(card => [card.recordId, card]));
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to load record card fields:', error);
+            return new Map();
+        }
+    }
+
+    /**
+     * @description Refresh the record cards on the canvas with live field values.
+     * Every client refreshes its own cards on load, so the result is not broadcast.
+     */
+    async refreshRecordCards() {
+        const recordIds = [...new Set(this.objects
+            .filter(obj => obj.type === 'record' && obj.recordId)
+            .map(obj => obj.recordId))];
+        if (recordIds.length === 0) return;
+
+        const canvasId = this.canvasId;
+        try {
+            const cards = await getRecordCardData({ recordIds });
+            // Board switched while loading
+            if (canvasId !== this.canvasId) return;
+            const updated = applyRecordCardData(this.objects, cards);
+            console.log(DEBUG_PREFIX, 'Refreshed', updated, 'record cards');
+            this.invalidateContent();
+        } catch (error) {
+            // Cards keep their stored name and subtitle
+            console.error(DEBUG_PREFIX, 'Failed to refresh record cards:', error);
+        }
     }
 
     // ========== Activity Selector Modal ==========
@@ -6454,6 +9322,22 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
     }
 
     addActivityElement(activity, offsetX = 0) {
+        const obj = this.createActivityElement(activity);
+        obj.x += offsetX;
+        obj.y += offsetX;
+
+        this.objects.push(obj);
+        this.publishObjectAdd(obj);
+        // Record for undo
+        this.recordAction('object_add', { objectId: obj.id });
+    }
+
+    /**
+     * @description Build an activity card element (not yet on the canvas)
+     * @param {Object} activity - ActivityWrapper
+     * @returns {Object} Activity element at a default position
+     */
+    createActivityElement(activity) {
         // Calculate width based on subject length
         const ctx = this.ctx;
         ctx.font = 'bold 13px sans-serif';
@@ -6464,7 +9348,7 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         const hasRelatedRecords = activity.whoName || activity.whatName;
         const cardHeight = hasRelatedRecords ? 70 : 50;
 
-        const obj = {
+        return {
             id: this.generateId(),
             type: 'activity',
             activityType: activity.activityType,
@@ -6481,18 +9365,211 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
             whatName: activity.whatName,
             whatObjectType: activity.whatObjectType,
             // Position and dimensions
-            x: 150 + offsetX + Math.random() * 100,
-            y: 150 + offsetX + Math.random() * 100,
+            x: 150 + Math.random() * 100,
+            y: 150 + Math.random() * 100,
             width: cardWidth,
             height: cardHeight,
             color: '#f4f6f9',
             zIndex: this.getNextZIndex()
         };
+    }
 
-        this.objects.push(obj);
-        this.publishObjectAdd(obj);
-        // Record for undo
-        this.recordAction('object_add', { objectId: obj.id });
+    // ========== Convert to Record ==========
+
+    /**
+     * @description Open the Convert to Record form for the selected sticky/shape, prefilled from its text
+     */
+    async handleConvertMenuSelect(event) {
+        const target = event.detail.value;
+        const source = this.selectedObject;
+        if (!source) return;
+
+        this.convertTarget = target;
+        this.convertSourceId = source.id;
+        this.convertForm = this.getConvertDefaults(target, source.text || '');
+        this.showConvertModal = true;
+
+        if (target === 'opportunity') {
+            await this.loadOpportunityStages();
+            if (!this.convertForm.stageName) {
+                const defaultStage = this.opportunityStages.find(stage => stage.isDefault) || this.opportunityStages[0];
+                this.convertForm = { ...this.convertForm, stageName: defaultStage ? defaultStage.value : null };
+            }
+        }
+    }
+
+    async loadOpportunityStages() {
+        if (this.opportunityStages.length > 0) return;
+        try {
+            this.opportunityStages = await getOpportunityStages();
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to load opportunity stages:', error);
+        }
+    }
+
+    /**
+     * @description Prefill values for a new record from sticky/shape text.
+     * First line = subject/name, remaining lines = description; contacts also pick up an email address.
+     * @param {string} target - 'task', 'opportunity' or 'contact'
+     * @param {string} text - Element text
+     * @returns {Object} Form values
+     */
+    getConvertDefaults(target, text) {
+        const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+        const firstLine = lines[0] || '';
+        const details = lines.slice(1).join('\n') || null;
+
+        if (target === 'task') {
+            return {
+                subject: firstLine.slice(0, 255),
+                description: details,
+                activityDate: this.getIsoDate(7)
+            };
+        }
+
+        if (target === 'opportunity') {
+            // "$25k", "$1.5m", "$12,000"
+            const amountMatch = text.match(/\$\s?([\d.,]+)\s*([km])?/i);
+            let amount = null;
+            if (amountMatch) {
+                const multiplier = { k: 1000, m: 1000000 }[(amountMatch[2] || '').toLowerCase()] || 1;
+                amount = parseFloat(amountMatch[1].replace(/,/g, '')) * multiplier || null;
+            }
+            return {
+                name: firstLine.slice(0, 120),
+                stageName: null,
+                closeDate: this.getIsoDate(30),
+                amount,
+                description: details
+            };
+        }
+
+        // Contact: "Jane Doe", then title and/or email on the next lines
+        const emailMatch = text.match(/[^\s@]+@[^\s@]+\.[^\s@]+/);
+        const email = emailMatch ? emailMatch[0] : null;
+        const nameWords = firstLine.replace(email || '', '').trim().split(/\s+/).filter(Boolean);
+        const titleLine = lines.slice(1).find(line => !email || !line.includes(email));
+        return {
+            firstName: nameWords.length > 1 ? nameWords.slice(0, -1).join(' ') : null,
+            lastName: nameWords.length > 0 ? nameWords[nameWords.length - 1] : '',
+            title: titleLine || null,
+            email,
+            description: lines.length > 1 ? lines.join('\n') : null
+        };
+    }
+
+    /**
+     * @description Date in N days as 'YYYY-MM-DD' (lightning-input type="date" value)
+     */
+    getIsoDate(daysFromToday) {
+        const date = new Date();
+        date.setDate(date.getDate() + daysFromToday);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    handleConvertFieldChange(event) {
+        const field = event.target.dataset.field;
+        this.convertForm = { ...this.convertForm, [field]: event.detail.value };
+    }
+
+    handleCloseConvertModal() {
+        this.showConvertModal = false;
+        this.convertTarget = null;
+        this.convertForm = {};
+        this.convertSourceId = null;
+    }
+
+    /**
+     * @description Create the record, then replace the sticky/shape with a linked card
+     */
+    async handleSubmitConvert() {
+        const form = this.convertForm;
+        const recordId = this.recordId || null;
+        this.isConverting = true;
+        try {
+            let card;
+            if (this.convertTarget === 'task') {
+                const activity = await createTaskFromCanvas({
+                    recordId,
+                    subject: form.subject,
+                    description: form.description,
+                    activityDate: form.activityDate || null
+                });
+                card = this.createActivityElement(activity);
+            } else {
+                const record = this.convertTarget === 'opportunity'
+                    ? await createOpportunityFromCanvas({
+                        recordId,
+                        name: form.name,
+                        stageName: form.stageName,
+                        closeDate: form.closeDate,
+                        amount: form.amount === null || form.amount === '' ? null : Number(form.amount),
+                        description: form.description
+                    })
+                    : await createContactFromCanvas({
+                        recordId,
+                        firstName: form.firstName,
+                        lastName: form.lastName,
+                        title: form.title,
+                        email: form.email,
+                        description: form.description
+                    });
+                const cards = await this.loadRecordCardData([record.recordId]);
+                card = this.createRecordElement(record, cards.get(record.recordId));
+            }
+
+            const label = this.convertModalTitle.replace('Convert to ', '');
+            this.replaceWithCard(this.convertSourceId, card);
+            this.handleCloseConvertModal();
+            this.showToast('Record Created', `${label} "${card.name || card.subject}" created`, 'success');
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to create record:', error);
+            this.showToast('Error', error.body?.message || 'Failed to create record', 'error');
+        }
+        this.isConverting = false;
+    }
+
+    /**
+     * @description Put a new card where a sticky/shape was: same position and layer,
+     * connectors re-anchored to the card. Not undoable - the Salesforce record exists either way.
+     * @param {string} sourceId - Element to replace
+     * @param {Object} card - Record or activity element from createRecordElement/createActivityElement
+     */
+    replaceWithCard(sourceId, card) {
+        const source = this.objects.find(o => o.id === sourceId);
+        if (source) {
+            card.x = source.x;
+            card.y = source.y;
+            card.zIndex = source.zIndex;
+        }
+
+        this.objects.push(card);
+        this.publishObjectAdd(card);
+
+        if (source) {
+            for (const connector of this.connectors) {
+                let changed = false;
+                if (connector.startAnchor && connector.startAnchor.objectId === sourceId) {
+                    connector.startAnchor = { ...connector.startAnchor, objectId: card.id };
+                    changed = true;
+                }
+                if (connector.endAnchor && connector.endAnchor.objectId === sourceId) {
+                    connector.endAnchor = { ...connector.endAnchor, objectId: card.id };
+                    changed = true;
+                }
+                if (changed) {
+                    this.publishConnectorUpdate(connector);
+                }
+            }
+            this.objects = this.objects.filter(o => o.id !== sourceId);
+            this.publishObjectDelete(sourceId);
+        }
+
+        this.selectedObject = card;
+        this.selectedObjects = [];
+        this.draw();
     }
 
     // ========== Utilities ==========
@@ -6512,6 +9589,7 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
             img.onload = () => {
                 console.log(DEBUG_PREFIX, `Icon loaded: ${iconType}`);
                 this.iconImages[iconType] = img;
+                this.invalidateContent();
                 loadedCount++;
                 if (loadedCount === iconTypes.length) {
                     this.iconsLoaded = true;
@@ -6524,6 +9602,22 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         });
     }
 
+    /**
+     * @description Preload the canvas icon of a record card object discovered at runtime
+     * (cards look up iconImages by lowercase object API name)
+     */
+    preloadRecordIcon(objectApiName, iconName) {
+        const iconKey = objectApiName ? objectApiName.toLowerCase() : null;
+        if (!iconKey || this.iconImages[iconKey] || !iconName || !iconName.startsWith('standard:')) return;
+
+        const img = new Image();
+        img.src = `/img/icon/t4v35/standard/${iconName.slice('standard:'.length)}_60.png`;
+        img.onload = () => {
+            this.iconImages[iconKey] = img;
+            this.invalidateContent();
+        };
+    }
+
     generateId() {
         return `${userId}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     }
@@ -6558,6 +9652,16 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         // Remove cursor
         removeCursor({ canvasId: this.canvasId }).catch(() => {});
 
+        this.cancelLongPress();
+        clearTimeout(this._mentionSearchTimeout);
+        clearTimeout(this._catchUpTimeout);
+        clearTimeout(this._publishRetryTimeout);
+        clearTimeout(this._resubscribeTimeout);
+        // Send what is waiting for the batch window (anything unsent stays stored for the next load)
+        if (this._outboxFlushTimeout) {
+            this.flushOutbox();
+        }
+
         // Stop intervals
         if (this.cursorPollInterval) {
             clearInterval(this.cursorPollInterval);
@@ -6565,10 +9669,14 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         if (this.heartbeatInterval) {
             clearInterval(this.heartbeatInterval);
         }
+        if (this.presenceInterval) {
+            clearInterval(this.presenceInterval);
+        }
 
         // Unsubscribe from platform events
         if (this.subscription) {
             unsubscribe(this.subscription).catch(() => {});
+            this.subscription = null;
         }
 
         // Cancel animation frame
@@ -6583,6 +9691,15 @@ export default class Collab_collaborativeCanvas extends NavigationMixin(Lightnin
         if (this.boundKeyupHandler) {
             window.removeEventListener('keyup', this.boundKeyupHandler);
         }
+        if (this.boundOverlayInputHandler) {
+            OVERLAY_INPUT_EVENTS.forEach(type => this.template.removeEventListener(type, this.boundOverlayInputHandler));
+            window.removeEventListener('keydown', this.boundOverlayInputHandler);
+            window.removeEventListener('keyup', this.boundOverlayInputHandler);
+        }
+        if (this.boundOnlineHandler) {
+            window.removeEventListener('online', this.boundOnlineHandler);
+            window.removeEventListener('offline', this.boundOfflineHandler);
+        }
 
         console.log(DEBUG_PREFIX, 'Cleanup completed');
     }